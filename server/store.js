@@ -0,0 +1,57 @@
+/**
+ * The sync server's record store, kept free of Node APIs so the app's dev
+ * tests can run the sync engine against it in memory.
+ *
+ * store = { rev, records: { "task:123": { kind, id, rev, deleted, data } } }
+ */
+
+const KINDS = ["task", "matrix"];
+
+export function createStore() {
+  return { rev: 0, records: {} };
+}
+
+export function isValidChange(c) {
+  return (
+    c &&
+    KINDS.includes(c.kind) &&
+    (typeof c.id === "string" || typeof c.id === "number") &&
+    (c.deleted || (c.data && typeof c.data === "object"))
+  );
+}
+
+// GET /api/changes?since=N → records written after revision N
+export function listChanges(store, since) {
+  const changes = Object.values(store.records)
+    .filter((r) => r.rev > since)
+    .sort((a, b) => a.rev - b.rev);
+  return { rev: store.rev, changes };
+}
+
+// POST /api/changes → writes each change unless the record moved on since
+// its baseRev, in which case the current record is returned as a conflict
+export function applyChanges(store, changes) {
+  const applied = [];
+  const conflicts = [];
+
+  changes.forEach((c) => {
+    const key = `${c.kind}:${c.id}`;
+    const existing = store.records[key];
+    if (existing && existing.rev > (Number(c.baseRev) || 0)) {
+      conflicts.push(existing);
+      return;
+    }
+
+    store.rev += 1;
+    store.records[key] = {
+      kind: c.kind,
+      id: c.id,
+      rev: store.rev,
+      deleted: !!c.deleted,
+      data: c.deleted ? null : c.data,
+    };
+    applied.push({ kind: c.kind, id: c.id, rev: store.rev });
+  });
+
+  return { rev: store.rev, applied, conflicts };
+}
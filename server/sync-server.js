@@ -0,0 +1,137 @@
+/**
+ * Reference sync server for Taskenhower (see README.md in this folder).
+ *
+ * No dependencies: node server/sync-server.js
+ *
+ * Environment:
+ * - PORT        (default 8787)
+ * - DATA_FILE   where records are kept (default server/sync-data.json)
+ * - SYNC_TOKEN  when set, requests need "Authorization: Bearer <token>"
+ */
+
+import { createServer } from "node:http";
+import { readFile, rename, writeFile } from "node:fs/promises";
+import { fileURLToPath } from "node:url";
+import {
+  applyChanges,
+  createStore,
+  isValidChange,
+  listChanges,
+} from "./store.js";
+
+const PORT = Number(process.env.PORT) || 8787;
+const DATA_FILE =
+  process.env.DATA_FILE ||
+  fileURLToPath(new URL("./sync-data.json", import.meta.url));
+const TOKEN = process.env.SYNC_TOKEN || "";
+const MAX_BODY_BYTES = 10 * 1024 * 1024;
+
+// See store.js for the layout
+async function loadStore() {
+  try {
+    return JSON.parse(await readFile(DATA_FILE, "utf8"));
+  } catch (err) {
+    if (err.code === "ENOENT") return createStore();
+    throw err;
+  }
+}
+
+// Write-then-rename so a crash never leaves a half-written file
+async function saveStore(store) {
+  const tmp = `${DATA_FILE}.tmp`;
+  await writeFile(tmp, JSON.stringify(store));
+  await rename(tmp, DATA_FILE);
+}
+
+function send(res, status, body) {
+  res.writeHead(status, {
+    "Content-Type": "application/json",
+    "Access-Control-Allow-Origin": "*",
+    "Access-Control-Allow-Headers": "Authorization, Content-Type",
+    "Access-Control-Allow-Methods": "GET, POST, OPTIONS",
+  });
+  res.end(body === undefined ? "" : JSON.stringify(body));
+}
+
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    let size = 0;
+    const chunks = [];
+    req.on("data", (chunk) => {
+      size += chunk.length;
+      if (size > MAX_BODY_BYTES) {
+        reject(Object.assign(new Error("Body too large."), { status: 413 }));
+        req.destroy();
+        return;
+      }
+      chunks.push(chunk);
+    });
+    req.on("end", () => {
+      try {
+        resolve(JSON.parse(Buffer.concat(chunks).toString("utf8") || "{}"));
+      } catch {
+        reject(Object.assign(new Error("Invalid JSON."), { status: 400 }));
+      }
+    });
+    req.on("error", reject);
+  });
+}
+
+const store = await loadStore();
+// Requests are handled one at a time so revisions never interleave
+let queue = Promise.resolve();
+
+async function handle(req, res) {
+  if (req.method === "OPTIONS") return send(res, 204);
+
+  if (TOKEN && req.headers.authorization !== `Bearer ${TOKEN}`) {
+    return send(res, 401, { error: "Unauthorized." });
+  }
+
+  const url = new URL(req.url, "http://localhost");
+
+  if (req.method === "GET" && url.pathname === "/api/health") {
+    return send(res, 200, { ok: true, rev: store.rev });
+  }
+
+  if (url.pathname !== "/api/changes") {
+    return send(res, 404, { error: "Not found." });
+  }
+
+  if (req.method === "GET") {
+    const since = Number(url.searchParams.get("since")) || 0;
+    return send(res, 200, listChanges(store, since));
+  }
+
+  if (req.method === "POST") {
+    const body = await readBody(req);
+    if (
+      !body ||
+      typeof body !== "object" ||
+      !Array.isArray(body.changes) ||
+      !body.changes.every(isValidChange)
+    ) {
+      return send(res, 400, {
+        error: "Expected { changes: [{ kind, id, deleted, data, baseRev }] }.",
+      });
+    }
+    const result = applyChanges(store, body.changes);
+    if (result.applied.length > 0) await saveStore(store);
+    return send(res, 200, result);
+  }
+
+  return send(res, 405, { error: "Method not allowed." });
+}
+
+createServer((req, res) => {
+  queue = queue
+    .then(() => handle(req, res))
+    // Only errors raised on purpose (with a status) describe themselves
+    .catch((err) =>
+      send(res, err.status || 500, {
+        error: err.status ? err.message : "Internal server error.",
+      })
+    );
+}).listen(PORT, () => {
+  console.log(`Taskenhower sync server on http://localhost:${PORT}`);
+});
@@ -2,25 +2,213 @@
  * Taskenhower
  *
  * Features:
- * - Multiple matrices (Work/Personal/Goals pinned + optional Focus matrix)
+ * - Multiple matrices (pinned toggles + optional Focus matrix)
  * - Combined 2x2 Eisenhower grid view across selected matrices
+ * - Two-axis tasks (important + urgent); the quadrant is derived from both
+ * - Optional due dates/times with escalation into "Do First" near the deadline
+ * - Recurring tasks: completing one spawns the next instance in its series
+ * - Per-task checklists (subtasks) with progress rollup
+ * - Undo / redo (Ctrl+Z, Ctrl+Shift+Z) for every task + matrix change
+ * - Keyboard navigation (arrows, 1–4, e, d, x, a, Del) + command palette (Ctrl+K)
+ * - Quick-add syntax: #matrix, !1–!4 / !high, and dates like "fri 3pm"
+ * - Fuzzy search + filters across active, archived and deleted tasks
+ * - Coloured tags (+tag) with a tag filter and a tag manager
  * - Drag between quadrants + reorder within a quadrant (per matrix)
  * - Inline task editing (double-click)
  * - Archive + Delete lists with newest/oldest sorting
  * - Export / Import (JSON)
+ * - IndexedDB persistence (src/storage.js) with a numbered schema migration chain
+ * - Live sync between open tabs (src/tabSync.js), merging tasks record by record
+ * - CSV and Markdown export/import alongside the full JSON backup
+ * - Merge-import that adds new items and lets you settle conflicting tasks
+ * - Import preview with per-record validation; bad records are fixed or skipped
+ * - Automatic local backups with a snapshot browser, diff and restore
+ * - Optional sync to a self-hosted server (src/syncEngine.js, server/) with an
+ *   offline queue
+ * - Drag between matrices in the combined view (hold Alt to stay in one matrix)
+ * - Keyboard drag and drop (Space/Enter, arrows) with screen reader announcements
+ * - Phone layout: stacked quadrants, long-press drag, swipe to complete/archive/delete
+ * - Focus timer (work/break) that logs tracked time on tasks
+ * - Stats: completions per week, quadrant balance, time to complete, oldest tasks
+ * - "Clear completed" per quadrant or matrix, and per-matrix auto-archive
+ * - Multi-select (checkboxes, shift-click, select all) with bulk actions and
+ *   group drag
+ * - Task detail panel: Markdown notes, timestamps and matrix/quadrant history
+ * - Matrix manager: rename, pin/unpin, reorder and colour any matrix (the
+ *   colour marks its badges in the combined view)
  */
 
-import { useEffect, useMemo, useState } from "react";
+import { Fragment, useEffect, useMemo, useRef, useState } from "react";
 import {
   DndContext,
-  PointerSensor,
+  KeyboardSensor,
+  MouseSensor,
+  TouchSensor,
   useDraggable,
   useDroppable,
   useSensor,
   useSensors,
 } from "@dnd-kit/core";
+import { fallbackStorage, isQuotaError, openStorage } from "./storage.js";
+import {
+  TAB_ID,
+  mergeTasks,
+  openTabChannel,
+  relateVersions,
+  stampChanges,
+  trackPurgedIds,
+} from "./tabSync.js";
+import {
+  EMPTY_SYNC_STATE,
+  changedRecordKeys,
+  createSyncEngine,
+  recordKey,
+} from "./syncEngine.js";
+// Dev tests only: the sync server's store, run in memory
+import { applyChanges, createStore, listChanges } from "../server/store.js";
+
+// The four Eisenhower quadrants, derived from a task's two axes.
+// Listed in grid order: top-left, top-right, bottom-left, bottom-right.
+const QUADRANTS = [
+  { id: "do", label: "Do First", important: true, urgent: true },
+  { id: "schedule", label: "Plan / Schedule", important: true, urgent: false },
+  { id: "delegate", label: "Delegate", important: false, urgent: true },
+  { id: "backburner", label: "Backburner", important: false, urgent: false },
+];
+
+const quadrantIds = QUADRANTS.map((q) => q.id);
+
+// Legacy single-axis `urgency` values → the two-axis pair
+const LEGACY_URGENCY_AXES = {
+  High: { important: true, urgent: true },
+  Medium: { important: true, urgent: false },
+  Low: { important: false, urgent: true },
+  None: { important: false, urgent: false },
+};
+
+// Due-date badges: how close a deadline has to be to count as "due soon"
+const DUE_SOON_MS = 24 * 60 * 60 * 1000;
+
+// Escalation pass: an open task sitting in one of `from` whose deadline is
+// within `withinHours` (or already past) is moved into `to`.
+const ESCALATION_RULES = [
+  { from: ["schedule"], withinHours: 48, to: "do" },
+  { from: ["delegate", "backburner"], withinHours: 24, to: "do" },
+];
 
-const urgencyLevels = ["High", "Medium", "Low", "None"];
+const RECURRENCE_TYPES = [
+  { id: "daily", label: "Daily" },
+  { id: "weekdays", label: "Weekdays" },
+  { id: "weekly", label: "Weekly on…" },
+  { id: "monthly", label: "Monthly on day…" },
+  { id: "after", label: "Every N days after done" },
+];
+
+const WEEKDAY_LETTERS = ["S", "M", "T", "W", "T", "F", "S"];
+const WEEKDAY_NAMES = ["Sun", "Mon", "Tue", "Wed", "Thu", "Fri", "Sat"];
+
+// Undo history depth (snapshots share unchanged task objects, so this is cheap)
+const HISTORY_LIMIT = 50;
+
+// How long the "Undo" toast stays up after a destructive action
+const TOAST_MS = 6000;
+
+// Automatic backups: a scheduled snapshot (only if something changed since the
+// last one) plus one before every risky action. Retention keeps the newest
+// few, then one per day for a couple of weeks.
+const SNAPSHOT_INTERVAL_MS = 30 * 60 * 1000;
+const SNAPSHOT_KEEP_RECENT = 10;
+const SNAPSHOT_KEEP_DAYS = 14;
+const SNAPSHOT_LIMIT = 30;
+
+const SNAPSHOT_REASONS = {
+  scheduled: "Scheduled",
+  manual: "Manual",
+  merge: "Before matrix merge",
+  "matrix-delete": "Before matrix delete",
+  import: "Before import",
+  "clear-deleted": "Before clearing deleted",
+  restore: "Before restore",
+};
+
+// Quick-add `!token` → quadrant (numbers follow the grid order, words also
+// accept the legacy urgency names)
+const QUICK_ADD_QUADRANTS = {
+  1: "do",
+  do: "do",
+  high: "do",
+  2: "schedule",
+  schedule: "schedule",
+  plan: "schedule",
+  medium: "schedule",
+  3: "delegate",
+  delegate: "delegate",
+  low: "delegate",
+  4: "backburner",
+  backburner: "backburner",
+  none: "backburner",
+};
+
+// Quick-add words that introduce a short date form ("due wed", "on 3/14")
+const QUICK_ADD_DATE_PREFIXES = ["due", "on"];
+
+const WEEKDAY_FULL_NAMES = [
+  "sunday",
+  "monday",
+  "tuesday",
+  "wednesday",
+  "thursday",
+  "friday",
+  "saturday",
+];
+
+// Tag chip colours (full class names so Tailwind keeps them)
+const TAG_COLORS = {
+  slate: "bg-slate-200 text-slate-700",
+  red: "bg-red-100 text-red-700",
+  amber: "bg-amber-100 text-amber-800",
+  green: "bg-green-100 text-green-700",
+  teal: "bg-teal-100 text-teal-700",
+  blue: "bg-blue-100 text-blue-700",
+  violet: "bg-violet-100 text-violet-700",
+  pink: "bg-pink-100 text-pink-700",
+};
+
+// Matrix colours: the badge in the combined view and the bar in stats (full
+// class names so Tailwind keeps them)
+const MATRIX_COLORS = {
+  indigo: { badge: "bg-indigo-100 text-indigo-700", bar: "bg-indigo-500" },
+  teal: { badge: "bg-teal-100 text-teal-700", bar: "bg-teal-500" },
+  amber: { badge: "bg-amber-100 text-amber-800", bar: "bg-amber-500" },
+  pink: { badge: "bg-pink-100 text-pink-700", bar: "bg-pink-500" },
+  sky: { badge: "bg-sky-100 text-sky-700", bar: "bg-sky-500" },
+  lime: { badge: "bg-lime-100 text-lime-800", bar: "bg-lime-500" },
+  violet: { badge: "bg-violet-100 text-violet-700", bar: "bg-violet-500" },
+  orange: { badge: "bg-orange-100 text-orange-800", bar: "bg-orange-500" },
+};
+
+const DEFAULT_SETTINGS = {
+  // Completing a parent task also ticks off every item in its checklist
+  completeSubtasksWithParent: true,
+  // Optional sync server (empty = local only)
+  syncServerUrl: "",
+  syncToken: "",
+  // Focus timer phase lengths, in minutes (a 0-minute break skips it)
+  focusWorkMinutes: 25,
+  focusBreakMinutes: 5,
+};
+
+// Only one tab talks to the sync server; the others follow via tab sync
+const SYNC_LOCK_NAME = "taskenhower-rest-sync";
+
+const SYNC_STATUS_LABELS = {
+  syncing: "Syncing…",
+  pending: "Waiting to sync",
+  synced: "Synced",
+  offline: "Offline",
+  error: "Sync error",
+  follower: "Syncing in another tab",
+};
 
 const DEFAULT_MATRICES = [
   { id: "work", name: "Work", pinned: true },
@@ -36,12 +224,667 @@ function slugify(input) {
     .replace(/(^-|-$)/g, "");
 }
 
-function DroppableQuadrant({ id, className, children }) {
+function quadrantOf(task) {
+  const important = !!task.important;
+  const urgent = !!task.urgent;
+  const match = QUADRANTS.find(
+    (q) => q.important === important && q.urgent === urgent
+  );
+  return match.id;
+}
+
+function quadrantAxes(quadrant) {
+  const q = QUADRANTS.find((x) => x.id === quadrant);
+  return { important: q.important, urgent: q.urgent };
+}
+
+// Due dates are stored as the raw <input> values: dueDate "YYYY-MM-DD" and an
+// optional dueTime "HH:MM". A date without a time is due at the end of that day.
+function getDueMs(task) {
+  if (!task.dueDate) return null;
+  const [y, m, d] = task.dueDate.split("-").map(Number);
+  if (!y || !m || !d) return null;
+
+  const due = task.dueTime
+    ? new Date(y, m - 1, d, ...task.dueTime.split(":").map(Number))
+    : new Date(y, m - 1, d, 23, 59, 59, 999);
+  const ms = due.getTime();
+  return Number.isFinite(ms) ? ms : null;
+}
+
+// "overdue" | "soon" | "later" | null (no due date, or already completed)
+function getDueState(task, now) {
+  const due = getDueMs(task);
+  if (due == null || task.status === "Completed") return null;
+  if (due < now) return "overdue";
+  if (due - now <= DUE_SOON_MS) return "soon";
+  return "later";
+}
+
+function formatDue(task) {
+  const due = getDueMs(task);
+  if (due == null) return "";
+  const d = new Date(due);
+  const date = d.toLocaleDateString(undefined, {
+    month: "short",
+    day: "numeric",
+  });
+  if (!task.dueTime) return date;
+  const time = d.toLocaleTimeString(undefined, {
+    hour: "numeric",
+    minute: "2-digit",
+  });
+  return `${date} ${time}`;
+}
+
+// Identifies the deadline a task was escalated for, so moving it back out of
+// "Do First" sticks until the due date/time changes.
+function dueKey(task) {
+  return `${task.dueDate ?? ""}T${task.dueTime ?? ""}`;
+}
+
+function findEscalationRule(task, now) {
+  const due = getDueMs(task);
+  if (due == null) return null;
+  if (task.status !== "Not Done") return null;
+  if (task.escalatedFor === dueKey(task)) return null;
+
+  const quadrant = quadrantOf(task);
+  return (
+    ESCALATION_RULES.find(
+      (rule) =>
+        rule.from.includes(quadrant) &&
+        due - now <= rule.withinHours * 60 * 60 * 1000
+    ) ?? null
+  );
+}
+
+// ---------- recurrence ----------
+// A task's `recurrence` is one of:
+//   { type: "daily" } | { type: "weekdays" }
+//   { type: "weekly", days: [0..6] }        (0 = Sunday)
+//   { type: "monthly", dayOfMonth: 1..31 }  (clamped to short months)
+//   { type: "after", interval: n }          (n days after completion)
+function toDateInput(date) {
+  const y = date.getFullYear();
+  const m = String(date.getMonth() + 1).padStart(2, "0");
+  const d = String(date.getDate()).padStart(2, "0");
+  return `${y}-${m}-${d}`;
+}
+
+function fromDateInput(value) {
+  const [y, m, d] = value.split("-").map(Number);
+  return new Date(y, m - 1, d);
+}
+
+function addDays(date, n) {
+  return new Date(date.getFullYear(), date.getMonth(), date.getDate() + n);
+}
+
+function defaultRecurrence(type, today = new Date()) {
+  switch (type) {
+    case "weekly":
+      return { type, days: [today.getDay()] };
+    case "monthly":
+      return { type, dayOfMonth: today.getDate() };
+    case "after":
+      return { type, interval: 1 };
+    default:
+      return { type };
+  }
+}
+
+// Next calendar day strictly after `anchor` that matches the rule.
+// "after" rules count from `completedOn` instead.
+function nextOccurrence(rule, anchor, completedOn) {
+  switch (rule.type) {
+    case "daily":
+      return addDays(anchor, 1);
+    case "weekdays":
+    case "weekly": {
+      let days = rule.days?.length ? rule.days : [anchor.getDay()];
+      if (rule.type === "weekdays") days = [1, 2, 3, 4, 5];
+      for (let i = 1; i <= 7; i += 1) {
+        const candidate = addDays(anchor, i);
+        if (days.includes(candidate.getDay())) return candidate;
+      }
+      return addDays(anchor, 7);
+    }
+    case "monthly": {
+      const target = rule.dayOfMonth || anchor.getDate();
+      const onDay = (year, month) => {
+        const lastDay = new Date(year, month + 1, 0).getDate();
+        return new Date(year, month, Math.min(target, lastDay));
+      };
+      const thisMonth = onDay(anchor.getFullYear(), anchor.getMonth());
+      if (thisMonth > anchor) return thisMonth;
+      return onDay(anchor.getFullYear(), anchor.getMonth() + 1);
+    }
+    case "after":
+      return addDays(completedOn, Math.max(1, rule.interval || 1));
+    default:
+      return null;
+  }
+}
+
+// `rule` with every field its type needs, or null when the type isn't one we
+// know. Missing or out-of-range fields get the picker's defaults.
+function normalizeRecurrence(rule, today = new Date()) {
+  if (!rule || typeof rule !== "object") return null;
+  if (!RECURRENCE_TYPES.some((r) => r.id === rule.type)) return null;
+
+  const defaults = defaultRecurrence(rule.type, today);
+  const fixed = { ...rule };
+  if (rule.type === "weekly") {
+    const days = Array.isArray(rule.days)
+      ? rule.days.filter((d) => Number.isInteger(d) && d >= 0 && d <= 6)
+      : [];
+    fixed.days = days.length > 0 ? [...new Set(days)] : defaults.days;
+  }
+  if (
+    rule.type === "monthly" &&
+    !(
+      Number.isInteger(rule.dayOfMonth) &&
+      rule.dayOfMonth >= 1 &&
+      rule.dayOfMonth <= 31
+    )
+  ) {
+    fixed.dayOfMonth = defaults.dayOfMonth;
+  }
+  if (
+    rule.type === "after" &&
+    !(Number.isInteger(rule.interval) && rule.interval >= 1)
+  ) {
+    fixed.interval = defaults.interval;
+  }
+  return fixed;
+}
+
+function describeRecurrence(rule) {
+  if (!rule) return "";
+  switch (rule.type) {
+    case "daily":
+      return "Repeats daily";
+    case "weekdays":
+      return "Repeats on weekdays";
+    case "weekly":
+      return `Repeats weekly on ${(rule.days ?? [])
+        .slice()
+        .sort()
+        .map((d) => WEEKDAY_NAMES[d])
+        .join(", ")}`;
+    case "monthly":
+      return `Repeats monthly on day ${rule.dayOfMonth}`;
+    case "after":
+      return `Repeats ${rule.interval} day${
+        rule.interval === 1 ? "" : "s"
+      } after completion`;
+    default:
+      return "";
+  }
+}
+
+// ---------- subtasks ----------
+// A task's `subtasks` is an ordered checklist: [{ id, text, done }]
+function nextSubtaskId(subtasks) {
+  return subtasks.reduce((m, s) => Math.max(m, Number(s.id) || 0), 0) + 1;
+}
+
+function normalizeSubtasks(list) {
+  const valid = list.filter(
+    (s) => typeof s === "string" || typeof s?.text === "string"
+  );
+  const used = valid.filter((s) => typeof s === "object" && s.id != null);
+
+  let nextId = nextSubtaskId(used);
+  return valid.map((s) => {
+    if (typeof s === "string") return { id: nextId++, text: s, done: false };
+    return { id: s.id ?? nextId++, text: s.text, done: !!s.done };
+  });
+}
+
+// Keyboard shortcuts are ignored while the user is typing into a field
+function isTypingTarget(target) {
+  const tag = target?.tagName;
+  return (
+    tag === "INPUT" ||
+    tag === "TEXTAREA" ||
+    tag === "SELECT" ||
+    !!target?.isContentEditable
+  );
+}
+
+// ...and while focus is inside a dialog or side panel
+function isInDialog(target) {
+  return !!target?.closest?.('[role="dialog"]');
+}
+
+// Single-key shortcuts that act on the selected task
+const TASK_KEY_ACTIONS = {
+  e: "edit",
+  d: "details",
+  x: "toggle",
+  a: "archive",
+  Delete: "delete",
+  Backspace: "delete",
+  Escape: "clearSelection",
+};
+
+// The action a single key stands for, or null. Task actions (and 1–4, which
+// move the task to that quadrant) need a selected task.
+function taskKeyAction(key, hasSelection) {
+  if (key.startsWith("Arrow")) return { type: "moveSelection" };
+  if (key === "n") return { type: "focusNewTask" };
+  if (key === "/") return { type: "focusSearch" };
+  if (!hasSelection) return null;
+  if (["1", "2", "3", "4"].includes(key)) {
+    return { type: "moveToQuadrant", index: Number(key) - 1 };
+  }
+  const type = TASK_KEY_ACTIONS[key];
+  return type ? { type } : null;
+}
+
+// ---------- undo history ----------
+// history = { past: [snapshot], future: [snapshot] }, snapshot = { tasks,
+// matrices }. A new checkpoint drops the redo stack.
+function pushHistory(history, snapshot) {
+  return {
+    past: [...history.past, snapshot].slice(-HISTORY_LIMIT),
+    future: [],
+  };
+}
+
+// Steps back from `current`; returns null when there is nothing to undo
+function undoHistory(history, current) {
+  if (history.past.length === 0) return null;
+  return {
+    history: {
+      past: history.past.slice(0, -1),
+      future: [current, ...history.future].slice(0, HISTORY_LIMIT),
+    },
+    snapshot: history.past[history.past.length - 1],
+  };
+}
+
+// Steps forward from `current`; returns null when there is nothing to redo
+function redoHistory(history, current) {
+  if (history.future.length === 0) return null;
+  const [snapshot, ...rest] = history.future;
+  return {
+    history: {
+      past: [...history.past, current].slice(-HISTORY_LIMIT),
+      future: rest,
+    },
+    snapshot,
+  };
+}
+
+// ---------- quick-add parsing ----------
+function resolveMatrixToken(token, matrices) {
+  const slug = slugify(token);
+  if (!slug) return null;
+
+  const exact = matrices.find((m) => m.id === slug || slugify(m.name) === slug);
+  if (exact) return exact.id;
+
+  // Unambiguous prefix, e.g. #pers → Personal
+  const prefixed = matrices.filter((m) => slugify(m.name).startsWith(slug));
+  return prefixed.length === 1 ? prefixed[0].id : null;
+}
+
+// Short forms ("sun", "wed", "1/2") are ordinary words too, so they only
+// count as dates when `prefixed` (after "due" / "on", or before a time, as in
+// "fri 3pm"). Dates that don't exist (13/45, 2030-02-30) are rejected rather
+// than rolled over.
+function parseDateWord(word, today, { prefixed = false } = {}) {
+  if (word === "today" || word === "tod") return today;
+  if (["tomorrow", "tmr", "tmrw"].includes(word)) return addDays(today, 1);
+
+  if (/^\d{4}-\d{2}-\d{2}$/.test(word)) {
+    const date = fromDateInput(word);
+    return toDateInput(date) === word ? date : null;
+  }
+
+  // Weekday names → the next such day, today included
+  const nextWeekday = (day) => addDays(today, (day - today.getDay() + 7) % 7);
+  const fullDay = WEEKDAY_FULL_NAMES.indexOf(word);
+  if (fullDay !== -1) return nextWeekday(fullDay);
+  if (!prefixed) return null;
+
+  const md = word.match(/^(\d{1,2})\/(\d{1,2})$/);
+  if (md) {
+    const month = Number(md[1]) - 1;
+    const day = Number(md[2]);
+    // This year, or next year once the day has passed
+    const dateIn = (year) => {
+      const date = new Date(year, month, day);
+      return date.getMonth() === month && date.getDate() === day ? date : null;
+    };
+    const date = dateIn(today.getFullYear());
+    if (date && date >= today) return date;
+    return dateIn(today.getFullYear() + 1);
+  }
+
+  if (word.length >= 3) {
+    const day = WEEKDAY_FULL_NAMES.findIndex((n) => n.startsWith(word));
+    if (day !== -1) return nextWeekday(day);
+  }
+
+  return null;
+}
+
+// "3pm", "3:30pm", "15:00", "noon" → "HH:MM"
+function parseTimeWord(word) {
+  if (!word) return null;
+  if (word === "noon") return "12:00";
+
+  const ampm = word.match(/^(\d{1,2})(?::(\d{2}))?(am|pm)$/);
+  const clock = word.match(/^(\d{1,2}):(\d{2})$/);
+  if (!ampm && !clock) return null;
+
+  let hours = Number((ampm ?? clock)[1]);
+  const minutes = Number((ampm ?? clock)[2] ?? 0);
+  if (ampm) {
+    if (hours < 1 || hours > 12) return null;
+    hours = (hours % 12) + (ampm[3] === "pm" ? 12 : 0);
+  }
+  if (hours > 23 || minutes > 59) return null;
+
+  return `${String(hours).padStart(2, "0")}:${String(minutes).padStart(2, "0")}`;
+}
+
+// A time at `words[i]`: "3pm", or "at" + any clock time ("10:30"
+// alone could be anything) → { time, end } or null
+function timePhraseAt(words, i) {
+  if (words[i] === "at" && parseTimeWord(words[i + 1])) {
+    return { time: parseTimeWord(words[i + 1]), end: i + 2 };
+  }
+  const time = /(am|pm)$/.test(words[i] ?? "") && parseTimeWord(words[i]);
+  return time ? { time, end: i + 1 } : null;
+}
+
+// Date and time phrases in lower-cased `words`, in order:
+// [{ start, end, date?, time?, prefixed }]. `prefixed` phrases start with
+// "due", "on", "in" or "at"; a date directly followed by a time is read as one
+// phrase ("fri 3pm", "tomorrow at 9:00").
+function findDatePhrases(words, today) {
+  const phrases = [];
+  let i = 0;
+  while (i < words.length) {
+    const word = words[i];
+    const next = words[i + 1];
+    let phrase = null;
+
+    const prefixedDate =
+      QUICK_ADD_DATE_PREFIXES.includes(word) &&
+      next &&
+      parseDateWord(next, today, { prefixed: true });
+    if (prefixedDate) {
+      phrase = { date: prefixedDate, end: i + 2, prefixed: true };
+    } else if (
+      word === "in" &&
+      /^\d+$/.test(next ?? "") &&
+      /^(days?|weeks?)$/.test(words[i + 2] ?? "")
+    ) {
+      const days = Number(next) * (words[i + 2].startsWith("week") ? 7 : 1);
+      phrase = { date: addDays(today, days), end: i + 3, prefixed: true };
+    } else {
+      const date =
+        parseDateWord(word, today) ??
+        (timePhraseAt(words, i + 1) &&
+          parseDateWord(word, today, { prefixed: true }));
+      if (date) phrase = { date, end: i + 1, prefixed: false };
+    }
+
+    if (phrase) {
+      const after = timePhraseAt(words, phrase.end);
+      if (after) phrase = { ...phrase, time: after.time, end: after.end };
+    } else {
+      const at = timePhraseAt(words, i);
+      if (at) phrase = { time: at.time, end: at.end, prefixed: word === "at" };
+    }
+
+    if (phrase) {
+      phrases.push({ start: i, ...phrase });
+      i = phrase.end;
+    } else {
+      i += 1;
+    }
+  }
+  return phrases;
+}
+
+// Pulls inline tokens out of new-task text:
+//   #work, #"Project XYZ"   → matrixId (via slugify + matrix names)
+//   !1..!4, !high, !delegate → quadrant
+//   +errand, +client-a       → tags
+//   today, friday, due fri, on 3/14, 2026-03-14, in 3 days → due date
+//   3pm, at 15:00, fri 3pm   → due time (clock times need "at")
+// Bare date and time words only count at the end of the text (or as a date
+// followed by a time); "due" / "on" / "in" / "at" phrases count anywhere.
+// Unrecognised tokens stay in the text. `textWithDue` is the text with the
+// due-date words left in, for when the user sets the date by hand.
+function parseQuickAdd(input, matrices, now = new Date()) {
+  const today = fromDateInput(toDateInput(now));
+  const result = {
+    text: input.trim(),
+    matrixId: null,
+    quadrant: null,
+    dueDate: null,
+    dueTime: null,
+    tags: [],
+    textWithDue: input.trim(),
+  };
+
+  let rest = ` ${input} `;
+
+  rest = rest.replace(
+    /\s#(?:"([^"]+)"|(\S+))(?=\s)/g,
+    (match, quoted, bare) => {
+      const id = resolveMatrixToken(quoted ?? bare, matrices);
+      if (!id) return match;
+      result.matrixId = id;
+      return " ";
+    }
+  );
+
+  rest = rest.replace(/\s!(\w+)(?=\s)/g, (match, key) => {
+    const quadrant = QUICK_ADD_QUADRANTS[key.toLowerCase()];
+    if (!quadrant) return match;
+    result.quadrant = quadrant;
+    return " ";
+  });
+
+  rest = rest.replace(/\s\+([\w-]+)(?=\s)/g, (match, name) => {
+    const tag = slugify(name);
+    if (!tag) return match;
+    if (!result.tags.includes(tag)) result.tags.push(tag);
+    return " ";
+  });
+
+  const words = rest.trim().split(/\s+/).filter(Boolean);
+  const phrases = findDatePhrases(
+    words.map((w) => w.toLowerCase()),
+    today
+  );
+
+  // Bare words ("today", "monday", "3pm") only count at the end of the text;
+  // mid-sentence they're more likely part of the title
+  let tail = words.length;
+  for (const phrase of [...phrases].reverse()) {
+    if (phrase.end !== tail) break;
+    tail = phrase.start;
+  }
+
+  let date = null;
+  let time = null;
+  const used = new Set();
+  phrases.forEach((phrase) => {
+    const clear =
+      phrase.prefixed || (phrase.date && phrase.time) || phrase.start >= tail;
+    if (!clear || (phrase.date && date) || (phrase.time && time)) return;
+    date = phrase.date ?? date;
+    time = phrase.time ?? time;
+    for (let i = phrase.start; i < phrase.end; i += 1) used.add(i);
+  });
+  const kept = words.filter((_, i) => !used.has(i));
+
+  // A bare time means the next time that clock time comes round
+  if (time && !date) {
+    const [h, m] = time.split(":").map(Number);
+    const todayAt = new Date(
+      today.getFullYear(),
+      today.getMonth(),
+      today.getDate(),
+      h,
+      m
+    );
+    date = todayAt < now ? addDays(today, 1) : today;
+  }
+
+  if (date) {
+    result.dueDate = toDateInput(date);
+    result.dueTime = time ?? "";
+  }
+
+  result.text = kept.join(" ");
+  result.textWithDue = words.join(" ");
+  return result;
+}
+
+// ---------- tags ----------
+// Tags are free-form, stored on tasks as slugs: task.tags = ["client-a", …].
+// Colours live separately (tagColors: { [tag]: colourKey }); a tag without
+// one gets a stable colour from its name.
+function parseTagList(input) {
+  return Array.from(
+    new Set(input.split(",").map((t) => slugify(t.replace(/^\+/, ""))))
+  ).filter(Boolean);
+}
+
+function tagColorKey(tag, tagColors) {
+  if (TAG_COLORS[tagColors?.[tag]]) return tagColors[tag];
+  const keys = Object.keys(TAG_COLORS);
+  const hash = [...tag].reduce((h, ch) => h + ch.charCodeAt(0), 0);
+  return keys[hash % keys.length];
+}
+
+// Renames `from` → `to` on every task; renaming onto an existing tag merges
+// them, and an empty `to` removes the tag everywhere.
+function renameTagInTasks(allTasks, from, to) {
+  return allTasks.map((t) => {
+    if (!t.tags?.includes(from)) return t;
+    const tags = t.tags.map((tag) => (tag === from ? to : tag)).filter(Boolean);
+    return { ...t, tags: Array.from(new Set(tags)) };
+  });
+}
+
+function TagChip({ tag, tagColors, active = true, onClick }) {
+  const className = `text-[10px] px-1 py-0.5 rounded leading-none whitespace-nowrap self-center ${
+    TAG_COLORS[tagColorKey(tag, tagColors)]
+  } ${active ? "" : "opacity-40"}`;
+
+  if (!onClick) return <span className={className}>{tag}</span>;
+  return (
+    <button type="button" className={className} onClick={onClick}>
+      {tag}
+    </button>
+  );
+}
+
+function getCreatedIso(task) {
+  if (task.createdAt) return task.createdAt;
+  if (typeof task.id === "number") return new Date(task.id).toISOString();
+  return null;
+}
+
+// ---------- search ----------
+const DEFAULT_SEARCH = {
+  query: "",
+  matrixId: "all",
+  quadrant: "all",
+  status: "all",
+  dateField: "created", // created | archived | deleted
+  from: "",
+  to: "",
+};
+
+// Every whitespace-separated term must match, either as a substring (scored
+// higher, more so at a word start) or as an in-order subsequence.
+// Returns { score, indices } for highlighting, or null when it doesn't match.
+function fuzzyMatch(query, text) {
+  const terms = query.toLowerCase().split(/\s+/).filter(Boolean);
+  const lower = text.toLowerCase();
+  const indices = new Set();
+  let score = 0;
+
+  for (const term of terms) {
+    const at = lower.indexOf(term);
+    if (at !== -1) {
+      for (let i = 0; i < term.length; i += 1) indices.add(at + i);
+      score += term.length * 3;
+      if (at === 0 || /\W/.test(lower[at - 1])) score += 5;
+      continue;
+    }
+
+    let pos = -1;
+    let prev = -2;
+    for (const ch of term) {
+      pos = lower.indexOf(ch, pos + 1);
+      if (pos === -1) return null;
+      indices.add(pos);
+      score += pos === prev + 1 ? 2 : 1;
+      prev = pos;
+    }
+  }
+
+  return { score, indices: [...indices].sort((a, b) => a - b) };
+}
+
+function searchTasks(allTasks, filters) {
+  const fromMs = filters.from
+    ? fromDateInput(filters.from).getTime()
+    : -Infinity;
+  const toMs = filters.to
+    ? addDays(fromDateInput(filters.to), 1).getTime()
+    : Infinity;
+  const hasRange = !!(filters.from || filters.to);
+
+  return allTasks
+    .map((task) => {
+      if (filters.matrixId !== "all" && task.matrixId !== filters.matrixId) {
+        return null;
+      }
+      if (filters.quadrant !== "all" && quadrantOf(task) !== filters.quadrant) {
+        return null;
+      }
+      if (filters.status !== "all" && task.status !== filters.status) {
+        return null;
+      }
+
+      if (hasRange) {
+        let iso = getCreatedIso(task);
+        if (filters.dateField === "archived") iso = task.archivedAt;
+        if (filters.dateField === "deleted") iso = task.deletedAt;
+        const ms = iso ? new Date(iso).getTime() : NaN;
+        if (!(ms >= fromMs && ms < toMs)) return null;
+      }
+
+      const match = fuzzyMatch(filters.query, task.text);
+      return match ? { task, ...match } : null;
+    })
+    .filter(Boolean)
+    .sort((a, b) => b.score - a.score || b.task.id - a.task.id);
+}
+
+function DroppableQuadrant({ id, label, className, children }) {
   const { isOver, setNodeRef } = useDroppable({ id });
 
   return (
     <div
       ref={setNodeRef}
+      role="region"
+      aria-label={label}
       className={`${className} ${isOver ? "ring-2 ring-slate-400" : ""}`}
     >
       {children}
@@ -49,44 +892,211 @@ function DroppableQuadrant({ id, className, children }) {
   );
 }
 
+function DroppableMatrixSlot({ id, label, color, children }) {
+  const { isOver, setNodeRef } = useDroppable({ id });
+
+  return (
+    <div
+      ref={setNodeRef}
+      role="region"
+      aria-label={label}
+      className={`flex-1 min-w-0 truncate rounded border border-dashed border-slate-300 px-2 py-1 text-[11px] text-center ${
+        color ?? "bg-white/40 text-slate-600"
+      } ${isOver ? "ring-2 ring-slate-400" : ""}`}
+    >
+      {children}
+    </div>
+  );
+}
+
 function DroppableTaskTarget({ id, children }) {
   const { setNodeRef } = useDroppable({ id });
-  return <div ref={setNodeRef}>{children}</div>;
+  return (
+    <div ref={setNodeRef} role="listitem">
+      {children}
+    </div>
+  );
+}
+
+// How far a row has to be swiped before letting go triggers its action
+const SWIPE_ACTION_PX = 72;
+const SWIPE_DELETE_PX = 160;
+
+// The action a horizontal swipe of `dx` pixels would trigger, if any
+function swipeActionOf(dx) {
+  if (dx >= SWIPE_ACTION_PX) return "complete";
+  if (dx <= -SWIPE_DELETE_PX) return "delete";
+  if (dx <= -SWIPE_ACTION_PX) return "archive";
+  return null;
 }
 
 function DraggableTaskRow({
   task,
+  now,
+  isSelected,
+  onSelect,
+  tagColors,
+  onTagClick,
   showMatrixBadge,
   matrixName,
+  matrixColor,
+  isTimerTask,
+  isChecked,
+  selectionActive,
+  onCheck,
+  isCarried,
   onToggleComplete,
   onArchive,
   onDelete,
+  onOpenDetails,
   isEditing,
   draftText,
+  draftDue,
+  draftRecurrence,
+  draftTags,
   onStartEdit,
   onChangeDraft,
+  onChangeDraftDue,
+  onChangeDraftRecurrence,
+  onChangeDraftTags,
   onCommitEdit,
   onCancelEdit,
+  onAddSubtask,
+  onToggleSubtask,
+  onMoveSubtask,
+  onDeleteSubtask,
 }) {
+  const [expanded, setExpanded] = useState(false);
+  const rowRef = useRef(null);
+  // Touch swipes: right completes, left archives, a long swipe left deletes
+  const [swipeX, setSwipeX] = useState(0);
+  const swipeRef = useRef(null);
+  const subtasks = task.subtasks ?? [];
+  const doneCount = subtasks.filter((s) => s.done).length;
+  const tracked = trackedMs(task);
+
   const { attributes, listeners, setNodeRef, transform, isDragging } =
     useDraggable({
       id: task.id,
       data: {
         matrixId: task.matrixId,
-        urgency: task.urgency,
+        quadrant: quadrantOf(task),
       },
     });
 
+  useEffect(() => {
+    if (isSelected) rowRef.current?.scrollIntoView({ block: "nearest" });
+  }, [isSelected]);
+
   const style = {
     transform: transform
       ? `translate3d(${transform.x}px, ${transform.y}px, 0)`
       : undefined,
-    opacity: isDragging ? 0.6 : 1,
+    opacity: isDragging || isCarried ? 0.6 : 1,
+  };
+
+  const swipeAction = swipeActionOf(swipeX);
+
+  const onTouchStart = (e) => {
+    // Controls keep their own touch behaviour; the handle is for dragging
+    if (isEditing || e.touches.length !== 1) return;
+    if (e.target.closest("button, input, select, textarea")) return;
+    const touch = e.touches[0];
+    swipeRef.current = { x: touch.clientX, y: touch.clientY, horizontal: null };
+  };
+
+  const onTouchMove = (e) => {
+    const swipe = swipeRef.current;
+    if (!swipe || isDragging) return;
+    const touch = e.touches[0];
+    const dx = touch.clientX - swipe.x;
+    const dy = touch.clientY - swipe.y;
+
+    // Decide once whether this is a swipe or a scroll
+    if (swipe.horizontal === null) {
+      if (Math.abs(dx) < 8 && Math.abs(dy) < 8) return;
+      swipe.horizontal = Math.abs(dx) > Math.abs(dy);
+    }
+    if (!swipe.horizontal) {
+      swipeRef.current = null;
+      return;
+    }
+    setSwipeX(dx);
+  };
+
+  const onTouchEnd = () => {
+    swipeRef.current = null;
+    setSwipeX(0);
+    if (isDragging) return;
+    if (swipeAction === "complete") onToggleComplete(task.id);
+    if (swipeAction === "archive") onArchive(task.id);
+    if (swipeAction === "delete") onDelete(task.id);
   };
 
+  const swipeHint = {
+    complete: task.status === "Completed" ? "↺ Reopen" : "✓ Complete",
+    archive: "Archive 🗃",
+    delete: "Delete 🗑️",
+  }[swipeAction];
+
   return (
-    <div ref={setNodeRef} style={style}>
-      <div className="flex items-center justify-between text-sm gap-2 group hover:bg-white/50 rounded px-1">
+    <div
+      ref={(node) => {
+        setNodeRef(node);
+        rowRef.current = node;
+      }}
+      style={style}
+      onClick={onSelect}
+      className="relative"
+    >
+      {swipeX !== 0 && (
+        <div
+          className={`absolute inset-0 flex items-center rounded px-2 text-xs font-medium ${
+            swipeX > 0 ? "justify-start" : "justify-end"
+          } ${
+            swipeAction === "complete"
+              ? "bg-green-200 text-green-800"
+              : swipeAction === "archive"
+                ? "bg-slate-300 text-slate-700"
+                : swipeAction === "delete"
+                  ? "bg-red-200 text-red-800"
+                  : "bg-slate-100 text-slate-400"
+          }`}
+          aria-hidden="true"
+        >
+          {swipeHint ?? (swipeX > 0 ? "Complete" : "Archive")}
+        </div>
+      )}
+
+      <div
+        className={`relative flex items-center justify-between text-sm gap-2 group hover:bg-white/50 rounded px-1 touch-pan-y ${
+          isSelected ? "ring-2 ring-indigo-400 bg-white/60" : ""
+        } ${isChecked ? "bg-indigo-50" : ""} ${
+          swipeX !== 0 ? "bg-white shadow-sm" : ""
+        }`}
+        style={
+          swipeX !== 0 ? { transform: `translateX(${swipeX}px)` } : undefined
+        }
+        onTouchStart={onTouchStart}
+        onTouchMove={onTouchMove}
+        onTouchEnd={onTouchEnd}
+        onTouchCancel={() => {
+          swipeRef.current = null;
+          setSwipeX(0);
+        }}
+      >
+        <input
+          type="checkbox"
+          className={`${
+            selectionActive || isChecked ? "" : "opacity-0"
+          } group-hover:opacity-100 focus:opacity-100 touch:opacity-100`}
+          checked={isChecked}
+          // Shift-click selects everything from the last checked task
+          onChange={(e) => onCheck(e.nativeEvent.shiftKey)}
+          onClick={(e) => e.stopPropagation()}
+          aria-label={`Select “${task.text}”`}
+        />
+
         <button
           onClick={() => onToggleComplete(task.id)}
           className={`w-3 h-3 rounded-full border-2 mt-1 ${
@@ -95,30 +1105,73 @@ function DraggableTaskRow({
               : "border-slate-400"
           }`}
           title="Toggle complete"
+          aria-label={`Complete “${task.text}”`}
+          aria-pressed={task.status === "Completed"}
         />
 
+        {/* Faded rather than hidden, so it stays reachable with Tab */}
         <button
           {...listeners}
           {...attributes}
-          className="invisible group-hover:visible group-focus-within:visible cursor-grab active:cursor-grabbing text-gray-400 hover:text-gray-600"
-          title="Drag"
-          aria-label="Drag task"
+          className={`${
+            isSelected ? "opacity-100" : "opacity-0"
+          } group-hover:opacity-100 group-focus-within:opacity-100 focus:opacity-100 touch:opacity-100 touch:px-1 touch:text-base touch-manipulation focus:outline-none focus-visible:ring-2 focus-visible:ring-indigo-400 rounded cursor-grab active:cursor-grabbing text-gray-400 hover:text-gray-600`}
+          title="Drag (or press Space, then use the arrow keys; long-press on touch screens)"
+          aria-label={`Move “${task.text}”`}
         >
           ⠿
         </button>
 
         {isEditing ? (
-          <input
-            className="flex-1 border border-slate-300 rounded px-2 py-1 text-sm bg-white"
-            value={draftText}
-            autoFocus
-            onChange={(e) => onChangeDraft(e.target.value)}
+          <div
+            className="flex-1 flex flex-wrap items-center gap-1"
             onKeyDown={(e) => {
               if (e.key === "Enter") onCommitEdit();
               if (e.key === "Escape") onCancelEdit();
             }}
-            onBlur={() => onCommitEdit()}
-          />
+            onBlur={(e) => {
+              // Only commit once focus leaves the editor as a whole
+              if (!e.currentTarget.contains(e.relatedTarget)) onCommitEdit();
+            }}
+          >
+            <input
+              className="flex-1 min-w-[120px] border border-slate-300 rounded px-2 py-1 text-sm bg-white"
+              value={draftText}
+              autoFocus
+              onChange={(e) => onChangeDraft(e.target.value)}
+            />
+            <input
+              type="date"
+              className="border border-slate-300 rounded px-1 py-1 text-xs bg-white"
+              value={draftDue.dueDate}
+              onChange={(e) =>
+                onChangeDraftDue({ ...draftDue, dueDate: e.target.value })
+              }
+              title="Due date"
+            />
+            <input
+              type="time"
+              className="border border-slate-300 rounded px-1 py-1 text-xs bg-white"
+              value={draftDue.dueTime}
+              disabled={!draftDue.dueDate}
+              onChange={(e) =>
+                onChangeDraftDue({ ...draftDue, dueTime: e.target.value })
+              }
+              title="Due time (optional)"
+            />
+            <RecurrencePicker
+              value={draftRecurrence}
+              onChange={onChangeDraftRecurrence}
+              compact
+            />
+            <input
+              className="w-32 border border-slate-300 rounded px-1 py-1 text-xs bg-white"
+              placeholder="tags, comma separated"
+              value={draftTags}
+              onChange={(e) => onChangeDraftTags(e.target.value)}
+              title="Tags"
+            />
+          </div>
         ) : (
           <span
             className={`flex-1 cursor-text ${
@@ -133,9 +1186,82 @@ function DraggableTaskRow({
           </span>
         )}
 
+        {!isEditing && (
+          <button
+            onClick={() => setExpanded((v) => !v)}
+            className={`text-[10px] leading-none whitespace-nowrap self-center ${
+              subtasks.length
+                ? doneCount === subtasks.length
+                  ? "text-green-700"
+                  : "text-slate-500"
+                : "text-gray-400 opacity-0 group-hover:opacity-100 touch:opacity-100 transition-opacity duration-200"
+            }`}
+            title={expanded ? "Hide checklist" : "Show checklist"}
+            aria-expanded={expanded}
+          >
+            {expanded ? "▾" : "▸"}{" "}
+            {subtasks.length ? `${doneCount}/${subtasks.length}` : "☑"}
+          </button>
+        )}
+
+        {!isEditing && (
+          <button
+            onClick={onOpenDetails}
+            className={`text-xs leading-none self-center ${
+              task.notes
+                ? "text-slate-500 hover:text-slate-700"
+                : "text-gray-400 hover:text-gray-600 opacity-0 group-hover:opacity-100 group-focus-within:opacity-100 touch:opacity-100 transition-opacity duration-200"
+            }`}
+            title={
+              task.notes ? "Has notes (open details)" : "Details and notes"
+            }
+            aria-label={`Details for “${task.text}”${
+              task.notes ? " (has notes)" : ""
+            }`}
+          >
+            {task.notes ? "📝" : "ⓘ"}
+          </button>
+        )}
+
+        {!isEditing && task.recurrence && (
+          <span
+            className="text-xs text-slate-400 self-center"
+            title={describeRecurrence(task.recurrence)}
+          >
+            ↻
+          </span>
+        )}
+
+        {!isEditing && task.dueDate && <DueBadge task={task} now={now} />}
+
+        {!isEditing && (isTimerTask || tracked > 0) && (
+          <span
+            className={`text-[10px] leading-none whitespace-nowrap self-center ${
+              isTimerTask ? "text-indigo-700 font-semibold" : "text-slate-500"
+            }`}
+            title={`${(task.sessions ?? []).length} focus session${
+              (task.sessions ?? []).length === 1 ? "" : "s"
+            }${isTimerTask ? " (timer running)" : ""}`}
+          >
+            ⏱ {tracked > 0 ? formatDuration(tracked) : "now"}
+          </span>
+        )}
+
+        {!isEditing &&
+          (task.tags ?? []).map((tag) => (
+            <TagChip
+              key={tag}
+              tag={tag}
+              tagColors={tagColors}
+              onClick={() => onTagClick(tag)}
+            />
+          ))}
+
         {showMatrixBadge && (
           <span
-            className="text-[10px] px-1 py-0 rounded bg-slate-200/50 text-slate-500 leading-none opacity-70 tracking-tight whitespace-nowrap self-center"
+            className={`text-[10px] px-1 py-0 rounded leading-none tracking-tight whitespace-nowrap self-center ${
+              matrixColor ?? "bg-slate-200/50 text-slate-500 opacity-70"
+            }`}
             title="Which matrix this task belongs to"
           >
             {matrixName}
@@ -144,7 +1270,7 @@ function DraggableTaskRow({
 
         <button
           onClick={() => onArchive(task.id)}
-          className="text-xs text-gray-400 hover:text-gray-600 opacity-0 group-hover:opacity-100 transition-opacity duration-200"
+          className="text-xs text-gray-400 hover:text-gray-600 opacity-0 group-hover:opacity-100 group-focus-within:opacity-100 touch:opacity-100 transition-opacity duration-200"
           title="Archive task"
         >
           🗃
@@ -152,1048 +1278,6080 @@ function DraggableTaskRow({
 
         <button
           onClick={() => onDelete(task.id)}
-          className="text-xs text-gray-400 hover:text-red-600 opacity-0 group-hover:opacity-100 transition-opacity duration-200"
+          className="text-xs text-gray-400 hover:text-red-600 opacity-0 group-hover:opacity-100 group-focus-within:opacity-100 touch:opacity-100 transition-opacity duration-200"
           title="Delete task"
         >
           🗑️
         </button>
       </div>
+
+      {expanded && (
+        <SubtaskList
+          subtasks={subtasks}
+          onAdd={(text) => onAddSubtask(task.id, text)}
+          onToggle={(subId) => onToggleSubtask(task.id, subId)}
+          onMove={(subId, delta) => onMoveSubtask(task.id, subId, delta)}
+          onDelete={(subId) => onDeleteSubtask(task.id, subId)}
+        />
+      )}
     </div>
   );
 }
 
-function arrayMove(items, from, to) {
-  const next = items.slice();
-  const [removed] = next.splice(from, 1);
-  next.splice(to, 0, removed);
-  return next;
-}
+function SubtaskList({ subtasks, onAdd, onToggle, onMove, onDelete }) {
+  const [draft, setDraft] = useState("");
 
-export default function App() {
-  const [tasks, setTasks] = useState([]);
-  const [matrices, setMatrices] = useState(DEFAULT_MATRICES);
-  const [hasInitialized, setHasInitialized] = useState(false);
+  const submit = () => {
+    const text = draft.trim();
+    if (!text) return;
+    onAdd(text);
+    setDraft("");
+  };
 
-  const [activePinnedIds, setActivePinnedIds] = useState(
-    DEFAULT_MATRICES.map((m) => m.id)
-  );
-  const [focusMatrixId, setFocusMatrixId] = useState("none");
+  return (
+    <div className="ml-8 mt-1 mb-2 space-y-0.5">
+      {subtasks.map((s, idx) => (
+        <div
+          key={s.id}
+          className="flex items-center gap-2 text-xs group/sub rounded px-1 hover:bg-white/50"
+        >
+          <input
+            type="checkbox"
+            checked={s.done}
+            onChange={() => onToggle(s.id)}
+          />
+          <span
+            className={`flex-1 ${
+              s.done ? "line-through text-gray-400" : "text-gray-700"
+            }`}
+          >
+            {s.text}
+          </span>
+          <div className="flex gap-1 opacity-0 group-hover/sub:opacity-100 group-focus-within/sub:opacity-100 focus-within:opacity-100 touch:opacity-100 transition-opacity duration-200">
+            <button
+              className="text-gray-400 hover:text-gray-600 disabled:invisible"
+              onClick={() => onMove(s.id, -1)}
+              disabled={idx === 0}
+              title="Move up"
+            >
+              ↑
+            </button>
+            <button
+              className="text-gray-400 hover:text-gray-600 disabled:invisible"
+              onClick={() => onMove(s.id, 1)}
+              disabled={idx === subtasks.length - 1}
+              title="Move down"
+            >
+              ↓
+            </button>
+            <button
+              className="text-gray-400 hover:text-red-600"
+              onClick={() => onDelete(s.id)}
+              title="Remove item"
+            >
+              ✕
+            </button>
+          </div>
+        </div>
+      ))}
+
+      <input
+        className="w-full border border-slate-300 rounded px-2 py-0.5 text-xs bg-white"
+        placeholder="Add checklist item"
+        value={draft}
+        onChange={(e) => setDraft(e.target.value)}
+        onKeyDown={(e) => {
+          if (e.key === "Enter") submit();
+        }}
+      />
+    </div>
+  );
+}
 
-  // Order in which matrices were selected for the combined view (most literal / intentional)
-  const [viewOrderIds, setViewOrderIds] = useState(
-    DEFAULT_MATRICES.map((m) => m.id)
+function DueBadge({ task, now }) {
+  const state = getDueState(task, now);
+  const classMap = {
+    overdue: "bg-red-100 text-red-700",
+    soon: "bg-amber-100 text-amber-700",
+    later: "bg-slate-200/50 text-slate-500",
+  };
+
+  return (
+    <span
+      className={`text-[10px] px-1 py-0 rounded leading-none whitespace-nowrap self-center ${
+        classMap[state] ?? "bg-slate-200/50 text-slate-400"
+      }`}
+      title={state === "overdue" ? "Overdue" : "Due"}
+    >
+      {state === "overdue" ? "Overdue · " : ""}
+      {formatDue(task)}
+    </span>
   );
+}
 
-  // Tracks the most recently selected matrix (used as the default for new tasks)
-  const [lastSelectedMatrixId, setLastSelectedMatrixId] = useState("work");
+function DueSummary({ tasks, now }) {
+  const overdue = tasks.filter((t) => getDueState(t, now) === "overdue");
+  const soon = tasks.filter((t) => getDueState(t, now) === "soon");
+  if (overdue.length === 0 && soon.length === 0) return null;
 
-  const [newMatrixName, setNewMatrixName] = useState("");
+  return (
+    <div className="flex gap-1 text-[10px] leading-none">
+      {overdue.length > 0 && (
+        <span
+          className="px-1 py-0.5 rounded bg-red-100 text-red-700"
+          title={overdue.map((t) => t.text).join("\n")}
+        >
+          {overdue.length} overdue
+        </span>
+      )}
+      {soon.length > 0 && (
+        <span
+          className="px-1 py-0.5 rounded bg-amber-100 text-amber-700"
+          title={soon.map((t) => t.text).join("\n")}
+        >
+          {soon.length} due soon
+        </span>
+      )}
+    </div>
+  );
+}
 
-  const [newTask, setNewTask] = useState({
-    text: "",
-    matrixId: "work",
-    urgency: "Medium",
-  });
+function RecurrencePicker({ value, onChange, compact = false }) {
+  const inputClass = compact
+    ? "border border-slate-300 rounded px-1 py-1 text-xs bg-white"
+    : "border border-gray-300 p-2 rounded";
 
-  const [showArchived, setShowArchived] = useState(false);
-  const [showDeleted, setShowDeleted] = useState(false);
-  const [historySort, setHistorySort] = useState("new"); // new | old
+  return (
+    <div className="flex items-center gap-1">
+      <select
+        className={inputClass}
+        value={value?.type ?? ""}
+        onChange={(e) =>
+          onChange(e.target.value ? defaultRecurrence(e.target.value) : null)
+        }
+        title="Repeat"
+      >
+        <option value="">No repeat</option>
+        {RECURRENCE_TYPES.map((r) => (
+          <option key={r.id} value={r.id}>
+            {r.label}
+          </option>
+        ))}
+      </select>
 
-  // Export / import
-  const [importError, setImportError] = useState("");
-  const [importOk, setImportOk] = useState("");
+      {value?.type === "weekly" && (
+        <div className="flex gap-0.5">
+          {WEEKDAY_LETTERS.map((letter, day) => {
+            const on = value.days.includes(day);
+            return (
+              <button
+                key={day}
+                type="button"
+                className={`w-5 h-5 text-[10px] rounded border ${
+                  on
+                    ? "bg-indigo-600 text-white border-indigo-600"
+                    : "bg-white text-slate-600 border-slate-300"
+                }`}
+                onClick={() => {
+                  const days = on
+                    ? value.days.filter((d) => d !== day)
+                    : [...value.days, day];
+                  if (days.length) onChange({ ...value, days });
+                }}
+                title={WEEKDAY_NAMES[day]}
+              >
+                {letter}
+              </button>
+            );
+          })}
+        </div>
+      )}
 
-  // Inline edit state
-  const [editingTaskId, setEditingTaskId] = useState(null);
-  const [editDraft, setEditDraft] = useState("");
+      {value?.type === "monthly" && (
+        <input
+          type="number"
+          min={1}
+          max={31}
+          className={`${inputClass} w-14`}
+          value={value.dayOfMonth}
+          onChange={(e) =>
+            onChange({
+              ...value,
+              dayOfMonth: Math.min(
+                31,
+                Math.max(1, Number(e.target.value) || 1)
+              ),
+            })
+          }
+          title="Day of month"
+        />
+      )}
 
-  const sensors = useSensors(
-    useSensor(PointerSensor, { activationConstraint: { distance: 6 } })
+      {value?.type === "after" && (
+        <input
+          type="number"
+          min={1}
+          className={`${inputClass} w-14`}
+          value={value.interval}
+          onChange={(e) =>
+            onChange({
+              ...value,
+              interval: Math.max(1, Number(e.target.value) || 1),
+            })
+          }
+          title="Days after completion"
+        />
+      )}
+    </div>
   );
+}
 
-  // ---------- helpers (pure) ----------
-  function safeJsonParse(str, fallback) {
-    try {
-      return JSON.parse(str);
-    } catch {
-      return fallback;
-    }
-  }
+// Each command: { id, label, hint?, run }. Typing filters by every word; any
+// text that isn't a command can be added as a new task.
+// Palette commands whose label contains every word of the query
+function filterCommands(commands, query) {
+  const words = query.trim().toLowerCase().split(/\s+/).filter(Boolean);
+  return commands.filter((c) =>
+    words.every((w) => c.label.toLowerCase().includes(w))
+  );
+}
 
-  function ensureDefaultPinnedMatrices(list) {
-    const byId = new Map(list.map((m) => [m.id, m]));
-    DEFAULT_MATRICES.forEach((m) => {
-      if (!byId.has(m.id)) byId.set(m.id, m);
-      else {
-        const existing = byId.get(m.id);
-        byId.set(m.id, { ...existing, name: m.name, pinned: true });
-      }
-    });
-    return Array.from(byId.values());
-  }
+function CommandPalette({ commands, onAddTask, onClose }) {
+  const [query, setQuery] = useState("");
+  const [active, setActive] = useState(0);
+
+  const text = query.trim();
+  const matches = filterCommands(commands, text);
+  const items = text
+    ? [
+        ...matches,
+        {
+          id: "add-task",
+          label: `Add task "${text}"`,
+          hint: "↵",
+          run: () => onAddTask(text),
+        },
+      ]
+    : matches;
+  const activeIndex = Math.min(active, items.length - 1);
+
+  const run = (item) => {
+    onClose();
+    item.run();
+  };
 
-  function makeUniqueMatrixId(baseId, list) {
-    let id = baseId;
-    let n = 2;
-    while (list.some((m) => m.id === id)) {
-      id = `${baseId}-${n}`;
-      n += 1;
-    }
-    return id;
-  }
+  return (
+    <div
+      className="fixed inset-0 bg-black/30 flex items-start justify-center pt-24 px-4 z-50"
+      onClick={onClose}
+    >
+      <div
+        className="w-full max-w-lg bg-white rounded shadow-lg overflow-hidden"
+        onClick={(e) => e.stopPropagation()}
+        role="dialog"
+        aria-label="Command palette"
+      >
+        <input
+          className="w-full border-b border-slate-200 px-4 py-3 text-sm outline-none"
+          placeholder="Type a command or a new task…"
+          value={query}
+          autoFocus
+          onChange={(e) => {
+            setQuery(e.target.value);
+            setActive(0);
+          }}
+          onKeyDown={(e) => {
+            if (e.key === "ArrowDown") {
+              e.preventDefault();
+              setActive(Math.min(activeIndex + 1, items.length - 1));
+            } else if (e.key === "ArrowUp") {
+              e.preventDefault();
+              setActive(Math.max(activeIndex - 1, 0));
+            } else if (e.key === "Enter") {
+              if (items[activeIndex]) run(items[activeIndex]);
+            } else if (e.key === "Escape") {
+              onClose();
+            }
+          }}
+        />
+
+        <ul className="max-h-80 overflow-y-auto py-1">
+          {items.length === 0 && (
+            <li className="px-4 py-2 text-sm text-slate-400">No matches</li>
+          )}
+          {items.map((item, idx) => (
+            <li
+              key={item.id}
+              className={`flex items-center justify-between px-4 py-1.5 text-sm cursor-pointer ${
+                idx === activeIndex
+                  ? "bg-indigo-600 text-white"
+                  : "text-slate-700"
+              }`}
+              onMouseEnter={() => setActive(idx)}
+              onClick={() => run(item)}
+            >
+              <span className="truncate">{item.label}</span>
+              {item.hint && (
+                <span
+                  className={`text-[11px] ml-3 ${
+                    idx === activeIndex ? "text-indigo-200" : "text-slate-400"
+                  }`}
+                >
+                  {item.hint}
+                </span>
+              )}
+            </li>
+          ))}
+        </ul>
+      </div>
+    </div>
+  );
+}
 
-  function migrateTasks(allTasks) {
-    const migrated = allTasks.map((t) => {
-      if (t.matrixId) return t;
+function arrayMove(items, from, to) {
+  const next = items.slice();
+  const [removed] = next.splice(from, 1);
+  next.splice(to, 0, removed);
+  return next;
+}
 
-      const tag = t.tag;
-      let matrixId = "work";
-      if (tag === "Personal") matrixId = "personal";
-      if (tag === "Goals") matrixId = "goals";
+function getNextOrder(allTasks, matrixId, quadrant) {
+  const max = allTasks
+    .filter(
+      (t) =>
+        t.matrixId === matrixId &&
+        quadrantOf(t) === quadrant &&
+        t.status !== "Archived" &&
+        t.status !== "Deleted" &&
+        typeof t.order === "number"
+    )
+    .reduce((m, t) => Math.max(m, t.order), -1);
+  return max + 1;
+}
 
-      const { tag: _tag, ...rest } = t;
-      return { ...rest, matrixId };
+function normalizeOrders(allTasks, matrixId, quadrant) {
+  const group = allTasks
+    .filter(
+      (t) =>
+        t.matrixId === matrixId &&
+        quadrantOf(t) === quadrant &&
+        t.status !== "Archived" &&
+        t.status !== "Deleted"
+    )
+    .sort((a, b) => {
+      const ao = typeof a.order === "number" ? a.order : 0;
+      const bo = typeof b.order === "number" ? b.order : 0;
+      if (ao !== bo) return ao - bo;
+      return a.id - b.id;
     });
 
-    const hasAnyOrder = migrated.some((t) => typeof t.order === "number");
-    if (hasAnyOrder) return migrated;
+  const updates = new Map();
+  group.forEach((t, idx) => updates.set(t.id, idx));
 
-    const counters = new Map();
-    return migrated.map((t) => {
-      const key = `${t.matrixId}__${t.urgency}`;
-      const next = counters.get(key) ?? 0;
-      counters.set(key, next + 1);
-      return { ...t, order: next };
-    });
-  }
+  return allTasks.map((t) =>
+    updates.has(t.id) ? { ...t, order: updates.get(t.id) } : t
+  );
+}
 
-  // ---------- persistence ----------
-  useEffect(() => {
-    const storedMatrices = localStorage.getItem("matrices");
-    const loadedMatrices = storedMatrices
-      ? safeJsonParse(storedMatrices, DEFAULT_MATRICES)
-      : DEFAULT_MATRICES;
+// Moves a task into another task's matrix and quadrant, just before it, and
+// renumbers the groups it left and joined
+function moveTaskBeforeTask(allTasks, activeId, overId) {
+  const active = allTasks.find((t) => t.id === activeId);
+  const over = allTasks.find((t) => t.id === overId);
+  if (!active || !over) return allTasks;
+
+  const toQuadrant = quadrantOf(over);
+  const moved = allTasks.map((t) =>
+    t.id === activeId
+      ? {
+          ...t,
+          matrixId: over.matrixId,
+          ...quadrantAxes(toQuadrant),
+          order: (typeof over.order === "number" ? over.order : 0) - 0.5,
+        }
+      : t
+  );
+  const next = normalizeOrders(moved, over.matrixId, toQuadrant);
+  return normalizeOrders(next, active.matrixId, quadrantOf(active));
+}
+
+// Moves a task to the end of another quadrant in its own matrix
+function moveTaskToQuadrantEnd(allTasks, id, quadrant) {
+  const task = allTasks.find((t) => t.id === id);
+  if (!task) return allTasks;
 
-    const normalizedMatrices = ensureDefaultPinnedMatrices(loadedMatrices);
-    setMatrices(normalizedMatrices);
+  const fromQuadrant = quadrantOf(task);
+  if (fromQuadrant === quadrant) return allTasks;
 
-    const storedTasks = localStorage.getItem("tasks");
-    const loadedTasks = storedTasks ? safeJsonParse(storedTasks, []) : [];
+  const nextOrder = getNextOrder(allTasks, task.matrixId, quadrant);
+  const moved = allTasks.map((t) =>
+    t.id === id ? { ...t, ...quadrantAxes(quadrant), order: nextOrder } : t
+  );
+  return normalizeOrders(moved, task.matrixId, fromQuadrant);
+}
 
-    const migratedTasks = migrateTasks(loadedTasks);
-    setTasks(migratedTasks);
+// Moves a task to the end of a quadrant in another (or its own) matrix, and
+// renumbers the group it left
+function moveTaskToMatrixQuadrantEnd(allTasks, id, matrixId, quadrant) {
+  const task = allTasks.find((t) => t.id === id);
+  if (!task) return allTasks;
+  if (task.matrixId === matrixId) {
+    return moveTaskToQuadrantEnd(allTasks, id, quadrant);
+  }
 
-    const pinned = normalizedMatrices.filter((m) => m.pinned).map((m) => m.id);
-    setActivePinnedIds(pinned);
-    setViewOrderIds(pinned);
+  const order = getNextOrder(allTasks, matrixId, quadrant);
+  const moved = allTasks.map((t) =>
+    t.id === id ? { ...t, matrixId, ...quadrantAxes(quadrant), order } : t
+  );
+  return normalizeOrders(moved, task.matrixId, quadrantOf(task));
+}
 
-    // best-effort default
-    setLastSelectedMatrixId(pinned[0] ?? "work");
-    setNewTask((t) => ({ ...t, matrixId: pinned[0] ?? "work" }));
+// In the combined view each quadrant also has one drop target per matrix, so
+// a task can go to a matrix with nothing in that quadrant yet
+function matrixQuadrantDropId(matrixId, quadrant) {
+  return `${quadrant}@${matrixId}`;
+}
 
-    setHasInitialized(true);
-  }, []);
+// → { matrixId, quadrant } for a matrixQuadrantDropId, else null
+function parseMatrixQuadrantDropId(id) {
+  if (typeof id !== "string") return null;
+  const at = id.indexOf("@");
+  const quadrant = id.slice(0, at);
+  if (at === -1 || !quadrantIds.includes(quadrant)) return null;
+  return { matrixId: id.slice(at + 1), quadrant };
+}
 
-  useEffect(() => {
-    if (!hasInitialized) return;
-    localStorage.setItem("tasks", JSON.stringify(tasks));
-  }, [tasks, hasInitialized]);
+// The task list after dropping one task onto a quadrant or another task.
+// Returns `allTasks` itself when the drop changes nothing.
+// - On a quadrant: to the end of that quadrant (same matrix)
+// - On a matrix's part of a quadrant: to the end of it in that matrix, unless
+//   keepMatrix is set
+// - On another matrix's task: joins that matrix just before it, unless
+//   keepMatrix is set
+// - On a task in another quadrant: to the end of that quadrant
+// - On a task in the same quadrant: takes that task's place
+function dropTask(allTasks, activeId, overId, { keepMatrix = false } = {}) {
+  const active = allTasks.find((t) => t.id === activeId);
+  if (!active) return allTasks;
+
+  if (quadrantIds.includes(overId)) {
+    return moveTaskToQuadrantEnd(allTasks, activeId, overId);
+  }
 
-  useEffect(() => {
-    if (!hasInitialized) return;
-    localStorage.setItem("matrices", JSON.stringify(matrices));
-  }, [matrices, hasInitialized]);
+  const slot = parseMatrixQuadrantDropId(overId);
+  if (slot) {
+    return keepMatrix
+      ? moveTaskToQuadrantEnd(allTasks, activeId, slot.quadrant)
+      : moveTaskToMatrixQuadrantEnd(
+          allTasks,
+          activeId,
+          slot.matrixId,
+          slot.quadrant
+        );
+  }
 
-  useEffect(() => {
-    if (!hasInitialized) return;
-    if (focusMatrixId === "none") return;
-    const exists = matrices.some((m) => m.id === focusMatrixId);
-    if (!exists) {
-      setFocusMatrixId("none");
-      setViewOrderIds((prev) => prev.filter((id) => id !== focusMatrixId));
-    }
-  }, [matrices, focusMatrixId, hasInitialized]);
+  const over = allTasks.find((t) => t.id === overId);
+  if (!over || over.id === activeId) return allTasks;
 
-  // Keep newTask.matrixId aligned with the most recently selected matrix,
-  // but only when the input is empty (so we don’t disrupt someone mid-entry).
-  useEffect(() => {
-    if (!hasInitialized) return;
-    if (newTask.text.trim() !== "") return;
-    if (newTask.matrixId === lastSelectedMatrixId) return;
-    setNewTask((t) => ({ ...t, matrixId: lastSelectedMatrixId }));
-  }, [lastSelectedMatrixId, hasInitialized, newTask.text, newTask.matrixId]);
+  if (over.matrixId !== active.matrixId) {
+    return keepMatrix
+      ? allTasks
+      : moveTaskBeforeTask(allTasks, activeId, overId);
+  }
 
-  // ---------- view model ----------
-  const pinnedMatrices = useMemo(
-    () => matrices.filter((m) => m.pinned),
-    [matrices]
-  );
+  const quadrant = quadrantOf(active);
+  if (quadrantOf(over) !== quadrant) {
+    return moveTaskToQuadrantEnd(allTasks, activeId, quadrantOf(over));
+  }
 
-  const focusCandidates = useMemo(
-    () => matrices.filter((m) => !m.pinned),
-    [matrices]
-  );
+  const group = allTasks
+    .filter(
+      (t) =>
+        t.matrixId === active.matrixId &&
+        quadrantOf(t) === quadrant &&
+        t.status !== "Archived" &&
+        t.status !== "Deleted"
+    )
+    .sort((a, b) => {
+      const ao = typeof a.order === "number" ? a.order : 0;
+      const bo = typeof b.order === "number" ? b.order : 0;
+      if (ao !== bo) return ao - bo;
+      return a.id - b.id;
+    });
 
-  const selectedMatrixIds = useMemo(() => {
-    // Literal selection order:
-    // - When you turn a matrix on, it’s appended
-    // - When you turn it off, it’s removed
-    // - Focus behaves like any other selected matrix
+  const ids = group.map((t) => t.id);
+  const oldIndex = ids.indexOf(activeId);
+  const newIndex = ids.indexOf(overId);
+  if (oldIndex === -1 || newIndex === -1) return allTasks;
 
-    const validIds = new Set(matrices.map((m) => m.id));
+  const orderMap = new Map();
+  arrayMove(ids, oldIndex, newIndex).forEach((id, idx) =>
+    orderMap.set(id, idx)
+  );
+  return allTasks.map((t) =>
+    orderMap.has(t.id) ? { ...t, order: orderMap.get(t.id) } : t
+  );
+}
 
-    const activeSet = new Set(activePinnedIds);
-    if (focusMatrixId !== "none") activeSet.add(focusMatrixId);
+// Moves tasks, in the given order, to the end of a quadrant in their own
+// matrices
+function moveTasksToQuadrant(allTasks, ids, quadrant) {
+  return ids.reduce(
+    (list, id) => moveTaskToQuadrantEnd(list, id, quadrant),
+    allTasks
+  );
+}
 
-    // Start with the remembered order, filtered to valid + currently active ids
-    let ordered = viewOrderIds
-      .filter((id) => validIds.has(id))
-      .filter((id) => activeSet.has(id));
+// Moves tasks, in the given order, to another matrix. Each keeps its quadrant
+// and goes to the end of it.
+function moveTasksToMatrix(allTasks, ids, matrixId) {
+  return ids.reduce((list, id) => {
+    const task = list.find((t) => t.id === id);
+    if (!task || task.matrixId === matrixId) return list;
+
+    const quadrant = quadrantOf(task);
+    const order = getNextOrder(list, matrixId, quadrant);
+    const moved = list.map((t) =>
+      t.id === id ? { ...t, matrixId, order } : t
+    );
+    return normalizeOrders(moved, task.matrixId, quadrant);
+  }, allTasks);
+}
 
-    // Ensure any active ids missing from the order are appended (defensive)
-    for (const id of activeSet) {
-      if (validIds.has(id) && !ordered.includes(id)) ordered.push(id);
+// Drops several tasks at once (`ids` in on-screen order, including activeId).
+// On a quadrant, each moves there within its own matrix. On a task, the group
+// lands as one block where the dragged task lands, in its original order.
+function dropTaskGroup(allTasks, ids, activeId, overId, options) {
+  if (quadrantIds.includes(overId)) {
+    return moveTasksToQuadrant(allTasks, ids, overId);
+  }
+  if (parseMatrixQuadrantDropId(overId)) {
+    return ids.reduce(
+      (list, id) => dropTask(list, id, overId, options),
+      allTasks
+    );
+  }
+  if (ids.includes(overId)) return allTasks;
+
+  const dropped = dropTask(allTasks, activeId, overId, options);
+  if (dropped === allTasks) return allTasks;
+
+  const anchor = dropped.find((t) => t.id === activeId);
+  const quadrant = quadrantOf(anchor);
+  const anchorIdx = ids.indexOf(activeId);
+  const idSet = new Set(ids);
+
+  // Groups the tasks leave, to renumber afterwards
+  const sources = new Map();
+  allTasks.forEach((t) => {
+    if (idSet.has(t.id)) {
+      sources.set(`${t.matrixId}__${quadrantOf(t)}`, [
+        t.matrixId,
+        quadrantOf(t),
+      ]);
     }
+  });
 
-    return ordered;
-  }, [matrices, activePinnedIds, focusMatrixId, viewOrderIds]);
+  // Orders are whole numbers after a drop, so offsets within ±1 of the anchor
+  // keep the block together
+  const placed = dropped.map((t) =>
+    idSet.has(t.id)
+      ? {
+          ...t,
+          matrixId: anchor.matrixId,
+          ...quadrantAxes(quadrant),
+          order: anchor.order + (ids.indexOf(t.id) - anchorIdx) / ids.length,
+        }
+      : t
+  );
 
-  const showMatrixBadges = selectedMatrixIds.length > 1;
+  let next = normalizeOrders(placed, anchor.matrixId, quadrant);
+  sources.forEach(([matrixId, q]) => {
+    next = normalizeOrders(next, matrixId, q);
+  });
+  return next;
+}
 
-  const matrixNameById = useMemo(() => {
-    const map = new Map();
-    matrices.forEach((m) => map.set(m.id, m.name));
-    return map;
-  }, [matrices]);
+// Completes tasks: stamps completedAt, ticks their checklists when asked and
+// spawns the next instance of recurring ones (once per series step)
+function completeTasks(
+  allTasks,
+  ids,
+  { at = new Date(), completeSubtasks = false } = {}
+) {
+  const pending = allTasks.filter(
+    (t) => ids.includes(t.id) && t.status !== "Completed"
+  );
+  const pendingIds = new Set(pending.map((t) => t.id));
 
-  // ---------- actions: matrices ----------
-  const addMatrix = () => {
-    const name = newMatrixName.trim();
-    if (!name) return;
+  let next = allTasks.map((t) => {
+    if (!pendingIds.has(t.id)) return t;
+    const done = { ...t, status: "Completed", completedAt: at.toISOString() };
+    if (completeSubtasks && t.subtasks?.length) {
+      done.subtasks = t.subtasks.map((s) => ({ ...s, done: true }));
+    }
+    return done;
+  });
 
-    const baseId = slugify(name);
-    if (!baseId) return;
+  // Re-completing after an un-complete doesn't create a duplicate
+  pending.forEach((task) => {
+    if (!task.recurrence || task.nextInstanceId != null) return;
+    const instance = makeNextInstance(task, next, at);
+    if (!instance) return;
+    // Instances spawned together would otherwise share a Date.now() id
+    while (next.some((t) => t.id === instance.id)) instance.id += 1;
+    next = next
+      .map((t) =>
+        t.id === task.id ? { ...t, nextInstanceId: instance.id } : t
+      )
+      .concat(instance);
+  });
 
-    const uniqueId = makeUniqueMatrixId(baseId, matrices);
+  return next;
+}
 
-    setMatrices([
-      ...matrices,
-      {
-        id: uniqueId,
-        name,
-        pinned: false,
-      },
-    ]);
+function reopenTasks(allTasks, ids) {
+  return allTasks.map((t) => {
+    if (!ids.includes(t.id) || t.status !== "Completed") return t;
+    const { completedAt: _completedAt, ...rest } = t;
+    return { ...rest, status: "Not Done" };
+  });
+}
 
-    setNewMatrixName("");
-    setFocusMatrixId(uniqueId);
-    setViewOrderIds((prev) => {
-      const without = prev.filter((id) => id !== uniqueId);
-      return [...without, uniqueId];
+// Checkbox selection over a list shown in `orderedIds` order. A plain click
+// toggles one id; a shift-click sets the whole range from the last clicked id.
+// checkedIds only lists ids still in the list, in list order.
+function useCheckedIds(orderedIds) {
+  const [checked, setChecked] = useState(() => new Set());
+  const anchorRef = useRef(null);
+
+  const setMany = (ids, on) =>
+    setChecked((prev) => {
+      const next = new Set(prev);
+      ids.forEach((id) => (on ? next.add(id) : next.delete(id)));
+      return next;
     });
-    setLastSelectedMatrixId(uniqueId);
-    setNewTask((t) => ({ ...t, matrixId: uniqueId }));
+
+  const toggle = (id, range = false) => {
+    const from = orderedIds.indexOf(anchorRef.current);
+    const to = orderedIds.indexOf(id);
+    const ids =
+      range && from !== -1 && to !== -1
+        ? orderedIds.slice(Math.min(from, to), Math.max(from, to) + 1)
+        : [id];
+    setMany(ids, !checked.has(id));
+    anchorRef.current = id;
   };
 
-  const mergeMatrixInto = (sourceId, destId) => {
-    if (!sourceId || sourceId === "none") return;
-    if (!destId || sourceId === destId) return;
+  return {
+    checkedIds: orderedIds.filter((id) => checked.has(id)),
+    isChecked: (id) => checked.has(id),
+    toggle,
+    setMany,
+    clear: () => setChecked(new Set()),
+  };
+}
 
-    setTasks((prev) => {
-      const moved = prev.map((t) =>
-        t.matrixId === sourceId ? { ...t, matrixId: destId } : t
-      );
-      let next = moved;
-      urgencyLevels.forEach((u) => {
-        next = normalizeOrders(next, destId, u);
-      });
-      return next;
-    });
+// Moves tasks matching an ESCALATION_RULES entry into the rule's quadrant.
+// Returns the same array when nothing changed.
+function escalateTasks(allTasks, atMs) {
+  let next = allTasks;
+
+  allTasks.forEach((t) => {
+    if (t.status === "Archived" || t.status === "Deleted") return;
+    const rule = findEscalationRule(t, atMs);
+    if (!rule) return;
+
+    const from = quadrantOf(t);
+    const order = getNextOrder(next, t.matrixId, rule.to);
+    next = next.map((x) =>
+      x.id === t.id
+        ? { ...x, ...quadrantAxes(rule.to), order, escalatedFor: dueKey(x) }
+        : x
+    );
+    next = normalizeOrders(next, t.matrixId, from);
+  });
 
-    setMatrices((prev) => prev.filter((m) => m.id !== sourceId));
-    setFocusMatrixId("none");
-    setViewOrderIds((prev) => prev.filter((id) => id !== sourceId));
-    setLastSelectedMatrixId(destId);
+  return next;
+}
+
+// Builds the next task in a recurring series, due on the next occurrence after
+// the later of its current due date and the completion day.
+function makeNextInstance(task, allTasks, completedAt) {
+  const completedOn = fromDateInput(toDateInput(completedAt));
+  const dueOn = task.dueDate ? fromDateInput(task.dueDate) : completedOn;
+  const anchor = dueOn > completedOn ? dueOn : completedOn;
+
+  const nextDate = nextOccurrence(task.recurrence, anchor, completedOn);
+  if (!nextDate) return null;
+
+  const quadrant = quadrantOf(task);
+  return {
+    id: Date.now(),
+    text: task.text,
+    matrixId: task.matrixId,
+    ...quadrantAxes(quadrant),
+    dueDate: toDateInput(nextDate),
+    dueTime: task.dueTime ?? "",
+    recurrence: task.recurrence,
+    subtasks: (task.subtasks ?? []).map((s) => ({ ...s, done: false })),
+    seriesId: task.seriesId ?? task.id,
+    status: "Not Done",
+    order: getNextOrder(allTasks, task.matrixId, quadrant),
+    createdAt: completedAt.toISOString(),
   };
+}
 
-  const deleteMatrixArchiveTasks = (matrixId) => {
-    if (!matrixId || matrixId === "none") return;
+function makeUniqueMatrixId(baseId, list) {
+  let id = baseId;
+  let n = 2;
+  while (list.some((m) => m.id === id)) {
+    id = `${baseId}-${n}`;
+    n += 1;
+  }
+  return id;
+}
 
-    setTasks((prev) =>
-      prev.map((t) =>
-        t.matrixId === matrixId && t.status !== "Deleted"
-          ? { ...t, status: "Archived", archivedAt: new Date().toISOString() }
-          : t
-      )
-    );
+// The default matrices always exist (tasks and fallbacks point at them), but
+// like any other matrix they can be renamed, unpinned and reordered.
+// Returns `list` itself when none was missing.
+function ensureDefaultMatrices(list) {
+  const missing = DEFAULT_MATRICES.filter(
+    (d) => !list.some((m) => m.id === d.id)
+  );
+  return missing.length ? [...list, ...missing] : list;
+}
 
-    setMatrices((prev) => prev.filter((m) => m.id !== matrixId));
-    setFocusMatrixId("none");
-    setViewOrderIds((prev) => prev.filter((id) => id !== matrixId));
+function isDefaultMatrix(matrixId) {
+  return DEFAULT_MATRICES.some((m) => m.id === matrixId);
+}
 
-    const fallback = activePinnedIds[0] ?? "work";
-    setLastSelectedMatrixId(fallback);
-  };
+// A matrix's own colour, or one by its position in the list
+function matrixColorKey(matrix, idx) {
+  if (MATRIX_COLORS[matrix.color]) return matrix.color;
+  const keys = Object.keys(MATRIX_COLORS);
+  return keys[idx % keys.length];
+}
 
-  // ---------- actions: tasks ----------
-  const addTask = () => {
-    if (!newTask.text.trim()) return;
+// Moves a matrix one step (delta ±1) past its neighbour among the matrices
+// with the same pinned state, i.e. one place along the toggle bar or the
+// Focus list. Returns `list` itself at either end.
+function moveMatrixInGroup(list, matrixId, delta) {
+  const from = list.findIndex((m) => m.id === matrixId);
+  if (from === -1) return list;
+  const group = list.filter((m) => !!m.pinned === !!list[from].pinned);
+  const neighbor = group[group.indexOf(list[from]) + delta];
+  if (!neighbor) return list;
+  return arrayMove(list, from, list.indexOf(neighbor));
+}
 
-    const nextOrder = getNextOrder(tasks, newTask.matrixId, newTask.urgency);
+// ---------- focus timer ----------
+// A running timer is { taskId, phase: work | break, startedAt, endsAt } (epoch
+// ms). Each work phase is logged on its task as a session { startedAt,
+// endedAt } (ISO), whether it ran out or was stopped early.
+const MIN_SESSION_MS = 60 * 1000;
+
+function trackedMs(task) {
+  return (task.sessions ?? []).reduce(
+    (sum, s) =>
+      sum + Math.max(0, new Date(s.endedAt) - new Date(s.startedAt) || 0),
+    0
+  );
+}
 
-    setTasks([
-      ...tasks,
-      {
-        ...newTask,
-        id: Date.now(),
-        status: "Not Done",
-        order: nextOrder,
-        createdAt: new Date().toISOString(),
-      },
-    ]);
+// 25m · 1h · 1h 40m
+function formatDuration(ms) {
+  const minutes = Math.round(ms / 60000);
+  if (minutes < 60) return `${minutes}m`;
+  const rest = minutes % 60;
+  const hours = Math.floor(minutes / 60);
+  return rest ? `${hours}h ${rest}m` : `${hours}h`;
+}
 
-    setNewTask({ text: "", matrixId: newTask.matrixId, urgency: "Medium" });
+// Adds a session to a task. Sessions under a minute aren't worth keeping, and
+// logging one twice (two tabs finishing the same timer) changes nothing.
+function logSession(allTasks, taskId, startedAt, endedAt) {
+  if (endedAt - startedAt < MIN_SESSION_MS) return allTasks;
+  const session = {
+    startedAt: new Date(startedAt).toISOString(),
+    endedAt: new Date(endedAt).toISOString(),
   };
 
-  const toggleComplete = (id) =>
-    setTasks(
-      tasks.map((t) =>
-        t.id === id
-          ? {
-              ...t,
-              status: t.status === "Completed" ? "Not Done" : "Completed",
-            }
-          : t
-      )
-    );
-
-  const archiveTask = (id) => {
-    setTasks(
-      tasks.map((t) =>
-        t.id === id
-          ? { ...t, status: "Archived", archivedAt: new Date().toISOString() }
-          : t
-      )
-    );
-  };
+  let changed = false;
+  const next = allTasks.map((t) => {
+    if (t.id !== taskId) return t;
+    if ((t.sessions ?? []).some((s) => s.startedAt === session.startedAt)) {
+      return t;
+    }
+    changed = true;
+    return { ...t, sessions: [...(t.sessions ?? []), session] };
+  });
+  return changed ? next : allTasks;
+}
 
-  const unarchiveTask = (id) => {
-    setTasks(
-      tasks.map((t) =>
-        t.id === id ? { ...t, status: "Not Done", archivedAt: undefined } : t
-      )
-    );
+// The timer once its phase runs out: work → break → off. The break starts
+// exactly when the work phase ended, so every tab computes the same timer.
+function nextFocusPhase(timer, breakMinutes) {
+  if (timer.phase !== "work" || !(breakMinutes > 0)) return null;
+  return {
+    ...timer,
+    phase: "break",
+    startedAt: timer.endsAt,
+    endsAt: timer.endsAt + breakMinutes * 60 * 1000,
   };
+}
 
-  const deleteTask = (id) => {
-    // If we delete the task we were editing, exit edit mode
-    if (editingTaskId === id) {
-      setEditingTaskId(null);
-      setEditDraft("");
+// ---------- task details ----------
+// placeHistory: where a task has been, oldest first, as
+// [{ at, matrixId, quadrant }]. The first entry (where it started) is added on
+// its first move, so tasks that never moved carry no history.
+const PLACE_HISTORY_LIMIT = 50;
+
+// Appends a place entry to every task in `next` that changed matrix or
+// quadrant since `prev`. Returns `next` itself when nothing moved.
+function recordPlaceChanges(prev, next, at) {
+  const prevById = new Map(prev.map((t) => [t.id, t]));
+  let changed = false;
+
+  const out = next.map((t) => {
+    const before = prevById.get(t.id);
+    if (!before || before === t) return t;
+    const quadrant = quadrantOf(t);
+    if (before.matrixId === t.matrixId && quadrantOf(before) === quadrant) {
+      return t;
     }
 
-    setTasks(
-      tasks.map((t) =>
-        t.id === id
-          ? { ...t, status: "Deleted", deletedAt: new Date().toISOString() }
-          : t
-      )
-    );
-  };
+    // An undone move keeps the log of the version it replaced
+    const history = t.placeHistory ?? before.placeHistory ?? [];
+    const last = history[history.length - 1];
+    if (last && last.matrixId === t.matrixId && last.quadrant === quadrant) {
+      return t;
+    }
 
-  // ---------- inline edit handlers ----------
-  const startEdit = (task) => {
-    if (!task) return;
-    setEditingTaskId(task.id);
-    setEditDraft(task.text);
-  };
+    const start = history.length
+      ? history
+      : [
+          {
+            at: getCreatedIso(before),
+            matrixId: before.matrixId,
+            quadrant: quadrantOf(before),
+          },
+        ];
+    changed = true;
+    return {
+      ...t,
+      placeHistory: [...start, { at, matrixId: t.matrixId, quadrant }].slice(
+        -PLACE_HISTORY_LIMIT
+      ),
+    };
+  });
 
-  const cancelEdit = () => {
-    setEditingTaskId(null);
-    setEditDraft("");
-  };
+  return changed ? out : next;
+}
 
-  const commitEdit = () => {
-    if (editingTaskId == null) return;
-    const nextText = editDraft.trim();
+// Notes use a small Markdown subset: "#" headings, "-" / "1." lists, ```
+// code blocks and paragraphs, with `code`, **bold**, *italic*, [links](url)
+// and bare URLs inline. Nothing is rendered as raw HTML.
+function parseNoteBlocks(text) {
+  const blocks = [];
+  const lines = text.split(/\r?\n/);
+  let open = null; // paragraph or list still taking lines
+
+  for (let i = 0; i < lines.length; i += 1) {
+    const line = lines[i];
+
+    if (/^\s*```/.test(line)) {
+      const code = [];
+      while (i + 1 < lines.length && !/^\s*```/.test(lines[i + 1])) {
+        code.push(lines[(i += 1)]);
+      }
+      i += 1; // closing fence
+      blocks.push({ type: "code", text: code.join("\n") });
+      open = null;
+      continue;
+    }
 
-    // Don’t allow empty text; if empty, just cancel.
-    if (!nextText) {
-      cancelEdit();
-      return;
+    if (line.trim() === "") {
+      open = null;
+      continue;
     }
 
-    setTasks((prev) =>
-      prev.map((t) => (t.id === editingTaskId ? { ...t, text: nextText } : t))
-    );
+    const heading = line.match(/^(#{1,3})\s+(.+?)\s*#*\s*$/);
+    if (heading) {
+      blocks.push({
+        type: "heading",
+        level: heading[1].length,
+        text: heading[2],
+      });
+      open = null;
+      continue;
+    }
 
-    setEditingTaskId(null);
-    setEditDraft("");
-  };
+    const item = line.match(/^\s*(?:[-*+]|(\d+)[.)])\s+(.*)$/);
+    if (item) {
+      const ordered = item[1] !== undefined;
+      if (open?.type !== "list" || open.ordered !== ordered) {
+        open = { type: "list", ordered, items: [] };
+        blocks.push(open);
+      }
+      open.items.push(item[2]);
+      continue;
+    }
 
-  // ---------- ordering helpers ----------
-  function getTaskById(id) {
-    return tasks.find((t) => t.id === id);
+    if (open?.type === "paragraph") {
+      open.lines.push(line.trim());
+    } else if (open?.type === "list") {
+      // A wrapped list item
+      open.items[open.items.length - 1] += ` ${line.trim()}`;
+    } else {
+      open = { type: "paragraph", lines: [line.trim()] };
+      blocks.push(open);
+    }
   }
 
-  function getVisibleTasksForQuadrant(selectedIds, urgency) {
-    // Preserve the *literal selection order* (viewOrderIds) instead of sorting matrices alphabetically.
-    const matrixOrder = new Map(selectedIds.map((id, idx) => [id, idx]));
+  return blocks;
+}
 
-    return tasks
-      .filter(
-        (t) =>
-          selectedIds.includes(t.matrixId) &&
-          t.urgency === urgency &&
-          t.status !== "Archived" &&
-          t.status !== "Deleted"
-      )
-      .sort((a, b) => {
-        if (a.matrixId !== b.matrixId) {
-          const ao = matrixOrder.get(a.matrixId) ?? 999;
-          const bo = matrixOrder.get(b.matrixId) ?? 999;
-          if (ao !== bo) return ao - bo;
+const INLINE_MARKDOWN =
+  /`([^`]+)`|\*\*(.+?)\*\*|\*([^*\s][^*]*)\*|\[([^\]]+)\]\(([^)\s]+)\)|(https?:\/\/[^\s<]*[^\s<.,;:!?)\]])/g;
 
-          // Stable fallback (should rarely be needed)
-          const an = matrixNameById.get(a.matrixId) ?? a.matrixId;
-          const bn = matrixNameById.get(b.matrixId) ?? b.matrixId;
-          return an.localeCompare(bn);
-        }
+// Only web and mail links are made clickable
+function isSafeHref(url) {
+  return /^(https?:|mailto:)/i.test(url);
+}
 
-        const aord = typeof a.order === "number" ? a.order : 0;
-        const bord = typeof b.order === "number" ? b.order : 0;
-        if (aord !== bord) return aord - bord;
-        return a.id - b.id;
-      });
-  }
+function renderInlineMarkdown(text) {
+  const out = [];
+  let last = 0;
 
-  function getNextOrder(allTasks, matrixId, urgency) {
-    const max = allTasks
-      .filter(
-        (t) =>
-          t.matrixId === matrixId &&
-          t.urgency === urgency &&
-          t.status !== "Archived" &&
-          t.status !== "Deleted" &&
-          typeof t.order === "number"
-      )
-      .reduce((m, t) => Math.max(m, t.order), -1);
-    return max + 1;
+  for (const m of text.matchAll(INLINE_MARKDOWN)) {
+    if (m.index > last) out.push(text.slice(last, m.index));
+    const key = m.index;
+    const [, code, bold, italic, label, href, bare] = m;
+
+    if (code !== undefined) {
+      out.push(
+        <code key={key} className="bg-slate-100 rounded px-1 text-[0.85em]">
+          {code}
+        </code>
+      );
+    } else if (bold !== undefined) {
+      out.push(<strong key={key}>{renderInlineMarkdown(bold)}</strong>);
+    } else if (italic !== undefined) {
+      out.push(<em key={key}>{renderInlineMarkdown(italic)}</em>);
+    } else if (label !== undefined && !isSafeHref(href)) {
+      out.push(label);
+    } else {
+      out.push(
+        <a
+          key={key}
+          href={href ?? bare}
+          target="_blank"
+          rel="noopener noreferrer"
+          className="text-indigo-600 underline break-all"
+        >
+          {label ?? bare}
+        </a>
+      );
+    }
+    last = m.index + m[0].length;
   }
 
-  function normalizeOrders(allTasks, matrixId, urgency) {
-    const group = allTasks
-      .filter(
-        (t) =>
-          t.matrixId === matrixId &&
-          t.urgency === urgency &&
-          t.status !== "Archived" &&
-          t.status !== "Deleted"
-      )
-      .sort((a, b) => {
-        const ao = typeof a.order === "number" ? a.order : 0;
-        const bo = typeof b.order === "number" ? b.order : 0;
-        if (ao !== bo) return ao - bo;
-        return a.id - b.id;
-      });
+  if (last < text.length) out.push(text.slice(last));
+  return out;
+}
 
-    const updates = new Map();
-    group.forEach((t, idx) => updates.set(t.id, idx));
+function MarkdownNotes({ text }) {
+  return (
+    <div className="space-y-2 text-sm text-slate-800 break-words">
+      {parseNoteBlocks(text).map((block, idx) => {
+        if (block.type === "heading") {
+          // The panel's own title is the h2
+          const Heading = `h${block.level + 2}`;
+          return (
+            <Heading
+              key={idx}
+              className={`font-semibold ${
+                block.level === 1 ? "text-base" : "text-sm"
+              }`}
+            >
+              {renderInlineMarkdown(block.text)}
+            </Heading>
+          );
+        }
+        if (block.type === "code") {
+          return (
+            <pre
+              key={idx}
+              className="bg-slate-100 rounded p-2 text-xs overflow-x-auto"
+            >
+              <code>{block.text}</code>
+            </pre>
+          );
+        }
+        if (block.type === "list") {
+          const List = block.ordered ? "ol" : "ul";
+          return (
+            <List
+              key={idx}
+              className={`pl-5 space-y-0.5 ${
+                block.ordered ? "list-decimal" : "list-disc"
+              }`}
+            >
+              {block.items.map((item, i) => (
+                <li key={i}>{renderInlineMarkdown(item)}</li>
+              ))}
+            </List>
+          );
+        }
+        return <p key={idx}>{renderInlineMarkdown(block.lines.join(" "))}</p>;
+      })}
+    </div>
+  );
+}
 
-    return allTasks.map((t) =>
-      updates.has(t.id) ? { ...t, order: updates.get(t.id) } : t
-    );
-  }
+// ---------- CSV / Markdown ----------
+// Flat formats for spreadsheets and notes. Both importers resolve matrices by
+// name (creating any that don't exist yet) and quadrants by label, id or
+// legacy urgency value, and return { matrices, tasks } in the current schema.
+const CSV_COLUMNS = [
+  "id",
+  "text",
+  "matrix",
+  "quadrant",
+  "status",
+  "createdAt",
+  "archivedAt",
+  "deletedAt",
+  "completedAt",
+  "dueDate",
+  "dueTime",
+  "tags",
+  "trackedMinutes",
+  "sessions",
+  "notes",
+];
 
-  // ---------- archive/delete helpers ----------
-  const getCreatedIso = (task) => {
-    if (task.createdAt) return task.createdAt;
-    if (typeof task.id === "number") return new Date(task.id).toISOString();
-    return null;
-  };
+const IMPORT_STATUSES = {
+  "not done": "Not Done",
+  open: "Not Done",
+  completed: "Completed",
+  done: "Completed",
+  archived: "Archived",
+  deleted: "Deleted",
+};
+
+function quadrantLabelOf(task) {
+  return QUADRANTS.find((q) => q.id === quadrantOf(task))?.label ?? "";
+}
 
-  const getHistoryIso = (task, kind) => {
-    if (kind === "archived") return task.archivedAt || getCreatedIso(task);
-    if (kind === "deleted") return task.deletedAt || getCreatedIso(task);
-    return getCreatedIso(task);
-  };
+// "Do First" / "do" / "High" → { important, urgent } | null
+function axesFromLabel(value) {
+  const slug = slugify(value ?? "");
+  if (!slug) return null;
+  const q = QUADRANTS.find((x) => x.id === slug || slugify(x.label) === slug);
+  if (q) return quadrantAxes(q.id);
+  const legacy = Object.keys(LEGACY_URGENCY_AXES).find(
+    (k) => slugify(k) === slug
+  );
+  return legacy ? LEGACY_URGENCY_AXES[legacy] : null;
+}
 
-  const formatAge = (iso) => {
-    if (!iso) return "";
-    const ms = Date.now() - new Date(iso).getTime();
-    if (!Number.isFinite(ms) || ms < 0) return "";
-    const minutes = Math.floor(ms / 60000);
-    if (minutes < 60) return `${minutes}m ago`;
-    const hours = Math.floor(minutes / 60);
-    if (hours < 24) return `${hours}h ago`;
-    const days = Math.floor(hours / 24);
-    if (days < 30) return `${days}d ago`;
-    const months = Math.floor(days / 30);
-    if (months < 12) return `${months}mo ago`;
-    const years = Math.floor(months / 12);
-    return `${years}y ago`;
+// Matrix names → ids, adding an unpinned matrix for each unknown name
+function makeMatrixResolver(matrices) {
+  const list = [...matrices];
+  const resolve = (name) => {
+    const label = (name ?? "").trim();
+    const slug = slugify(label);
+    if (!slug) return list[0]?.id ?? DEFAULT_MATRICES[0].id;
+
+    const found = list.find((m) => m.id === slug || slugify(m.name) === slug);
+    if (found) return found.id;
+
+    const id = makeUniqueMatrixId(slug, list);
+    list.push({ id, name: label, pinned: false });
+    return id;
   };
+  return { resolve, matrices: list };
+}
 
-  // ---------- export/import ----------
-  const exportData = () => {
-    const payload = {
-      version: 1,
-      exportedAt: new Date().toISOString(),
-      matrices,
-      tasks,
-    };
+// Matrix order, then grid order, then position in the quadrant
+function sortForExport(tasks, matrices) {
+  const matrixIdx = new Map(matrices.map((m, idx) => [m.id, idx]));
+  return [...tasks].sort(
+    (a, b) =>
+      (matrixIdx.get(a.matrixId) ?? matrices.length) -
+        (matrixIdx.get(b.matrixId) ?? matrices.length) ||
+      quadrantIds.indexOf(quadrantOf(a)) - quadrantIds.indexOf(quadrantOf(b)) ||
+      (a.order ?? 0) - (b.order ?? 0)
+  );
+}
 
-    const blob = new Blob([JSON.stringify(payload, null, 2)], {
-      type: "application/json",
-    });
+// Sessions as ISO intervals: "start/end; start/end"
+function sessionsToText(sessions) {
+  return (sessions ?? []).map((s) => `${s.startedAt}/${s.endedAt}`).join("; ");
+}
 
-    const url = URL.createObjectURL(blob);
-    const a = document.createElement("a");
-    a.href = url;
-    a.download = `taskenhower-export-${new Date().toISOString().slice(0, 10)}.json`;
-    document.body.appendChild(a);
-    a.click();
-    a.remove();
-    URL.revokeObjectURL(url);
-  };
+function parseSessionList(text) {
+  return text
+    .split(";")
+    .map((part) => part.trim().split("/"))
+    .filter(
+      ([startedAt, endedAt]) => isValidDate(startedAt) && isValidDate(endedAt)
+    )
+    .map(([startedAt, endedAt]) => ({
+      startedAt: new Date(startedAt).toISOString(),
+      endedAt: new Date(endedAt).toISOString(),
+    }));
+}
 
-  const importDataFromFile = async (file) => {
-    setImportError("");
-    setImportOk("");
+// Text starting with one of these runs as a formula in spreadsheet apps, so
+// it's written with a leading ' (and read back without it)
+const CSV_FORMULA_START = /^[=+\-@\t\r]/;
 
-    try {
-      const text = await file.text();
-      const parsed = JSON.parse(text);
+function csvField(value) {
+  let s = value == null ? "" : String(value);
+  if (typeof value === "string" && CSV_FORMULA_START.test(s)) s = `'${s}`;
+  return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
 
-      if (!parsed || typeof parsed !== "object") {
-        throw new Error("Invalid file format.");
+// RFC 4180: quoted fields may contain commas, doubled quotes and newlines
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = "";
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i += 1) {
+    const ch = text[i];
+    if (quoted) {
+      if (ch === '"' && text[i + 1] === '"') {
+        field += '"';
+        i += 1;
+      } else if (ch === '"') {
+        quoted = false;
+      } else {
+        field += ch;
       }
+    } else if (ch === '"') {
+      quoted = true;
+    } else if (ch === ",") {
+      row.push(field);
+      field = "";
+    } else if (ch === "\n" || ch === "\r") {
+      if (ch === "\r" && text[i + 1] === "\n") i += 1;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = "";
+    } else {
+      field += ch;
+    }
+  }
+  if (field !== "" || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
 
-      const incomingMatrices = Array.isArray(parsed.matrices)
-        ? parsed.matrices
-        : null;
-      const incomingTasks = Array.isArray(parsed.tasks) ? parsed.tasks : null;
+  return rows.filter((r) => r.some((cell) => cell.trim() !== ""));
+}
 
-      if (!incomingMatrices || !incomingTasks) {
-        throw new Error(
-          "Import file must include both 'matrices' and 'tasks' arrays."
-        );
-      }
+function tasksToCsv(tasks, matrices) {
+  const nameById = new Map(matrices.map((m) => [m.id, m.name]));
+  const rows = sortForExport(tasks, matrices).map((t) => [
+    t.id,
+    t.text,
+    nameById.get(t.matrixId) ?? t.matrixId,
+    quadrantLabelOf(t),
+    t.status,
+    getCreatedIso(t),
+    t.archivedAt,
+    t.deletedAt,
+    t.completedAt,
+    t.dueDate,
+    t.dueTime,
+    (t.tags ?? []).join(", "),
+    Math.round(trackedMs(t) / 60000),
+    sessionsToText(t.sessions),
+    t.notes,
+  ]);
+  return [CSV_COLUMNS, ...rows]
+    .map((r) => r.map(csvField).join(","))
+    .join("\r\n");
+}
 
-      const normalizedMatrices = ensureDefaultPinnedMatrices(incomingMatrices);
-      const migratedTasks = migrateTasks(incomingTasks);
+// Gives each imported task a unique id (keeping the file's where possible)
+// and an order slot at the end of its quadrant
+function finishImportedTasks(drafts) {
+  const used = new Set();
+  let nextId = Date.now();
+  const counters = new Map();
+
+  return drafts.map((draft) => {
+    let id = Number(draft.id);
+    if (!Number.isFinite(id) || used.has(id)) {
+      while (used.has(nextId)) nextId += 1;
+      id = nextId;
+    }
+    used.add(id);
 
-      setMatrices(normalizedMatrices);
-      setTasks(migratedTasks);
+    const key = `${draft.matrixId}__${quadrantOf(draft)}`;
+    const order = counters.get(key) ?? 0;
+    counters.set(key, order + 1);
 
-      const pinned = normalizedMatrices.filter((m) => m.pinned).map((m) => m.id);
-      setActivePinnedIds(pinned);
-      setViewOrderIds(pinned);
-      setFocusMatrixId("none");
-      setLastSelectedMatrixId(pinned[0] ?? "work");
-      setNewTask((t) => ({ ...t, matrixId: pinned[0] ?? "work" }));
+    return { ...draft, id, order };
+  });
+}
 
-      setImportOk("Imported successfully.");
-    } catch (e) {
-      setImportError(e?.message || "Import failed.");
-    }
-  };
+function csvToData(text, matrices) {
+  const [header, ...rows] = parseCsv(text);
+  const columns = (header ?? []).map((h) => h.trim().toLowerCase());
+  const col = (name) => columns.indexOf(name.toLowerCase());
+  if (col("text") === -1) {
+    throw new Error("CSV import needs a header row with a 'text' column.");
+  }
 
-  // ---------- UI helpers ----------
-  const quadrantLabel = (urgency) => {
-    switch (urgency) {
-      case "High":
-        return "Do First";
-      case "Medium":
-        return "Plan / Schedule";
-      case "Low":
-        return "Quick and dirty";
-      case "None":
-        return "Backburner";
-      default:
-        return "";
-    }
-  };
-
-  const quadrantClass = (urgency) => {
-    const classMap = {
-      High: "bg-green-100 border-green-300",
-      Medium: "bg-yellow-100 border-yellow-300",
-      Low: "bg-blue-100 border-blue-300",
-      None: "bg-gray-100 border-gray-300",
-    };
-    return classMap[urgency] || "";
+  const cell = (row, name) => {
+    const idx = col(name);
+    const value = idx === -1 ? "" : (row[idx] ?? "");
+    const unescaped =
+      value.startsWith("'") && CSV_FORMULA_START.test(value.slice(1))
+        ? value.slice(1)
+        : value;
+    return unescaped.trim();
   };
 
-  // ---------- DnD behavior in combined view ----------
-  const handleDragEnd = ({ active, over }) => {
-    if (!over) return;
-
-    const activeId = active.id;
-    const overId = over.id;
-
-    const activeTask = getTaskById(activeId);
-    if (!activeTask) return;
+  const resolver = makeMatrixResolver(matrices);
+  const drafts = rows
+    .filter((row) => cell(row, "text"))
+    .map((row) => {
+      const status =
+        IMPORT_STATUSES[cell(row, "status").toLowerCase()] ?? "Not Done";
+      const dueDate = cell(row, "dueDate");
+      const dueTime = cell(row, "dueTime");
+      const completedAt = cell(row, "completedAt");
+      const notes = cell(row, "notes");
+      const axes = axesFromLabel(cell(row, "quadrant")) ??
+        axesFromLabel(cell(row, "urgency")) ?? {
+          important: true,
+          urgent: false,
+        };
+
+      return {
+        id: cell(row, "id"),
+        text: cell(row, "text"),
+        matrixId: resolver.resolve(cell(row, "matrix")),
+        ...axes,
+        status,
+        createdAt: cell(row, "createdAt") || new Date().toISOString(),
+        ...(status === "Archived" && {
+          archivedAt: cell(row, "archivedAt") || new Date().toISOString(),
+        }),
+        ...(status === "Deleted" && {
+          deletedAt: cell(row, "deletedAt") || new Date().toISOString(),
+        }),
+        ...(isValidDate(completedAt) && {
+          completedAt: new Date(completedAt).toISOString(),
+        }),
+        dueDate: /^\d{4}-\d{2}-\d{2}$/.test(dueDate) ? dueDate : "",
+        dueTime: /^\d{2}:\d{2}$/.test(dueTime) ? dueTime : "",
+        recurrence: null,
+        tags: parseTagList(cell(row, "tags")),
+        subtasks: [],
+        sessions: parseSessionList(cell(row, "sessions")),
+        ...(notes && { notes }),
+      };
+    });
 
-    if (!selectedMatrixIds.includes(activeTask.matrixId)) return;
+  if (drafts.length === 0) throw new Error("The CSV file has no task rows.");
+  return {
+    format: "csv",
+    matrices: resolver.matrices,
+    tasks: finishImportedTasks(drafts),
+  };
+}
 
-    // Dropped on a quadrant container → move to end of that quadrant (same matrix)
-    if (urgencyLevels.includes(overId)) {
-      if (activeTask.urgency === overId) return;
+// Active tasks only: "## Matrix" → "### Quadrant" → "- [ ] task", with
+// subtasks as indented items and notes as an indented quote. Due dates, tracked
+// time and tags trail the task text (tracked time is informational and isn't
+// read back on import).
+function tasksToMarkdown(tasks, matrices) {
+  const lines = ["# Taskenhower", ""];
+  const active = sortForExport(
+    tasks.filter((t) => t.status === "Not Done" || t.status === "Completed"),
+    matrices
+  );
 
-      setTasks((prev) => {
-        const nextOrder = getNextOrder(prev, activeTask.matrixId, overId);
-        const moved = prev.map((t) =>
-          t.id === activeId ? { ...t, urgency: overId, order: nextOrder } : t
+  matrices.forEach((m) => {
+    const own = active.filter((t) => t.matrixId === m.id);
+    if (own.length === 0) return;
+    lines.push(`## ${m.name}`, "");
+
+    QUADRANTS.forEach((q) => {
+      const items = own.filter((t) => quadrantOf(t) === q.id);
+      if (items.length === 0) return;
+      lines.push(`### ${q.label}`, "");
+
+      items.forEach((t) => {
+        const due = t.dueDate
+          ? ` (due ${[t.dueDate, t.dueTime].filter(Boolean).join(" ")})`
+          : "";
+        const tracked = trackedMs(t);
+        const time = tracked ? ` (tracked ${formatDuration(tracked)})` : "";
+        const tags = (t.tags ?? []).map((tag) => ` +${tag}`).join("");
+        const box = t.status === "Completed" ? "x" : " ";
+        // One line per task, or the rest would read back as separate items
+        const text = t.text.replace(/\s*[\r\n]+\s*/g, " ");
+        lines.push(`- [${box}] ${text}${due}${time}${tags}`);
+        (t.subtasks ?? []).forEach((s) =>
+          lines.push(`  - [${s.done ? "x" : " "}] ${s.text}`)
         );
-        return normalizeOrders(moved, activeTask.matrixId, activeTask.urgency);
+        if (t.notes) {
+          t.notes
+            .split(/\r?\n/)
+            .forEach((line) => lines.push(`  >${line ? ` ${line}` : ""}`));
+        }
       });
+      lines.push("");
+    });
+  });
 
+  return lines.join("\n");
+}
+
+function markdownToData(text, matrices) {
+  const resolver = makeMatrixResolver(matrices);
+  let matrixId = resolver.resolve("");
+  let axes = quadrantAxes("schedule");
+  const drafts = [];
+
+  text.split(/\r?\n/).forEach((line) => {
+    const heading = line.match(/^(#{2,3})\s+(.+?)\s*#*\s*$/);
+    if (heading) {
+      if (heading[1] === "##") matrixId = resolver.resolve(heading[2]);
+      else axes = axesFromLabel(heading[2]) ?? axes;
       return;
     }
 
-    // Dropped on a task → reorder/move relative to that task (only within same matrix)
-    const overTask = getTaskById(overId);
-    if (!overTask) return;
+    const quote = line.match(/^\s+> ?(.*)$/);
+    const last = drafts[drafts.length - 1];
+    if (quote && last) {
+      last.notes = last.notes == null ? quote[1] : `${last.notes}\n${quote[1]}`;
+      return;
+    }
 
-    if (overTask.matrixId !== activeTask.matrixId) return;
+    const item = line.match(/^(\s*)[-*+]\s+(?:\[([ xX])\]\s+)?(.+)$/);
+    if (!item) return;
+    const done = item[2] === "x" || item[2] === "X";
 
-    if (overTask.urgency !== activeTask.urgency) {
-      setTasks((prev) => {
-        const nextOrder = getNextOrder(
-          prev,
-          activeTask.matrixId,
-          overTask.urgency
-        );
-        const moved = prev.map((t) =>
-          t.id === activeId
-            ? { ...t, urgency: overTask.urgency, order: nextOrder }
-            : t
-        );
-        return normalizeOrders(moved, activeTask.matrixId, activeTask.urgency);
-      });
+    if (item[1].length > 0 && last) {
+      last.subtasks.push({ text: item[3].trim(), done });
       return;
     }
 
-    if (activeId === overId) return;
+    let body = item[3];
+    const tags = [];
+    let tagMatch;
+    while ((tagMatch = body.match(/\s\+([a-z0-9-]+)\s*$/))) {
+      tags.unshift(tagMatch[1]);
+      body = body.slice(0, tagMatch.index);
+    }
+    body = body.replace(/\s*\(tracked [^)]*\)\s*$/, "");
+    const due = body.match(
+      /\s*\(due (\d{4}-\d{2}-\d{2})(?: (\d{2}:\d{2}))?\)\s*$/
+    );
+    if (due) body = body.slice(0, due.index);
+
+    drafts.push({
+      text: body.trim(),
+      matrixId,
+      ...axes,
+      status: done ? "Completed" : "Not Done",
+      createdAt: new Date().toISOString(),
+      dueDate: due?.[1] ?? "",
+      dueTime: due?.[2] ?? "",
+      recurrence: null,
+      tags: parseTagList(tags.join(",")),
+      subtasks: [],
+    });
+  });
 
-    setTasks((prev) => {
-      const group = prev
-        .filter(
-          (t) =>
-            t.matrixId === activeTask.matrixId &&
-            t.urgency === activeTask.urgency &&
-            t.status !== "Archived" &&
-            t.status !== "Deleted"
-        )
-        .sort((a, b) => {
-          const ao = typeof a.order === "number" ? a.order : 0;
-          const bo = typeof b.order === "number" ? b.order : 0;
-          if (ao !== bo) return ao - bo;
-          return a.id - b.id;
-        });
+  if (drafts.length === 0) {
+    throw new Error("No checklist items found in the Markdown file.");
+  }
 
-      const ids = group.map((t) => t.id);
-      const oldIndex = ids.indexOf(activeId);
-      const newIndex = ids.indexOf(overId);
-      if (oldIndex === -1 || newIndex === -1) return prev;
+  return {
+    format: "markdown",
+    matrices: resolver.matrices,
+    tasks: finishImportedTasks(
+      drafts
+        .filter((d) => d.text)
+        .map(({ notes, ...d }) => ({
+          ...d,
+          subtasks: normalizeSubtasks(d.subtasks),
+          ...(notes?.trim() && { notes: notes.trim() }),
+        }))
+    ),
+  };
+}
 
-      const movedIds = arrayMove(ids, oldIndex, newIndex);
-      const orderMap = new Map();
-      movedIds.forEach((id, idx) => orderMap.set(id, idx));
+function importFormatOf(file) {
+  const name = file.name?.toLowerCase() ?? "";
+  if (name.endsWith(".csv") || file.type === "text/csv") return "csv";
+  if (/\.(md|markdown)$/.test(name) || file.type === "text/markdown") {
+    return "markdown";
+  }
+  return "json";
+}
 
-      return prev.map((t) =>
-        orderMap.has(t.id) ? { ...t, order: orderMap.get(t.id) } : t
-      );
-    });
-  };
+function downloadFile(content, type, filename) {
+  const blob = new Blob([content], { type });
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = filename;
+  document.body.appendChild(a);
+  a.click();
+  a.remove();
+  URL.revokeObjectURL(url);
+}
 
-  const focusMatrix =
-    focusMatrixId === "none"
-      ? null
-      : matrices.find((m) => m.id === focusMatrixId);
+// Task fields behind each SNAPSHOT_DIFF_FIELDS entry
+const MERGE_FIELD_KEYS = {
+  text: ["text"],
+  status: ["status", "completedAt", "archivedAt", "deletedAt"],
+  matrix: ["matrixId"],
+  quadrant: ["important", "urgent"],
+  due: ["dueDate", "dueTime"],
+  tags: ["tags"],
+  subtasks: ["subtasks"],
+  "tracked time": ["sessions"],
+  notes: ["notes"],
+};
+
+// Flat files: the fields they leave out, and whether their ids are ours
+// (Markdown has none, so its tasks get fresh ones on import)
+const FLAT_IMPORT_FORMATS = {
+  csv: { ids: true, omits: ["subtasks"] },
+  markdown: { ids: false, omits: ["tracked time"] },
+};
+
+// Works out what merging `incoming` into `current` would do. Matrices match by
+// id, then by name; tasks match by id, or by matrix + text when the file has
+// no ids of ours. A stamped task is "updated" when the import is a newer
+// version of ours and "conflicting" when both sides changed. An unstamped one
+// (CSV, Markdown, older exports) is compared by content instead: a difference
+// updates our copy, or conflicts when ours has been edited since it was
+// stamped; only the fields the file carries are compared and taken over.
+// Incoming tasks are already remapped onto our matrix ids.
+function planMergeImport(current, incoming) {
+  const matrices = [...current.matrices];
+  const addedMatrices = [];
+  const matrixMap = new Map();
+
+  incoming.matrices.forEach((m) => {
+    const match =
+      matrices.find((x) => x.id === m.id) ??
+      matrices.find((x) => slugify(x.name) === slugify(m.name ?? ""));
+    if (match) {
+      matrixMap.set(m.id, match.id);
+      return;
+    }
 
-  const isFocusActive = focusMatrixId !== "none";
+    const baseId = m.id || slugify(m.name ?? "") || "matrix";
+    const added = { ...m, id: makeUniqueMatrixId(baseId, matrices) };
+    matrices.push(added);
+    addedMatrices.push(added);
+    matrixMap.set(m.id, added.id);
+  });
 
-  const renderCombinedMatrix = () => (
-    <div className="mb-10">
-      <h2 className="text-xl font-bold mb-4 text-gray-800 border-b pb-1 text-center">
-        {selectedMatrixIds.length === 0
-          ? "No matrices selected"
-          : `${selectedMatrixIds
-              .map((id) => matrixNameById.get(id) ?? id)
-              .join(" + ")} Tasks`}
-      </h2>
+  const flat = FLAT_IMPORT_FORMATS[incoming.format];
+  const contentFields = SNAPSHOT_DIFF_FIELDS.filter(
+    ([name]) => !flat?.omits.includes(name)
+  );
+  const localById = new Map(current.tasks.map((t) => [t.id, t]));
+  const matched = new Set();
+  const findLocal = (raw, matrixId) => {
+    if (!flat || flat.ids) {
+      const byId = localById.get(raw.id);
+      if (byId || !flat) return byId;
+    }
+    return current.tasks.find(
+      (t) =>
+        !matched.has(t.id) &&
+        t.matrixId === matrixId &&
+        t.text.trim() === raw.text.trim()
+    );
+  };
 
-      <div className="flex justify-center">
-        <DndContext sensors={sensors} onDragEnd={handleDragEnd}>
-          <div className="grid grid-cols-2 gap-4 w-full max-w-3xl px-4 auto-rows-fr">
-            {urgencyLevels.map((level) => {
-              const visibleTasks = getVisibleTasksForQuadrant(
-                selectedMatrixIds,
-                level
-              );
+  const added = [];
+  const updated = [];
+  const conflicts = [];
+  let unchanged = 0;
 
-              return (
-                <div key={level} className="min-h-[140px]">
-                  <DroppableQuadrant id={level} className="h-full w-full">
-                    <div
-                      className={`rounded p-3 border shadow-sm ${quadrantClass(
-                        level
-                      )} h-full w-full`}
-                    >
-                      <h3 className="text-sm font-semibold text-gray-700 mb-2 uppercase tracking-wide">
-                        {quadrantLabel(level)}
-                      </h3>
+  incoming.tasks.forEach((raw) => {
+    const matrixId = matrixMap.get(raw.matrixId) ?? raw.matrixId;
+    const local = findLocal(raw, matrixId);
+    if (!local) {
+      added.push({ ...raw, matrixId });
+      return;
+    }
+    matched.add(local.id);
 
-                      <div className="space-y-1">
-                        {visibleTasks.map((task) => (
-                          <DroppableTaskTarget key={task.id} id={task.id}>
-                            <DraggableTaskRow
-                              task={task}
-                              showMatrixBadge={showMatrixBadges}
-                              matrixName={
-                                matrixNameById.get(task.matrixId) ?? task.matrixId
-                              }
-                              onToggleComplete={toggleComplete}
-                              onArchive={archiveTask}
-                              onDelete={deleteTask}
-                              isEditing={editingTaskId === task.id}
-                              draftText={
-                                editingTaskId === task.id ? editDraft : task.text
-                              }
-                              onStartEdit={() => startEdit(task)}
-                              onChangeDraft={setEditDraft}
-                              onCommitEdit={commitEdit}
-                              onCancelEdit={cancelEdit}
-                            />
-                          </DroppableTaskTarget>
-                        ))}
-                      </div>
-                    </div>
-                  </DroppableQuadrant>
-                </div>
-              );
-            })}
-          </div>
-        </DndContext>
-      </div>
-    </div>
-  );
+    if (!raw.updatedAt) {
+      const t = { ...raw, matrixId };
+      const changed = contentFields.filter(
+        ([, read]) => read(local) !== read(t)
+      );
+      if (changed.length === 0) {
+        unchanged += 1;
+        return;
+      }
+      const merged = { ...local };
+      changed.forEach(([name]) =>
+        MERGE_FIELD_KEYS[name].forEach((key) => {
+          merged[key] = t[key];
+        })
+      );
+      if (local.updatedAt) conflicts.push({ local, incoming: merged });
+      else updated.push(merged);
+      return;
+    }
 
-  return (
-    <div className="min-h-screen bg-slate-100 py-8 px-4">
-      <div className="max-w-6xl mx-auto bg-white p-6 rounded shadow">
-        <h1 className="text-4xl font-bold mb-6 text-slate-800 text-center">
-          Taskenhower Matrix
-        </h1>
+    // Position within the quadrant isn't worth a conflict
+    const t = { ...raw, matrixId, order: local.order };
+    const relation = relateVersions(local, t);
+    if (relation === "remote") updated.push(t);
+    else if (relation === "concurrent") conflicts.push({ local, incoming: t });
+    else unchanged += 1;
+  });
 
-        {/* Pinned toggles + Focus chip */}
-        <div className="mb-6 flex flex-wrap justify-center gap-3 items-center">
-          {pinnedMatrices.map((m) => {
-            const isActive = activePinnedIds.includes(m.id);
-            return (
-              <button
-                key={m.id}
-                className={`px-4 py-1 rounded text-sm border transition-colors ${
-                  isActive
-                    ? "bg-indigo-600 text-white"
-                    : "bg-white text-indigo-600 hover:bg-indigo-50"
-                }`}
-                onClick={() => {
-                  const willBeActive = !activePinnedIds.includes(m.id);
-
-                  setActivePinnedIds((prev) => {
-                    const next = prev.includes(m.id)
-                      ? prev.filter((id) => id !== m.id)
-                      : [...prev, m.id];
-                    return next;
-                  });
-
-                  // Maintain literal selection order for combined view
-                  setViewOrderIds((prev) => {
-                    if (willBeActive) {
-                      const without = prev.filter((id) => id !== m.id);
-                      return [...without, m.id];
-                    }
-                    return prev.filter((id) => id !== m.id);
-                  });
+  return { matrices, addedMatrices, added, updated, conflicts, unchanged };
+}
 
-                  if (willBeActive) setLastSelectedMatrixId(m.id);
-                }}
-                title="Toggle matrix"
-              >
-                {m.name}
-              </button>
-            );
-          })}
+const TASK_STATUSES = ["Not Done", "Completed", "Archived", "Deleted"];
 
-          {/* Focus chip */}
-          <div
-            className={`px-3 py-1 rounded text-sm border transition-colors flex items-center gap-2 ${
-              isFocusActive
-                ? "bg-indigo-600 text-white"
-                : "bg-white text-indigo-600 hover:bg-indigo-50"
-            }`}
-            title="Select a focus matrix"
-          >
-            <span className="text-sm">Focus:</span>
-            <select
-              className={`text-sm outline-none bg-transparent ${
-                isFocusActive ? "text-white" : "text-indigo-600"
-              }`}
-              value={focusMatrixId}
-              onChange={(e) => {
-                const next = e.target.value;
-                const prevFocus = focusMatrixId;
-
-                setFocusMatrixId(next);
-
-                setViewOrderIds((prev) => {
-                  // Remove prior focus id (if any)
-                  let nextOrder = prev.filter((id) => id !== prevFocus);
-
-                  if (next === "none") return nextOrder;
-
-                  // If focus is changing from one to another, keep it in the same position if possible
-                  const prevIdx = prev.indexOf(prevFocus);
-                  if (prevFocus !== "none" && prevIdx !== -1) {
-                    const replaced = prev.slice();
-                    replaced[prevIdx] = next;
-
-                    // De-dupe while preserving order
-                    const seen = new Set();
-                    return replaced.filter((id) => {
-                      if (id === "none") return false;
-                      if (seen.has(id)) return false;
-                      seen.add(id);
-                      return true;
-                    });
-                  }
+function isValidDate(value) {
+  return !Number.isNaN(new Date(value).getTime());
+}
 
-                  // Otherwise, append focus to end (literal selection order)
-                  if (!nextOrder.includes(next)) nextOrder = [...nextOrder, next];
-                  return nextOrder;
-                });
+// Validates every record of an import (before migrations run) and either
+// fixes problems or skips the affected records, depending on `mode`
+// (fix | skip). Records that can't be fixed (no text, not an object, ...)
+// are always skipped.
+// → { data, records: [{ label, issues, kept }] } — records with issues only
+function checkImport(data, mode = "fix") {
+  const records = [];
+  const report = (label, issues, kept) => {
+    if (issues.length > 0) records.push({ label, issues, kept });
+  };
 
-                if (next !== "none") setLastSelectedMatrixId(next);
-              }}
-            >
-              <option value="none">None</option>
-              {focusCandidates.map((m) => (
-                <option key={m.id} value={m.id}>
-                  {m.name}
-                </option>
-              ))}
-            </select>
-          </div>
-        </div>
+  const matrices = [];
+  data.matrices.forEach((m, idx) => {
+    const issues = [];
+    if (!m || typeof m !== "object" || Array.isArray(m)) {
+      report(`matrix #${idx + 1}`, ["not an object"], false);
+      return;
+    }
 
-        {/* Add task */}
-        <div className="mb-10 flex flex-wrap gap-3 items-end justify-center">
-          <input
-            className="border border-gray-300 p-2 rounded flex-1 min-w-[180px]"
-            placeholder="New task"
-            value={newTask.text}
-            onChange={(e) => setNewTask({ ...newTask, text: e.target.value })}
-            onKeyDown={(e) => {
-              if (e.key === "Enter") addTask();
-            }}
-          />
+    const hasId = typeof m.id === "string" && m.id.trim() !== "";
+    const hasName = typeof m.name === "string" && m.name.trim() !== "";
+    const label = `matrix #${idx + 1}${hasName ? ` “${m.name}”` : ""}`;
+    if (!hasId && !hasName) {
+      report(label, ["has neither an id nor a name"], false);
+      return;
+    }
 
-          <select
-            className="border border-gray-300 p-2 rounded"
-            value={newTask.matrixId}
-            onChange={(e) => {
-              const id = e.target.value;
-              setNewTask({ ...newTask, matrixId: id });
-              setLastSelectedMatrixId(id);
-            }}
-            title="Which matrix should this task live in?"
-          >
-            {matrices.map((m) => (
-              <option key={m.id} value={m.id}>
-                {m.name}
-              </option>
-            ))}
-          </select>
+    let id = hasId ? m.id : slugify(m.name) || "matrix";
+    if (!hasId) issues.push("id missing");
+    if (!hasName) issues.push("name missing");
+    if (matrices.some((x) => x.id === id)) {
+      issues.push(`duplicate id '${id}'`);
+      id = makeUniqueMatrixId(id, matrices);
+    }
 
-          <select
-            className="border border-gray-300 p-2 rounded"
-            value={newTask.urgency}
-            onChange={(e) =>
-              setNewTask({ ...newTask, urgency: e.target.value })
-            }
-          >
-            {urgencyLevels.map((lvl) => (
-              <option key={lvl}>{lvl}</option>
-            ))}
-          </select>
+    const fixed = { ...m, id, name: hasName ? m.name : id, pinned: !!m.pinned };
+    if (
+      m.autoArchiveDays != null &&
+      !(Number.isInteger(m.autoArchiveDays) && m.autoArchiveDays > 0)
+    ) {
+      issues.push("auto-archive days must be a whole number above 0");
+      delete fixed.autoArchiveDays;
+    }
+    if (m.color != null && !MATRIX_COLORS[m.color]) {
+      issues.push(`colour '${m.color}' not recognised`);
+      delete fixed.color;
+    }
 
-          <button
-            className="bg-indigo-600 hover:bg-indigo-700 text-white px-4 py-2 rounded"
-            onClick={addTask}
-          >
-            Add
-          </button>
-        </div>
+    const kept = mode === "fix" || issues.length === 0;
+    if (kept) matrices.push(fixed);
+    report(label, issues, kept);
+  });
 
-        <div className="mt-6">
-          {selectedMatrixIds.length === 0 ? (
-            <p className="text-center text-gray-500">Select a matrix above.</p>
-          ) : (
-            renderCombinedMatrix()
-          )}
-        </div>
+  // The defaults are always re-added on import, so tasks may point at them
+  const matrixIds = new Set([
+    ...matrices.map((m) => m.id),
+    ...DEFAULT_MATRICES.map((m) => m.id),
+  ]);
+  const fallbackMatrixId = matrices[0]?.id ?? DEFAULT_MATRICES[0].id;
+  // Only files from before matrices existed may leave a task's matrix out;
+  // the first migration sorts those in
+  const needsMatrixId = (Number(data.version) || 0) >= 1;
+
+  const taskIds = new Set();
+  let nextId = data.tasks.reduce(
+    (max, t) => (typeof t?.id === "number" ? Math.max(max, t.id) : max),
+    Date.now()
+  );
 
-        <div className="mt-10">
-          <details className="max-w-3xl mx-auto">
-            <summary className="cursor-pointer text-sm text-slate-600 underline mb-4">
-              Tools
-            </summary>
+  const tasks = [];
+  data.tasks.forEach((t, idx) => {
+    if (!t || typeof t !== "object" || Array.isArray(t)) {
+      report(`task #${idx + 1}`, ["not an object"], false);
+      return;
+    }
 
-            <div className="space-y-6">
-              {/* Matrix management */}
-              <div className="space-y-4">
-                <div className="flex flex-wrap gap-3 items-end justify-center">
-                  <input
-                    className="border border-gray-300 p-2 rounded flex-1 min-w-[200px]"
-                    placeholder="New matrix name (e.g., Today 2/10/26, Project XYZ)"
-                    value={newMatrixName}
-                    onChange={(e) => setNewMatrixName(e.target.value)}
-                    onKeyDown={(e) => {
-                      if (e.key === "Enter") addMatrix();
-                    }}
-                  />
-                  <button
-                    className="bg-slate-800 text-white px-4 py-2 rounded"
-                    onClick={addMatrix}
-                  >
-                    Add Matrix
-                  </button>
-                </div>
+    const hasText = typeof t.text === "string" && t.text.trim() !== "";
+    const label = `task #${idx + 1}${hasText ? ` “${t.text}”` : ""}`;
+    if (!hasText) {
+      report(label, ["text missing"], false);
+      return;
+    }
 
-                {focusMatrix && (
-                  <div className="flex flex-wrap gap-3 justify-center items-center">
-                    <div className="text-sm text-slate-600">
-                      Focus:{" "}
-                      <span className="font-semibold text-slate-800">
-                        {focusMatrix.name}
-                      </span>
-                    </div>
+    const issues = [];
+    const fixed = { ...t };
 
-                    <MergeControl
-                      pinnedMatrices={pinnedMatrices}
-                      onMerge={(destId) =>
-                        mergeMatrixInto(focusMatrix.id, destId)
-                      }
-                    />
+    if (typeof t.id !== "number" && typeof t.id !== "string") {
+      issues.push("id missing");
+      fixed.id = ++nextId;
+    } else if (taskIds.has(t.id)) {
+      issues.push(`duplicate id ${t.id}`);
+      fixed.id = ++nextId;
+    }
 
-                    <button
-                      className="text-sm text-red-600 underline"
-                      onClick={() => deleteMatrixArchiveTasks(focusMatrix.id)}
-                      title="Delete matrix (archives its tasks)"
+    const hasAxes =
+      typeof t.important === "boolean" && typeof t.urgent === "boolean";
+    if (!hasAxes) {
+      if (t.important !== undefined || t.urgent !== undefined) {
+        issues.push("important / urgent must be true or false");
+        fixed.important = t.important === true || t.important === "true";
+        fixed.urgent = t.urgent === true || t.urgent === "true";
+      } else if (t.urgency !== undefined && !LEGACY_URGENCY_AXES[t.urgency]) {
+        issues.push(`urgency '${t.urgency}' not recognised`);
+        fixed.urgency = "Medium";
+      }
+    }
+
+    if (!TASK_STATUSES.includes(t.status)) {
+      issues.push(
+        t.status === undefined
+          ? "status missing"
+          : `status '${t.status}' not recognised`
+      );
+      fixed.status =
+        IMPORT_STATUSES[String(t.status ?? "").toLowerCase()] ?? "Not Done";
+    }
+
+    if (!t.matrixId) {
+      if (needsMatrixId) {
+        issues.push("matrix missing");
+        fixed.matrixId = fallbackMatrixId;
+      }
+    } else if (!matrixIds.has(t.matrixId)) {
+      issues.push(`matrix '${t.matrixId}' does not exist`);
+      fixed.matrixId = fallbackMatrixId;
+    }
+
+    if (t.dueDate && !/^\d{4}-\d{2}-\d{2}$/.test(t.dueDate)) {
+      issues.push(`due date '${t.dueDate}' is not YYYY-MM-DD`);
+      fixed.dueDate = "";
+      fixed.dueTime = "";
+    }
+    if (t.dueTime && !/^\d{2}:\d{2}$/.test(t.dueTime)) {
+      issues.push(`due time '${t.dueTime}' is not HH:MM`);
+      fixed.dueTime = "";
+    }
+
+    ["createdAt", "archivedAt", "deletedAt", "completedAt"].forEach((field) => {
+      if (t[field] != null && !isValidDate(t[field])) {
+        issues.push(`${field} '${t[field]}' is not a date`);
+        delete fixed[field];
+      }
+    });
+
+    ["tags", "subtasks", "sessions", "placeHistory"].forEach((field) => {
+      if (t[field] != null && !Array.isArray(t[field])) {
+        issues.push(`${field} must be a list`);
+        fixed[field] = [];
+      }
+    });
+
+    // Tags and checklists are only normalised by migrations for older files,
+    // so a current file's lists are cleaned up here
+    if (Array.isArray(t.tags)) {
+      const bad = t.tags.filter((x) => typeof x !== "string").length;
+      if (bad > 0) {
+        issues.push(`${bad} tag${bad === 1 ? " is" : "s are"} not text`);
+      }
+      fixed.tags = parseTagList(
+        t.tags.filter((x) => typeof x === "string").join(",")
+      );
+    }
+
+    if (Array.isArray(t.subtasks)) {
+      const subtasks = normalizeSubtasks(t.subtasks);
+      const bad = t.subtasks.length - subtasks.length;
+      if (bad > 0) {
+        issues.push(
+          `${bad} checklist item${bad === 1 ? " is" : "s are"} not readable`
+        );
+      }
+      fixed.subtasks = subtasks;
+    }
+
+    if (t.recurrence != null) {
+      const rule = normalizeRecurrence(t.recurrence);
+      if (!rule) {
+        issues.push("repeat rule not recognised");
+        fixed.recurrence = null;
+      } else if (JSON.stringify(rule) !== JSON.stringify(t.recurrence)) {
+        issues.push(`${rule.type} repeat rule is incomplete`);
+        fixed.recurrence = rule;
+      }
+    }
+
+    if (Array.isArray(t.sessions)) {
+      const sessions = t.sessions.filter(
+        (s) => s && isValidDate(s.startedAt) && isValidDate(s.endedAt)
+      );
+      const bad = t.sessions.length - sessions.length;
+      if (bad > 0) {
+        issues.push(
+          `${bad} tracked session${bad === 1 ? " has" : "s have"} invalid times`
+        );
+        fixed.sessions = sessions;
+      }
+    }
+
+    if (Array.isArray(t.placeHistory)) {
+      const places = t.placeHistory.filter(
+        (p) =>
+          p &&
+          isValidDate(p.at) &&
+          typeof p.matrixId === "string" &&
+          quadrantIds.includes(p.quadrant)
+      );
+      const bad = t.placeHistory.length - places.length;
+      if (bad > 0) {
+        issues.push(
+          `${bad} history entr${bad === 1 ? "y is" : "ies are"} not readable`
+        );
+        fixed.placeHistory = places;
+      }
+    }
+
+    if (t.notes != null && typeof t.notes !== "string") {
+      issues.push("notes must be text");
+      delete fixed.notes;
+    }
+
+    const kept = mode === "fix" || issues.length === 0;
+    if (kept) {
+      tasks.push(fixed);
+      taskIds.add(fixed.id);
+    }
+    report(label, issues, kept);
+  });
+
+  return { data: { ...data, matrices, tasks }, records };
+}
+
+// ---------- snapshots ----------
+function makeSnapshot(data, reason, at = Date.now()) {
+  return {
+    id: `${at}-${Math.random().toString(36).slice(2, 6)}`,
+    createdAt: new Date(at).toISOString(),
+    reason,
+    version: SCHEMA_VERSION,
+    tasks: data.tasks,
+    matrices: data.matrices,
+  };
+}
+
+// Oldest first, trimmed to the retention policy
+function pruneSnapshots(list, now) {
+  const newestFirst = [...list].sort((a, b) =>
+    a.createdAt < b.createdAt ? 1 : -1
+  );
+  const cutoff = now - SNAPSHOT_KEEP_DAYS * 24 * 60 * 60 * 1000;
+  const days = new Set();
+
+  const kept = newestFirst.filter((s, idx) => {
+    const day = toDateInput(new Date(s.createdAt));
+    if (idx >= SNAPSHOT_KEEP_RECENT) {
+      if (Date.parse(s.createdAt) < cutoff || days.has(day)) return false;
+    }
+    days.add(day);
+    return true;
+  });
+
+  return kept.slice(0, SNAPSHOT_LIMIT).reverse();
+}
+
+function addSnapshot(snapshots, data, reason, now = Date.now()) {
+  return pruneSnapshots([...snapshots, makeSnapshot(data, reason, now)], now);
+}
+
+// Adds a scheduled snapshot once the interval has passed, unless nothing has
+// changed since the last one. Returns `snapshots` itself otherwise.
+function withScheduledSnapshot(snapshots, data, now) {
+  const last = snapshots[snapshots.length - 1];
+  if (last) {
+    if (now - Date.parse(last.createdAt) < SNAPSHOT_INTERVAL_MS) {
+      return snapshots;
+    }
+    const unchanged =
+      JSON.stringify(last.tasks) === JSON.stringify(data.tasks) &&
+      JSON.stringify(last.matrices) === JSON.stringify(data.matrices);
+    if (unchanged) return snapshots;
+  }
+  return addSnapshot(snapshots, data, "scheduled", now);
+}
+
+const SNAPSHOT_DIFF_FIELDS = [
+  ["text", (t) => t.text],
+  ["status", (t) => t.status],
+  ["matrix", (t) => t.matrixId],
+  ["quadrant", (t) => quadrantOf(t)],
+  ["due", (t) => [t.dueDate, t.dueTime].filter(Boolean).join(" ")],
+  ["tags", (t) => (t.tags ?? []).join(",")],
+  ["subtasks", (t) => JSON.stringify(t.subtasks ?? [])],
+  ["tracked time", (t) => trackedMs(t)],
+  ["notes", (t) => t.notes ?? ""],
+];
+
+// What restoring `snapshot` would undo, compared with `current`:
+// added = only in current, removed = only in the snapshot
+function diffSnapshot(snapshot, current) {
+  const thenById = new Map(snapshot.tasks.map((t) => [t.id, t]));
+  const nowIds = new Set(current.tasks.map((t) => t.id));
+  const thenMatrixIds = new Set(snapshot.matrices.map((m) => m.id));
+  const nowMatrixIds = new Set(current.matrices.map((m) => m.id));
+
+  const changed = [];
+  current.tasks.forEach((t) => {
+    const before = thenById.get(t.id);
+    if (!before) return;
+    const fields = SNAPSHOT_DIFF_FIELDS.filter(
+      ([, read]) => read(before) !== read(t)
+    ).map(([name]) => name);
+    if (fields.length > 0) changed.push({ before, after: t, fields });
+  });
+
+  return {
+    added: current.tasks.filter((t) => !thenById.has(t.id)),
+    removed: snapshot.tasks.filter((t) => !nowIds.has(t.id)),
+    changed,
+    matricesAdded: current.matrices.filter((m) => !thenMatrixIds.has(m.id)),
+    matricesRemoved: snapshot.matrices.filter((m) => !nowMatrixIds.has(m.id)),
+  };
+}
+
+// ---------- stats ----------
+const STATS_WEEKS = 8;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Local midnight on the Monday of the week containing `ms`
+function startOfWeek(ms) {
+  const d = new Date(ms);
+  d.setHours(0, 0, 0, 0);
+  d.setDate(d.getDate() - ((d.getDay() + 6) % 7));
+  return d.getTime();
+}
+
+function median(values) {
+  if (values.length === 0) return null;
+  const sorted = [...values].sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+}
+
+// What the stats view shows, from task timestamps. Deleted tasks are left
+// out; completions count once they have a completedAt (older ones don't).
+// → {
+//   weeks:      [{ start, total, byMatrix: { [matrixId]: n } }] oldest first
+//   quadrants:  [{ id, label, open, completed, medianDays, measured }]
+//               (completed: within the charted weeks; medianDays: created →
+//               completed, over every completion)
+//   oldestOpen: [{ task, ageDays }] oldest first
+// }
+function computeStats(tasks, now, { weeks: weekCount = STATS_WEEKS } = {}) {
+  const live = tasks.filter((t) => t.status !== "Deleted");
+  const open = live.filter((t) => t.status === "Not Done");
+  const completed = live.filter(
+    (t) => t.completedAt && isValidDate(t.completedAt)
+  );
+
+  const thisWeek = startOfWeek(now);
+  const weeks = Array.from({ length: weekCount }, (_, idx) => {
+    const d = new Date(thisWeek);
+    d.setDate(d.getDate() - 7 * (weekCount - 1 - idx));
+    return { start: d.getTime(), total: 0, byMatrix: {} };
+  });
+  const weekByStart = new Map(weeks.map((w) => [w.start, w]));
+
+  completed.forEach((t) => {
+    const week = weekByStart.get(startOfWeek(Date.parse(t.completedAt)));
+    if (!week) return;
+    week.total += 1;
+    week.byMatrix[t.matrixId] = (week.byMatrix[t.matrixId] ?? 0) + 1;
+  });
+
+  const quadrants = QUADRANTS.map((q) => {
+    const done = completed.filter((t) => quadrantOf(t) === q.id);
+    const days = done
+      .map(
+        (t) =>
+          (Date.parse(t.completedAt) - Date.parse(getCreatedIso(t))) / DAY_MS
+      )
+      .filter((d) => Number.isFinite(d) && d >= 0);
+    return {
+      id: q.id,
+      label: q.label,
+      open: open.filter((t) => quadrantOf(t) === q.id).length,
+      completed: done.filter((t) => Date.parse(t.completedAt) >= weeks[0].start)
+        .length,
+      medianDays: median(days),
+      measured: days.length,
+    };
+  });
+
+  const oldestOpen = open
+    .map((task) => ({
+      task,
+      ageDays: (now - Date.parse(getCreatedIso(task))) / DAY_MS,
+    }))
+    .filter((x) => Number.isFinite(x.ageDays))
+    .sort((a, b) => b.ageDays - a.ageDays)
+    .slice(0, 5);
+
+  return { weeks, quadrants, oldestOpen };
+}
+
+// ---------- auto-archive ----------
+// Choices for a matrix's `autoArchiveDays` (absent = keep completed tasks)
+const AUTO_ARCHIVE_DAY_OPTIONS = [1, 3, 7, 14, 30];
+
+// Archives completed tasks once their matrix's autoArchiveDays have passed.
+// archivedAt is the moment that happened rather than now, so tabs doing this
+// at the same time end up with identical tasks. Returns `allTasks` itself when
+// nothing is due.
+function autoArchiveCompleted(allTasks, matrices, now) {
+  const daysById = new Map(
+    matrices
+      .filter((m) => m.autoArchiveDays > 0)
+      .map((m) => [m.id, m.autoArchiveDays])
+  );
+  if (daysById.size === 0) return allTasks;
+
+  let changed = false;
+  const next = allTasks.map((t) => {
+    const days = daysById.get(t.matrixId);
+    if (!days || t.status !== "Completed") return t;
+
+    // Completed before completedAt was recorded: the last change is the best
+    // guess
+    const doneAt = Date.parse(t.completedAt ?? t.updatedAt ?? "");
+    if (!Number.isFinite(doneAt) || doneAt + days * DAY_MS > now) return t;
+
+    changed = true;
+    return {
+      ...t,
+      status: "Archived",
+      archivedAt: new Date(doneAt + days * DAY_MS).toISOString(),
+      autoArchived: true,
+    };
+  });
+  return changed ? next : allTasks;
+}
+
+// ---------- schema migrations ----------
+// Stored data and imports carry a schema `version`. On load and on import,
+// every migration newer than that version runs in order. Unversioned data
+// (the old localStorage blobs) starts at 0, so each step must tolerate input
+// that is already in its target shape.
+const SCHEMA_VERSION = 3;
+
+const MIGRATIONS = [
+  {
+    version: 1,
+    // Old `tag` field → matrixId; per-quadrant order
+    up: (data) => {
+      const tasks = data.tasks.map((t) => {
+        if (t.matrixId) return t;
+
+        const tag = t.tag;
+        let matrixId = "work";
+        if (tag === "Personal") matrixId = "personal";
+        if (tag === "Goals") matrixId = "goals";
+
+        const { tag: _tag, ...rest } = t;
+        return { ...rest, matrixId };
+      });
+
+      if (tasks.some((t) => typeof t.order === "number")) {
+        return { ...data, tasks };
+      }
+
+      const counters = new Map();
+      return {
+        ...data,
+        tasks: tasks.map((t) => {
+          const key = `${t.matrixId}__${t.urgency ?? quadrantOf(t)}`;
+          const next = counters.get(key) ?? 0;
+          counters.set(key, next + 1);
+          return { ...t, order: next };
+        }),
+      };
+    },
+  },
+  {
+    version: 2,
+    // Single-axis urgency → separate importance + urgency
+    up: (data) => ({
+      ...data,
+      tasks: data.tasks.map((t) => {
+        if (typeof t.important === "boolean" && typeof t.urgent === "boolean") {
+          return t;
+        }
+
+        const axes =
+          LEGACY_URGENCY_AXES[t.urgency] ?? LEGACY_URGENCY_AXES.Medium;
+        const { urgency: _urgency, ...rest } = t;
+        return { ...rest, ...axes };
+      }),
+    }),
+  },
+  {
+    version: 3,
+    // Checklists: well-formed subtasks in stored order. Tags: deduped slugs.
+    up: (data) => ({
+      ...data,
+      tasks: data.tasks.map((t) => {
+        let next = t;
+        if (Array.isArray(t.subtasks)) {
+          next = { ...next, subtasks: normalizeSubtasks(t.subtasks) };
+        }
+        if (Array.isArray(t.tags)) {
+          next = {
+            ...next,
+            tags: parseTagList(
+              t.tags.filter((x) => typeof x === "string").join(",")
+            ),
+          };
+        }
+        return next;
+      }),
+    }),
+  },
+];
+
+// data: { version, matrices, tasks, ... } → same shape at SCHEMA_VERSION
+function migrateData(data) {
+  const from = Number(data.version) || 0;
+  if (from > SCHEMA_VERSION) {
+    throw new Error(
+      `This data uses schema version ${from}, but this app only understands up to ${SCHEMA_VERSION}. Please update the app.`
+    );
+  }
+
+  const migrated = MIGRATIONS.filter((m) => m.version > from).reduce(
+    (current, m) => m.up(current),
+    data
+  );
+  return { ...migrated, version: SCHEMA_VERSION };
+}
+
+// Keys the app persists through the storage adapter
+const STORAGE_KEYS = [
+  "schemaVersion",
+  "tasks",
+  "matrices",
+  "settings",
+  "tagColors",
+  "snapshots",
+  "syncState",
+  "focusTimer",
+];
+
+// Fire-and-forget save that reports failures (quota above all) via onError
+function saveToStorage(storage, key, value, onError) {
+  if (!storage) return;
+  storage.save(key, value).then(
+    () => onError(""),
+    (err) =>
+      onError(
+        isQuotaError(err)
+          ? "Browser storage is full, so recent changes are not being saved. Export a backup, then clear deleted tasks or old archives."
+          : `Couldn't save your changes (${err?.message ?? err}).`
+      )
+  );
+}
+
+// Readies a local change to the task list for the other tabs: escalation
+// runs first, then moves are logged and changed tasks stamped. Doing it all
+// in one pass gives each change a single stamp; a second stamp on top of one
+// that was never sent would look like a concurrent edit elsewhere.
+function prepareLocalTasks(prev, tasks, { by, at, atMs }) {
+  const settled = escalateTasks(tasks, atMs);
+  return stampChanges(prev, recordPlaceChanges(prev, settled, at), {
+    by,
+    at,
+  });
+}
+
+// Sends a local change to the other tabs. A value that came from another tab
+// is already recorded in `synced`, so it isn't echoed back.
+function publishChange(channel, synced, type, value, extra) {
+  if (synced[type] === value) return;
+  synced[type] = value;
+  channel?.post({ type, value, ...extra });
+}
+
+export default function App() {
+  const [tasks, setTasks] = useState([]);
+  const [matrices, setMatrices] = useState(DEFAULT_MATRICES);
+  const [settings, setSettings] = useState(DEFAULT_SETTINGS);
+  const [storageError, setStorageError] = useState("");
+  const storageRef = useRef(null);
+
+  // Cross-tab sync: the channel, the last value sent or received per key, the
+  // tasks as last stamped (to spot local changes) and ids this tab removed
+  // outright
+  const channelRef = useRef(null);
+  const syncedRef = useRef({});
+  const persistedTasksRef = useRef([]);
+  const purgedTaskIdsRef = useRef(new Set());
+  const syncHandlerRef = useRef(null);
+
+  // Server sync: the running engine (leader tab only), its persisted state,
+  // matrices as last seen (to spot local changes) and the latest
+  // readLocal / applyRemote callbacks for the engine
+  const syncEngineRef = useRef(null);
+  const syncStateRef = useRef(null);
+  const prevMatricesRef = useRef([]);
+  const syncBridgeRef = useRef(null);
+  const [syncStatus, setSyncStatus] = useState({ status: "off" });
+  const [tagColors, setTagColors] = useState({});
+  const [snapshots, setSnapshots] = useState([]); // oldest first
+  // Running focus timer (see nextFocusPhase) and the latest phase-end handler
+  const [focusTimer, setFocusTimer] = useState(null);
+  const [showFocusTimer, setShowFocusTimer] = useState(false);
+  const focusPhaseEndRef = useRef(null);
+  // Tags narrowing the grid (a task shows if it has any of them)
+  const [tagFilter, setTagFilter] = useState([]);
+  const [hasInitialized, setHasInitialized] = useState(false);
+
+  const [activePinnedIds, setActivePinnedIds] = useState(
+    DEFAULT_MATRICES.map((m) => m.id)
+  );
+  const [focusMatrixId, setFocusMatrixId] = useState("none");
+
+  // Order in which matrices were selected for the combined view (most literal / intentional)
+  const [viewOrderIds, setViewOrderIds] = useState(
+    DEFAULT_MATRICES.map((m) => m.id)
+  );
+
+  // Tracks the most recently selected matrix (used as the default for new tasks)
+  const [lastSelectedMatrixId, setLastSelectedMatrixId] = useState("work");
+
+  const [newMatrixName, setNewMatrixName] = useState("");
+
+  const [newTask, setNewTask] = useState({
+    text: "",
+    matrixId: "work",
+    important: true,
+    urgent: false,
+    dueDate: "",
+    dueTime: "",
+    recurrence: null,
+    tags: [],
+  });
+  // Add-task controls the user set by hand; these win over quick-add tokens
+  const [quickAddTouched, setQuickAddTouched] = useState({});
+
+  const [showArchived, setShowArchived] = useState(false);
+  const [showDeleted, setShowDeleted] = useState(false);
+  const [showBackups, setShowBackups] = useState(false);
+  const [showStats, setShowStats] = useState(false);
+  const [historySort, setHistorySort] = useState("new"); // new | old
+
+  // Export / import
+  const [importError, setImportError] = useState("");
+  const [importOk, setImportOk] = useState("");
+  const [importMode, setImportMode] = useState("replace"); // replace | merge
+  // File read but not yet imported: { fileName, raw, fixMode: "fix" | "skip" }
+  const [importPreview, setImportPreview] = useState(null);
+  // Pending merge: { fileName, plan, tagColors, choices: { [taskId]: "local" | "incoming" } }
+  const [mergeReview, setMergeReview] = useState(null);
+
+  // Inline edit state
+  const [editingTaskId, setEditingTaskId] = useState(null);
+  const [editDraft, setEditDraft] = useState("");
+  const [editDueDraft, setEditDueDraft] = useState({
+    dueDate: "",
+    dueTime: "",
+  });
+  const [editRecurrenceDraft, setEditRecurrenceDraft] = useState(null);
+  const [editTagsDraft, setEditTagsDraft] = useState("");
+  // Task shown in the detail side panel (notes + metadata)
+  const [detailTaskId, setDetailTaskId] = useState(null);
+
+  // Undo / redo: snapshots of { tasks, matrices } taken before each change
+  const [history, setHistory] = useState({ past: [], future: [] });
+  const [toast, setToast] = useState(null); // { message, undoable? } | null
+
+  // Keyboard navigation + command palette
+  const [selectedTaskId, setSelectedTaskId] = useState(null);
+  const [search, setSearch] = useState(DEFAULT_SEARCH);
+  const searchInputRef = useRef(null);
+  const [paletteOpen, setPaletteOpen] = useState(false);
+  const shortcutsRef = useRef(null);
+  const newTaskInputRef = useRef(null);
+  const importInputRef = useRef(null);
+  const toolsRef = useRef(null);
+  // Whether Alt is held, read when a drag ends
+  const dragModifierRef = useRef(false);
+  const [draggingTaskId, setDraggingTaskId] = useState(null);
+
+  // Ticks once a minute so due badges and escalation stay current
+  const [now, setNow] = useState(() => Date.now());
+
+  const sensors = useSensors(
+    useSensor(MouseSensor, { activationConstraint: { distance: 6 } }),
+    // Long-press on touch screens, so a quick swipe still scrolls the page
+    useSensor(TouchSensor, {
+      activationConstraint: { delay: 250, tolerance: 5 },
+    }),
+    // Space/Enter on a drag handle picks the task up; arrows move it
+    useSensor(KeyboardSensor)
+  );
+
+  // ---------- persistence ----------
+  useEffect(() => {
+    let cancelled = false;
+
+    (async () => {
+      let storage;
+      let stored;
+      try {
+        storage = await openStorage();
+        stored = await storage.load(STORAGE_KEYS);
+      } catch (err) {
+        // Reading failed after IndexedDB opened (e.g. blocked by another tab)
+        storage = fallbackStorage(err);
+        stored = await storage.load(STORAGE_KEYS).catch(() => ({}));
+      }
+      if (cancelled) return;
+      if (storage.warning) setStorageError(storage.warning);
+
+      let data;
+      try {
+        data = migrateData({
+          version: stored.schemaVersion ?? 0,
+          matrices: Array.isArray(stored.matrices)
+            ? stored.matrices
+            : DEFAULT_MATRICES,
+          tasks: Array.isArray(stored.tasks) ? stored.tasks : [],
+        });
+      } catch (e) {
+        // Don't overwrite data written by a newer version of the app
+        setStorageError(e.message);
+        return;
+      }
+
+      storageRef.current = storage;
+
+      const normalizedMatrices = ensureDefaultMatrices(data.matrices);
+      const loadedTagColors = stored.tagColors ?? {};
+      const loadedSnapshots = Array.isArray(stored.snapshots)
+        ? stored.snapshots
+        : [];
+      const loadedSettings = {
+        ...DEFAULT_SETTINGS,
+        ...(stored.settings ?? {}),
+      };
+      const loadedFocusTimer = stored.focusTimer ?? null;
+      setMatrices(normalizedMatrices);
+      setTasks(data.tasks);
+      setTagColors(loadedTagColors);
+      setSettings(loadedSettings);
+      setSnapshots(loadedSnapshots);
+      setFocusTimer(loadedFocusTimer);
+
+      // What we loaded is what the other tabs already have
+      persistedTasksRef.current = data.tasks;
+      prevMatricesRef.current = normalizedMatrices;
+      syncStateRef.current = stored.syncState ?? null;
+      syncedRef.current = {
+        tasks: data.tasks,
+        matrices: normalizedMatrices,
+        settings: loadedSettings,
+        tagColors: loadedTagColors,
+        snapshots: loadedSnapshots,
+        focusTimer: loadedFocusTimer,
+      };
+
+      const pinned = normalizedMatrices
+        .filter((m) => m.pinned)
+        .map((m) => m.id);
+      setActivePinnedIds(pinned);
+      setViewOrderIds(pinned);
+
+      // best-effort default
+      setLastSelectedMatrixId(pinned[0] ?? "work");
+      setNewTask((t) => ({ ...t, matrixId: pinned[0] ?? "work" }));
+
+      saveToStorage(storage, "schemaVersion", SCHEMA_VERSION, setStorageError);
+      setHasInitialized(true);
+    })();
+
+    return () => {
+      cancelled = true;
+    };
+  }, []);
+
+  useEffect(() => {
+    if (!hasInitialized) return;
+
+    // Local change: stamp changed tasks first (the stamped list comes back
+    // through this effect), then tell the other tabs
+    if (tasks !== syncedRef.current.tasks) {
+      const prev = persistedTasksRef.current;
+      const atMs = Date.now();
+      const stamped = prepareLocalTasks(prev, tasks, {
+        by: TAB_ID,
+        at: new Date(atMs).toISOString(),
+        atMs,
+      });
+      trackPurgedIds(prev, stamped, purgedTaskIdsRef.current);
+      syncEngineRef.current?.markDirty(
+        changedRecordKeys("task", prev, stamped)
+      );
+      persistedTasksRef.current = stamped;
+      if (stamped !== tasks) {
+        setTasks(stamped);
+        return;
+      }
+
+      publishChange(channelRef.current, syncedRef.current, "tasks", tasks, {
+        purgedTaskIds: [...purgedTaskIdsRef.current],
+      });
+    }
+
+    persistedTasksRef.current = tasks;
+    saveToStorage(storageRef.current, "tasks", tasks, setStorageError);
+  }, [tasks, hasInitialized]);
+
+  useEffect(() => {
+    if (!hasInitialized) return;
+    // Local change: stamped like tasks, so conflicts go to the newer edit
+    if (matrices !== syncedRef.current.matrices) {
+      const prev = prevMatricesRef.current;
+      const stamped = stampChanges(prev, matrices, {
+        by: TAB_ID,
+        at: new Date().toISOString(),
+      });
+      syncEngineRef.current?.markDirty(
+        changedRecordKeys("matrix", prev, stamped)
+      );
+      prevMatricesRef.current = stamped;
+      if (stamped !== matrices) {
+        setMatrices(stamped);
+        return;
+      }
+    }
+    prevMatricesRef.current = matrices;
+    publishChange(channelRef.current, syncedRef.current, "matrices", matrices);
+    saveToStorage(storageRef.current, "matrices", matrices, setStorageError);
+  }, [matrices, hasInitialized]);
+
+  useEffect(() => {
+    if (!hasInitialized) return;
+    publishChange(channelRef.current, syncedRef.current, "settings", settings);
+    saveToStorage(storageRef.current, "settings", settings, setStorageError);
+  }, [settings, hasInitialized]);
+
+  useEffect(() => {
+    if (!hasInitialized) return;
+    publishChange(
+      channelRef.current,
+      syncedRef.current,
+      "tagColors",
+      tagColors
+    );
+    saveToStorage(storageRef.current, "tagColors", tagColors, setStorageError);
+  }, [tagColors, hasInitialized]);
+
+  useEffect(() => {
+    if (!hasInitialized) return;
+    publishChange(
+      channelRef.current,
+      syncedRef.current,
+      "snapshots",
+      snapshots
+    );
+    saveToStorage(storageRef.current, "snapshots", snapshots, setStorageError);
+  }, [snapshots, hasInitialized]);
+
+  useEffect(() => {
+    if (!hasInitialized) return;
+    publishChange(
+      channelRef.current,
+      syncedRef.current,
+      "focusTimer",
+      focusTimer
+    );
+    saveToStorage(
+      storageRef.current,
+      "focusTimer",
+      focusTimer,
+      setStorageError
+    );
+  }, [focusTimer, hasInitialized]);
+
+  // ---------- cross-tab sync ----------
+  const applyRemoteTasks = (remoteTasks, purgedTaskIds) => {
+    const merge = mergeTasks(tasks, remoteTasks, {
+      remotePurged: new Set(purgedTaskIds ?? []),
+      localPurged: purgedTaskIdsRef.current,
+      // Never pull the task being edited out from under the editor
+      keepIds: new Set(editingTaskId != null ? [editingTaskId] : []),
+    });
+    if (!merge.changed) return;
+
+    // The tab that syncs with the server pushes other tabs' changes too
+    syncEngineRef.current?.markDirty(
+      changedRecordKeys("task", tasks, merge.tasks)
+    );
+    syncedRef.current.tasks = merge.tasks;
+    setTasks(merge.tasks);
+
+    if (merge.conflicts.length > 0) {
+      setToast({
+        message:
+          merge.conflicts.length === 1
+            ? `"${merge.conflicts[0].winner.text}" was also changed in another tab; kept the latest edit.`
+            : `${merge.conflicts.length} tasks were also changed in another tab; kept the latest edits.`,
+        undoable: false,
+      });
+    }
+  };
+
+  const handleRemoteMessage = (msg) => {
+    if (msg.type === "tasks" && Array.isArray(msg.value)) {
+      applyRemoteTasks(msg.value, msg.purgedTaskIds);
+    } else if (msg.type === "matrices" && Array.isArray(msg.value)) {
+      const next = ensureDefaultMatrices(msg.value);
+      syncEngineRef.current?.markDirty(
+        changedRecordKeys("matrix", matrices, next)
+      );
+      syncedRef.current.matrices = next;
+      setMatrices(next);
+    } else if (msg.type === "settings" && msg.value) {
+      const next = { ...DEFAULT_SETTINGS, ...msg.value };
+      syncedRef.current.settings = next;
+      setSettings(next);
+    } else if (msg.type === "tagColors" && msg.value) {
+      syncedRef.current.tagColors = msg.value;
+      setTagColors(msg.value);
+    } else if (msg.type === "snapshots" && Array.isArray(msg.value)) {
+      syncedRef.current.snapshots = msg.value;
+      setSnapshots(msg.value);
+    } else if (msg.type === "focusTimer") {
+      const next = msg.value ?? null;
+      syncedRef.current.focusTimer = next;
+      setFocusTimer(next);
+    }
+  };
+
+  useEffect(() => {
+    syncHandlerRef.current = handleRemoteMessage;
+  });
+
+  // ---------- server sync ----------
+  // Records pulled from the server. They aren't local edits, so they skip
+  // stamping and the dirty queue, but other tabs still hear about them.
+  const applyServerChanges = (changes) => {
+    const sameId = (a, b) => String(a) === String(b);
+
+    let nextTasks = tasks;
+    let nextMatrices = matrices;
+    changes.forEach((c) => {
+      if (c.kind === "task") {
+        if (c.deleted) {
+          if (sameId(c.id, editingTaskId)) return;
+          const gone = nextTasks.find((t) => sameId(t.id, c.id));
+          if (gone) purgedTaskIdsRef.current.add(gone.id);
+          nextTasks = nextTasks.filter((t) => !sameId(t.id, c.id));
+        } else if (nextTasks.some((t) => sameId(t.id, c.id))) {
+          nextTasks = nextTasks.map((t) => (sameId(t.id, c.id) ? c.data : t));
+        } else {
+          nextTasks = [...nextTasks, c.data];
+        }
+      } else if (c.kind === "matrix") {
+        nextMatrices = nextMatrices.filter((m) => !sameId(m.id, c.id));
+        if (!c.deleted) nextMatrices = [...nextMatrices, c.data];
+      }
+    });
+
+    if (nextTasks !== tasks) {
+      persistedTasksRef.current = nextTasks;
+      setTasks(nextTasks);
+    }
+    if (nextMatrices !== matrices) {
+      const normalized = ensureDefaultMatrices(nextMatrices);
+      prevMatricesRef.current = normalized;
+      setMatrices(normalized);
+    }
+  };
+
+  useEffect(() => {
+    syncBridgeRef.current = {
+      readLocal: () => ({ tasks, matrices }),
+      applyRemote: applyServerChanges,
+    };
+  });
+
+  useEffect(() => {
+    if (!hasInitialized) return;
+    const serverUrl = settings.syncServerUrl.trim();
+    if (!serverUrl) {
+      setSyncStatus({ status: "off" });
+      return;
+    }
+
+    let engine = null;
+    let release = null;
+    let cancelled = false;
+
+    const run = () => {
+      const saved = syncStateRef.current;
+      const fresh = !saved || saved.serverUrl !== serverUrl;
+      engine = createSyncEngine({
+        serverUrl,
+        token: settings.syncToken,
+        state: fresh ? EMPTY_SYNC_STATE : saved,
+        readLocal: () => syncBridgeRef.current.readLocal(),
+        applyRemote: (changes) => syncBridgeRef.current.applyRemote(changes),
+        onState: (state) => {
+          syncStateRef.current = state;
+          saveToStorage(
+            storageRef.current,
+            "syncState",
+            state,
+            setStorageError
+          );
+        },
+        onStatus: setSyncStatus,
+      });
+      syncEngineRef.current = engine;
+
+      // A new server starts with everything we have
+      if (fresh) {
+        const local = syncBridgeRef.current.readLocal();
+        engine.markDirty([
+          ...local.tasks.map((t) => recordKey("task", t.id)),
+          ...local.matrices.map((m) => recordKey("matrix", m.id)),
+        ]);
+      }
+      engine.start();
+    };
+
+    if (navigator.locks) {
+      setSyncStatus({ status: "follower" });
+      navigator.locks.request(SYNC_LOCK_NAME, () => {
+        if (cancelled) return;
+        run();
+        // Hold the lock until this tab closes or the settings change
+        return new Promise((resolve) => {
+          release = resolve;
+        });
+      });
+    } else {
+      run();
+    }
+
+    return () => {
+      cancelled = true;
+      engine?.stop();
+      syncEngineRef.current = null;
+      release?.();
+    };
+  }, [hasInitialized, settings.syncServerUrl, settings.syncToken]);
+
+  useEffect(() => {
+    if (!hasInitialized) return;
+    const channel = openTabChannel((msg) => syncHandlerRef.current?.(msg));
+    channelRef.current = channel;
+    return () => {
+      channel.close();
+      channelRef.current = null;
+    };
+  }, [hasInitialized]);
+
+  useEffect(() => {
+    if (!hasInitialized) return;
+    if (focusMatrixId === "none") return;
+    const exists = matrices.some((m) => m.id === focusMatrixId);
+    if (!exists) {
+      setFocusMatrixId("none");
+      setViewOrderIds((prev) => prev.filter((id) => id !== focusMatrixId));
+    }
+  }, [matrices, focusMatrixId, hasInitialized]);
+
+  useEffect(() => {
+    const timer = setInterval(() => setNow(Date.now()), 60 * 1000);
+    return () => clearInterval(timer);
+  }, []);
+
+  // Scheduled backup: checked on every tick
+  useEffect(() => {
+    if (!hasInitialized) return;
+    const next = withScheduledSnapshot(snapshots, { tasks, matrices }, now);
+    if (next !== snapshots) setSnapshots(next);
+  }, [snapshots, tasks, matrices, now, hasInitialized]);
+
+  // Auto-archive: completed tasks leave the grid once their matrix's delay is
+  // up (checked on every tick, not an undoable change). Updaters build on the
+  // latest list, so a stamped list from the same render isn't overwritten.
+  useEffect(() => {
+    if (!hasInitialized) return;
+    setTasks((prev) => autoArchiveCompleted(prev, matrices, now));
+  }, [matrices, now, hasInitialized]);
+
+  // Escalation on every tick (local changes are escalated as they're stamped)
+  useEffect(() => {
+    if (!hasInitialized) return;
+    setTasks((prev) => escalateTasks(prev, now));
+  }, [now, hasInitialized]);
+
+  // Keep newTask.matrixId aligned with the most recently selected matrix,
+  // but only when the input is empty (so we don’t disrupt someone mid-entry).
+  useEffect(() => {
+    if (!hasInitialized) return;
+    if (newTask.text.trim() !== "") return;
+    if (newTask.matrixId === lastSelectedMatrixId) return;
+    setNewTask((t) => ({ ...t, matrixId: lastSelectedMatrixId }));
+  }, [lastSelectedMatrixId, hasInitialized, newTask.text, newTask.matrixId]);
+
+  // ---------- view model ----------
+  const pinnedMatrices = useMemo(
+    () => matrices.filter((m) => m.pinned),
+    [matrices]
+  );
+
+  const focusCandidates = useMemo(
+    () => matrices.filter((m) => !m.pinned),
+    [matrices]
+  );
+
+  const selectedMatrixIds = useMemo(() => {
+    // Literal selection order:
+    // - When you turn a matrix on, it’s appended
+    // - When you turn it off, it’s removed
+    // - Focus behaves like any other selected matrix
+
+    const validIds = new Set(matrices.map((m) => m.id));
+
+    // A toggle only counts while its matrix is still pinned (undo or another
+    // tab may have unpinned it)
+    const activeSet = new Set(
+      activePinnedIds.filter((id) =>
+        matrices.some((m) => m.id === id && m.pinned)
+      )
+    );
+    if (focusMatrixId !== "none") activeSet.add(focusMatrixId);
+
+    // Start with the remembered order, filtered to valid + currently active ids
+    let ordered = viewOrderIds
+      .filter((id) => validIds.has(id))
+      .filter((id) => activeSet.has(id));
+
+    // Ensure any active ids missing from the order are appended (defensive)
+    for (const id of activeSet) {
+      if (validIds.has(id) && !ordered.includes(id)) ordered.push(id);
+    }
+
+    return ordered;
+  }, [matrices, activePinnedIds, focusMatrixId, viewOrderIds]);
+
+  const showMatrixBadges = selectedMatrixIds.length > 1;
+
+  const matrixNameById = useMemo(() => {
+    const map = new Map();
+    matrices.forEach((m) => map.set(m.id, m.name));
+    return map;
+  }, [matrices]);
+
+  // Active (open or completed) tasks per matrix
+  const matrixTaskCounts = useMemo(() => {
+    const map = new Map();
+    tasks.forEach((t) => {
+      if (t.status !== "Not Done" && t.status !== "Completed") return;
+      map.set(t.matrixId, (map.get(t.matrixId) ?? 0) + 1);
+    });
+    return map;
+  }, [tasks]);
+
+  // Badge classes for matrices that were given a colour
+  const matrixColorById = useMemo(() => {
+    const map = new Map();
+    matrices.forEach((m) => {
+      if (MATRIX_COLORS[m.color]) map.set(m.id, MATRIX_COLORS[m.color].badge);
+    });
+    return map;
+  }, [matrices]);
+
+  // ---------- undo / redo ----------
+  // Call before mutating tasks or matrices from a user action.
+  const checkpoint = () =>
+    setHistory((h) => pushHistory(h, { tasks, matrices }));
+
+  const restoreSnapshot = (snapshot) => {
+    cancelEdit();
+    setTasks(snapshot.tasks);
+    setMatrices(snapshot.matrices);
+  };
+
+  const undo = () => {
+    const step = undoHistory(history, { tasks, matrices });
+    if (!step) return;
+    setHistory(step.history);
+    restoreSnapshot(step.snapshot);
+    setToast(null);
+  };
+
+  const redo = () => {
+    const step = redoHistory(history, { tasks, matrices });
+    if (!step) return;
+    setHistory(step.history);
+    restoreSnapshot(step.snapshot);
+  };
+
+  useEffect(() => {
+    if (!toast) return;
+    const timer = setTimeout(() => setToast(null), TOAST_MS);
+    return () => clearTimeout(timer);
+  }, [toast]);
+
+  // ---------- backups ----------
+  const takeSnapshot = (reason) =>
+    setSnapshots((prev) => addSnapshot(prev, { tasks, matrices }, reason));
+
+  const restoreFromSnapshot = (snapshot) => {
+    let data;
+    try {
+      data = migrateData({
+        version: snapshot.version ?? 0,
+        tasks: snapshot.tasks,
+        matrices: snapshot.matrices,
+      });
+    } catch (e) {
+      setToast({ message: e.message, undoable: false });
+      return;
+    }
+
+    takeSnapshot("restore");
+    checkpoint();
+    setTasks(data.tasks);
+    setMatrices(ensureDefaultMatrices(data.matrices));
+    setToast({
+      message: `Restored the backup from ${new Date(
+        snapshot.createdAt
+      ).toLocaleString()}`,
+    });
+  };
+
+  // ---------- actions: matrices ----------
+  const togglePinnedMatrix = (matrixId) => {
+    const willBeActive = !activePinnedIds.includes(matrixId);
+
+    setActivePinnedIds((prev) => {
+      const next = prev.includes(matrixId)
+        ? prev.filter((id) => id !== matrixId)
+        : [...prev, matrixId];
+      return next;
+    });
+
+    // Maintain literal selection order for combined view
+    setViewOrderIds((prev) => {
+      if (willBeActive) {
+        const without = prev.filter((id) => id !== matrixId);
+        return [...without, matrixId];
+      }
+      return prev.filter((id) => id !== matrixId);
+    });
+
+    if (willBeActive) setLastSelectedMatrixId(matrixId);
+  };
+
+  const changeFocusMatrix = (next) => {
+    const prevFocus = focusMatrixId;
+
+    setFocusMatrixId(next);
+
+    setViewOrderIds((prev) => {
+      // Remove prior focus id (if any)
+      let nextOrder = prev.filter((id) => id !== prevFocus);
+
+      if (next === "none") return nextOrder;
+
+      // If focus is changing from one to another, keep it in the same position if possible
+      const prevIdx = prev.indexOf(prevFocus);
+      if (prevFocus !== "none" && prevIdx !== -1) {
+        const replaced = prev.slice();
+        replaced[prevIdx] = next;
+
+        // De-dupe while preserving order
+        const seen = new Set();
+        return replaced.filter((id) => {
+          if (id === "none") return false;
+          if (seen.has(id)) return false;
+          seen.add(id);
+          return true;
+        });
+      }
+
+      // Otherwise, append focus to end (literal selection order)
+      if (!nextOrder.includes(next)) nextOrder = [...nextOrder, next];
+      return nextOrder;
+    });
+
+    if (next !== "none") setLastSelectedMatrixId(next);
+  };
+
+  // Show a single matrix on its own (pinned → the only active toggle,
+  // otherwise → the focus matrix)
+  const showOnlyMatrix = (matrixId) => {
+    const matrix = matrices.find((m) => m.id === matrixId);
+    if (!matrix) return;
+
+    setActivePinnedIds(matrix.pinned ? [matrixId] : []);
+    setFocusMatrixId(matrix.pinned ? "none" : matrixId);
+    setViewOrderIds([matrixId]);
+    setLastSelectedMatrixId(matrixId);
+  };
+
+  const addMatrix = () => {
+    const name = newMatrixName.trim();
+    if (!name) return;
+
+    const baseId = slugify(name);
+    if (!baseId) return;
+
+    const uniqueId = makeUniqueMatrixId(baseId, matrices);
+
+    checkpoint();
+    setMatrices([
+      ...matrices,
+      {
+        id: uniqueId,
+        name,
+        pinned: false,
+      },
+    ]);
+
+    setNewMatrixName("");
+    setFocusMatrixId(uniqueId);
+    setViewOrderIds((prev) => {
+      const without = prev.filter((id) => id !== uniqueId);
+      return [...without, uniqueId];
+    });
+    setLastSelectedMatrixId(uniqueId);
+    setNewTask((t) => ({ ...t, matrixId: uniqueId }));
+  };
+
+  const renameMatrix = (matrixId, name) => {
+    const next = name.trim();
+    const matrix = matrices.find((m) => m.id === matrixId);
+    if (!matrix || !next || next === matrix.name) return;
+
+    checkpoint();
+    setMatrices(
+      matrices.map((m) => (m.id === matrixId ? { ...m, name: next } : m))
+    );
+  };
+
+  // Pinned matrices get a toggle; the others are picked through Focus. A
+  // matrix on screen stays there when it switches sides, unless unpinning it
+  // finds the Focus slot already taken.
+  const setMatrixPinned = (matrixId, pinned) => {
+    const matrix = matrices.find((m) => m.id === matrixId);
+    if (!matrix || !!matrix.pinned === pinned) return;
+
+    checkpoint();
+    setMatrices(
+      matrices.map((m) => (m.id === matrixId ? { ...m, pinned } : m))
+    );
+
+    if (pinned) {
+      if (focusMatrixId !== matrixId) return;
+      setFocusMatrixId("none");
+      setActivePinnedIds((prev) => [...prev, matrixId]);
+    } else if (activePinnedIds.includes(matrixId)) {
+      setActivePinnedIds((prev) => prev.filter((id) => id !== matrixId));
+      if (focusMatrixId === "none") setFocusMatrixId(matrixId);
+      else setViewOrderIds((prev) => prev.filter((id) => id !== matrixId));
+    }
+  };
+
+  const moveMatrix = (matrixId, delta) => {
+    const next = moveMatrixInGroup(matrices, matrixId, delta);
+    if (next === matrices) return;
+    checkpoint();
+    setMatrices(next);
+  };
+
+  // `color` null goes back to the colour by position
+  const setMatrixColor = (matrixId, color) => {
+    checkpoint();
+    setMatrices(
+      matrices.map((m) => {
+        if (m.id !== matrixId) return m;
+        const { color: _color, ...rest } = m;
+        return color ? { ...rest, color } : rest;
+      })
+    );
+  };
+
+  const mergeMatrixInto = (sourceId, destId) => {
+    if (!sourceId || sourceId === "none") return;
+    if (isDefaultMatrix(sourceId)) return;
+    if (!destId || sourceId === destId) return;
+
+    takeSnapshot("merge");
+    checkpoint();
+    setTasks((prev) => {
+      const moved = prev.map((t) =>
+        t.matrixId === sourceId ? { ...t, matrixId: destId } : t
+      );
+      let next = moved;
+      quadrantIds.forEach((q) => {
+        next = normalizeOrders(next, destId, q);
+      });
+      return next;
+    });
+
+    setMatrices((prev) => prev.filter((m) => m.id !== sourceId));
+    setFocusMatrixId("none");
+    setViewOrderIds((prev) => prev.filter((id) => id !== sourceId));
+    setLastSelectedMatrixId(destId);
+
+    setToast({
+      message: `Merged ${matrixNameById.get(sourceId) ?? sourceId} into ${
+        matrixNameById.get(destId) ?? destId
+      }`,
+    });
+  };
+
+  const deleteMatrixArchiveTasks = (matrixId) => {
+    if (!matrixId || matrixId === "none") return;
+    if (isDefaultMatrix(matrixId)) return;
+
+    takeSnapshot("matrix-delete");
+    checkpoint();
+    setTasks((prev) =>
+      prev.map((t) =>
+        t.matrixId === matrixId && t.status !== "Deleted"
+          ? { ...t, status: "Archived", archivedAt: new Date().toISOString() }
+          : t
+      )
+    );
+
+    setMatrices((prev) => prev.filter((m) => m.id !== matrixId));
+    setFocusMatrixId("none");
+    setViewOrderIds((prev) => prev.filter((id) => id !== matrixId));
+
+    const fallback = activePinnedIds[0] ?? "work";
+    setLastSelectedMatrixId(fallback);
+
+    setToast({
+      message: `Deleted ${matrixNameById.get(matrixId) ?? matrixId}`,
+    });
+  };
+
+  // ---------- actions: tasks ----------
+  // Applies quick-add tokens from draft.text on top of the form values,
+  // except for controls the user has overridden by hand.
+  const resolveQuickAdd = (draft, touched = {}) => {
+    const parsed = parseQuickAdd(draft.text, matrices);
+    // A date set by hand wins, so the words read as a date stay in the title
+    const resolved = {
+      ...draft,
+      text: parsed.dueDate && touched.due ? parsed.textWithDue : parsed.text,
+    };
+
+    if (parsed.matrixId && !touched.matrix) resolved.matrixId = parsed.matrixId;
+    if (parsed.quadrant && !touched.quadrant) {
+      Object.assign(resolved, quadrantAxes(parsed.quadrant));
+    }
+    if (parsed.dueDate && !touched.due) {
+      resolved.dueDate = parsed.dueDate;
+      resolved.dueTime = parsed.dueTime;
+    }
+    if (parsed.tags.length) {
+      resolved.tags = Array.from(
+        new Set([...(draft.tags ?? []), ...parsed.tags])
+      );
+    }
+
+    return { parsed, draft: resolved };
+  };
+
+  // `draft` defaults to the add-task form; the command palette passes its own
+  const addTask = (draft = newTask) => {
+    const { draft: resolved } = resolveQuickAdd(
+      draft,
+      draft === newTask ? quickAddTouched : {}
+    );
+    if (!resolved.text) return;
+
+    const nextOrder = getNextOrder(
+      tasks,
+      resolved.matrixId,
+      quadrantOf(resolved)
+    );
+
+    checkpoint();
+    setTasks([
+      ...tasks,
+      {
+        ...resolved,
+        id: Date.now(),
+        status: "Not Done",
+        order: nextOrder,
+        createdAt: new Date().toISOString(),
+      },
+    ]);
+
+    if (draft !== newTask) return;
+    setQuickAddTouched({});
+    setNewTask({
+      text: "",
+      matrixId: newTask.matrixId,
+      important: true,
+      urgent: false,
+      dueDate: "",
+      dueTime: "",
+      recurrence: null,
+      tags: [],
+    });
+  };
+
+  const toggleComplete = (id) => {
+    const task = getTaskById(id);
+    if (!task) return;
+
+    checkpoint();
+    setTasks(
+      task.status === "Completed"
+        ? reopenTasks(tasks, [id])
+        : completeTasks(tasks, [id], {
+            completeSubtasks: settings.completeSubtasksWithParent,
+          })
+    );
+  };
+
+  const moveTaskToQuadrant = (id, quadrant) => {
+    const task = getTaskById(id);
+    if (!task) return;
+
+    if (quadrantOf(task) === quadrant) return;
+
+    checkpoint();
+    setTasks((prev) => moveTaskToQuadrantEnd(prev, id, quadrant));
+  };
+
+  const archiveTask = (id) => {
+    checkpoint();
+    setTasks(
+      tasks.map((t) =>
+        t.id === id
+          ? { ...t, status: "Archived", archivedAt: new Date().toISOString() }
+          : t
+      )
+    );
+  };
+
+  // "Clear completed": archives the given tasks that are completed
+  const clearCompleted = (candidates) => {
+    const ids = new Set(
+      candidates.filter((t) => t.status === "Completed").map((t) => t.id)
+    );
+    if (ids.size === 0) return;
+
+    const archivedAt = new Date().toISOString();
+    checkpoint();
+    setTasks(
+      tasks.map((t) =>
+        ids.has(t.id) ? { ...t, status: "Archived", archivedAt } : t
+      )
+    );
+    setToast({
+      message: `Archived ${ids.size} completed task${ids.size === 1 ? "" : "s"}`,
+    });
+  };
+
+  const setAutoArchiveDays = (matrixId, days) => {
+    checkpoint();
+    setMatrices(
+      matrices.map((m) => {
+        if (m.id !== matrixId) return m;
+        const { autoArchiveDays: _days, ...rest } = m;
+        return days > 0 ? { ...rest, autoArchiveDays: days } : rest;
+      })
+    );
+  };
+
+  const unarchiveTasks = (ids) => {
+    checkpoint();
+    setTasks(
+      tasks.map((t) =>
+        ids.includes(t.id)
+          ? {
+              ...t,
+              status: "Not Done",
+              archivedAt: undefined,
+              completedAt: undefined,
+              autoArchived: undefined,
+            }
+          : t
+      )
+    );
+  };
+
+  const restoreTasks = (ids) => {
+    checkpoint();
+    setTasks(
+      tasks.map((t) =>
+        ids.includes(t.id)
+          ? { ...t, status: "Not Done", deletedAt: undefined }
+          : t
+      )
+    );
+  };
+
+  const unarchiveTask = (id) => unarchiveTasks([id]);
+  const restoreTask = (id) => restoreTasks([id]);
+
+  const deleteTask = (id) => {
+    // If we delete the task we were editing, exit edit mode
+    if (editingTaskId === id) {
+      setEditingTaskId(null);
+      setEditDraft("");
+    }
+
+    checkpoint();
+    setTasks(
+      tasks.map((t) =>
+        t.id === id
+          ? { ...t, status: "Deleted", deletedAt: new Date().toISOString() }
+          : t
+      )
+    );
+
+    setToast({ message: "Task deleted" });
+  };
+
+  const clearDeletedTasks = () => {
+    const count = tasks.filter((t) => t.status === "Deleted").length;
+    if (count === 0) return;
+
+    takeSnapshot("clear-deleted");
+    checkpoint();
+    setTasks(tasks.filter((t) => t.status !== "Deleted"));
+    setToast({
+      message: `Permanently removed ${count} task${count === 1 ? "" : "s"}`,
+    });
+  };
+
+  // ---------- subtasks ----------
+  const updateSubtasks = (taskId, fn) => {
+    checkpoint();
+    setTasks((prev) =>
+      prev.map((t) =>
+        t.id === taskId ? { ...t, subtasks: fn(t.subtasks ?? []) } : t
+      )
+    );
+  };
+
+  const addSubtask = (taskId, text) =>
+    updateSubtasks(taskId, (list) => [
+      ...list,
+      { id: nextSubtaskId(list), text, done: false },
+    ]);
+
+  const toggleSubtask = (taskId, subId) =>
+    updateSubtasks(taskId, (list) =>
+      list.map((s) => (s.id === subId ? { ...s, done: !s.done } : s))
+    );
+
+  const moveSubtask = (taskId, subId, delta) =>
+    updateSubtasks(taskId, (list) => {
+      const from = list.findIndex((s) => s.id === subId);
+      const to = from + delta;
+      if (from === -1 || to < 0 || to >= list.length) return list;
+      return arrayMove(list, from, to);
+    });
+
+  const deleteSubtask = (taskId, subId) =>
+    updateSubtasks(taskId, (list) => list.filter((s) => s.id !== subId));
+
+  // ---------- tags ----------
+  const allTags = useMemo(() => {
+    const counts = new Map();
+    tasks.forEach((t) => {
+      if (t.status === "Deleted") return;
+      (t.tags ?? []).forEach((tag) =>
+        counts.set(tag, (counts.get(tag) ?? 0) + 1)
+      );
+    });
+    return Array.from(counts, ([name, count]) => ({ name, count })).sort(
+      (a, b) => a.name.localeCompare(b.name)
+    );
+  }, [tasks]);
+
+  const toggleTagFilter = (tag) =>
+    setTagFilter((prev) =>
+      prev.includes(tag) ? prev.filter((t) => t !== tag) : [...prev, tag]
+    );
+
+  // Rename, merge (rename onto an existing tag) or delete (empty name)
+  const renameTag = (from, toInput) => {
+    const to = toInput ? slugify(toInput) : "";
+    if (from === to) return;
+
+    checkpoint();
+    setTasks((prev) => renameTagInTasks(prev, from, to));
+    setTagColors((prev) => {
+      const { [from]: color, ...rest } = prev;
+      if (to && color && !rest[to]) rest[to] = color;
+      return rest;
+    });
+    setTagFilter((prev) =>
+      Array.from(new Set(prev.map((t) => (t === from ? to : t)))).filter(
+        Boolean
+      )
+    );
+  };
+
+  const recolorTag = (tag, color) =>
+    setTagColors((prev) => ({ ...prev, [tag]: color }));
+
+  // ---------- inline edit handlers ----------
+  const startEdit = (task) => {
+    if (!task) return;
+    setEditingTaskId(task.id);
+    setEditDraft(task.text);
+    setEditDueDraft({
+      dueDate: task.dueDate ?? "",
+      dueTime: task.dueTime ?? "",
+    });
+    setEditRecurrenceDraft(task.recurrence ?? null);
+    setEditTagsDraft((task.tags ?? []).join(", "));
+  };
+
+  const cancelEdit = () => {
+    setEditingTaskId(null);
+    setEditDraft("");
+    setEditDueDraft({ dueDate: "", dueTime: "" });
+    setEditRecurrenceDraft(null);
+    setEditTagsDraft("");
+  };
+
+  const commitEdit = () => {
+    if (editingTaskId == null) return;
+    const nextText = editDraft.trim();
+
+    // Don’t allow empty text; if empty, just cancel.
+    if (!nextText) {
+      cancelEdit();
+      return;
+    }
+
+    const nextDue = {
+      dueDate: editDueDraft.dueDate,
+      dueTime: editDueDraft.dueDate ? editDueDraft.dueTime : "",
+    };
+
+    const nextTags = parseTagList(editTagsDraft);
+
+    const current = getTaskById(editingTaskId);
+    const changed =
+      !current ||
+      (current.tags ?? []).join(",") !== nextTags.join(",") ||
+      current.text !== nextText ||
+      (current.dueDate ?? "") !== nextDue.dueDate ||
+      (current.dueTime ?? "") !== nextDue.dueTime ||
+      JSON.stringify(current.recurrence ?? null) !==
+        JSON.stringify(editRecurrenceDraft);
+    if (!changed) {
+      cancelEdit();
+      return;
+    }
+
+    checkpoint();
+    setTasks((prev) =>
+      prev.map((t) =>
+        t.id === editingTaskId
+          ? {
+              ...t,
+              text: nextText,
+              ...nextDue,
+              recurrence: editRecurrenceDraft,
+              tags: nextTags,
+            }
+          : t
+      )
+    );
+
+    cancelEdit();
+  };
+
+  // Empty notes remove the field rather than storing ""
+  const saveNotes = (id, notes) => {
+    const current = getTaskById(id);
+    const next = notes.trim();
+    if (!current || (current.notes ?? "") === next) return;
+
+    checkpoint();
+    setTasks((prev) =>
+      prev.map((t) => {
+        if (t.id !== id) return t;
+        const { notes: _notes, ...rest } = t;
+        return next ? { ...rest, notes: next } : rest;
+      })
+    );
+  };
+
+  // ---------- ordering helpers ----------
+  function getTaskById(id) {
+    return tasks.find((t) => t.id === id);
+  }
+
+  function getVisibleTasksForQuadrant(selectedIds, quadrant, list = tasks) {
+    // Preserve the *literal selection order* (viewOrderIds) instead of sorting matrices alphabetically.
+    const matrixOrder = new Map(selectedIds.map((id, idx) => [id, idx]));
+
+    return list
+      .filter(
+        (t) =>
+          selectedIds.includes(t.matrixId) &&
+          quadrantOf(t) === quadrant &&
+          t.status !== "Archived" &&
+          t.status !== "Deleted" &&
+          (tagFilter.length === 0 ||
+            tagFilter.some((tag) => t.tags?.includes(tag)))
+      )
+      .sort((a, b) => {
+        if (a.matrixId !== b.matrixId) {
+          const ao = matrixOrder.get(a.matrixId) ?? 999;
+          const bo = matrixOrder.get(b.matrixId) ?? 999;
+          if (ao !== bo) return ao - bo;
+
+          // Stable fallback (should rarely be needed)
+          const an = matrixNameById.get(a.matrixId) ?? a.matrixId;
+          const bn = matrixNameById.get(b.matrixId) ?? b.matrixId;
+          return an.localeCompare(bn);
+        }
+
+        const aord = typeof a.order === "number" ? a.order : 0;
+        const bord = typeof b.order === "number" ? b.order : 0;
+        if (aord !== bord) return aord - bord;
+        return a.id - b.id;
+      });
+  }
+
+  // ---------- archive/delete helpers ----------
+  const getHistoryIso = (task, kind) => {
+    if (kind === "archived") return task.archivedAt || getCreatedIso(task);
+    if (kind === "deleted") return task.deletedAt || getCreatedIso(task);
+    return getCreatedIso(task);
+  };
+
+  const formatAge = (iso) => {
+    if (!iso) return "";
+    const ms = Date.now() - new Date(iso).getTime();
+    if (!Number.isFinite(ms) || ms < 0) return "";
+    const minutes = Math.floor(ms / 60000);
+    if (minutes < 60) return `${minutes}m ago`;
+    const hours = Math.floor(minutes / 60);
+    if (hours < 24) return `${hours}h ago`;
+    const days = Math.floor(hours / 24);
+    if (days < 30) return `${days}d ago`;
+    const months = Math.floor(days / 30);
+    if (months < 12) return `${months}mo ago`;
+    const years = Math.floor(months / 12);
+    return `${years}y ago`;
+  };
+
+  // ---------- export/import ----------
+  // format: json (full backup) | csv | markdown
+  const exportData = (format = "json") => {
+    const stem = `taskenhower-export-${new Date().toISOString().slice(0, 10)}`;
+
+    if (format === "csv") {
+      downloadFile(tasksToCsv(tasks, matrices), "text/csv", `${stem}.csv`);
+      return;
+    }
+    if (format === "markdown") {
+      downloadFile(
+        tasksToMarkdown(tasks, matrices),
+        "text/markdown",
+        `${stem}.md`
+      );
+      return;
+    }
+
+    const payload = {
+      version: SCHEMA_VERSION,
+      exportedAt: new Date().toISOString(),
+      matrices,
+      tasks,
+      tagColors,
+    };
+    downloadFile(
+      JSON.stringify(payload, null, 2),
+      "application/json",
+      `${stem}.json`
+    );
+  };
+
+  // JSON exports migrate up to the current schema; CSV / Markdown are mapped
+  // onto the current matrices
+  const readImportFile = async (file) => {
+    const text = await file.text();
+    const format = importFormatOf(file);
+    if (format === "csv") return csvToData(text, matrices);
+    if (format === "markdown") return markdownToData(text, matrices);
+
+    const parsed = JSON.parse(text);
+
+    if (!parsed || typeof parsed !== "object") {
+      throw new Error("Invalid file format.");
+    }
+
+    const incomingMatrices = Array.isArray(parsed.matrices)
+      ? parsed.matrices
+      : null;
+    const incomingTasks = Array.isArray(parsed.tasks) ? parsed.tasks : null;
+
+    if (!incomingMatrices || !incomingTasks) {
+      throw new Error(
+        "Import file must include both 'matrices' and 'tasks' arrays."
+      );
+    }
+
+    const version = Number(parsed.version) || 0;
+    if (version > SCHEMA_VERSION) {
+      throw new Error(
+        `This file uses schema version ${version}, but this app only understands up to ${SCHEMA_VERSION}. Please update the app.`
+      );
+    }
+
+    const tagColorsOk =
+      parsed.tagColors && typeof parsed.tagColors === "object";
+    return {
+      version,
+      matrices: incomingMatrices,
+      tasks: incomingTasks,
+      tagColors: tagColorsOk ? parsed.tagColors : null,
+    };
+  };
+
+  // Reads the file and shows the preview; nothing changes until confirmed
+  const importDataFromFile = async (file) => {
+    setImportError("");
+    setImportOk("");
+    setMergeReview(null);
+    setImportPreview(null);
+
+    try {
+      const raw = await readImportFile(file);
+      setImportPreview({ fileName: file.name, raw, fixMode: "fix" });
+    } catch (e) {
+      setImportError(e?.message || "Import failed.");
+    }
+  };
+
+  const confirmImport = () => {
+    if (!importPreview) return;
+    const { fileName, raw, fixMode } = importPreview;
+    setImportPreview(null);
+
+    try {
+      const data = migrateData(checkImport(raw, fixMode).data);
+
+      if (importMode === "merge") {
+        setMergeReview({
+          fileName,
+          plan: planMergeImport({ matrices, tasks }, data),
+          tagColors: data.tagColors,
+          choices: {},
+        });
+        return;
+      }
+
+      const normalizedMatrices = ensureDefaultMatrices(data.matrices);
+
+      takeSnapshot("import");
+      checkpoint();
+      setMatrices(normalizedMatrices);
+      setTasks(data.tasks);
+      if (data.tagColors) setTagColors(data.tagColors);
+      setTagFilter([]);
+
+      const pinned = normalizedMatrices.filter((m) => m.pinned).map((m) => m.id);
+      setActivePinnedIds(pinned);
+      setViewOrderIds(pinned);
+      setFocusMatrixId("none");
+      setLastSelectedMatrixId(pinned[0] ?? "work");
+      setNewTask((t) => ({ ...t, matrixId: pinned[0] ?? "work" }));
+
+      setImportOk(
+        `Imported ${data.tasks.length} task${data.tasks.length === 1 ? "" : "s"}.`
+      );
+      setToast({ message: "Replaced all data with the import" });
+    } catch (e) {
+      setImportError(e?.message || "Import failed.");
+    }
+  };
+
+  const chooseMergeVersion = (taskId, choice) =>
+    setMergeReview((review) => ({
+      ...review,
+      choices: { ...review.choices, [taskId]: choice },
+    }));
+
+  const chooseAllMergeVersions = (choice) =>
+    setMergeReview((review) => ({
+      ...review,
+      choices: Object.fromEntries(
+        review.plan.conflicts.map((c) => [c.local.id, choice])
+      ),
+    }));
+
+  const applyMergeImport = () => {
+    if (!mergeReview) return;
+    const { plan, choices } = mergeReview;
+
+    const replacements = new Map(plan.updated.map((t) => [t.id, t]));
+    plan.conflicts.forEach((c) => {
+      if (choices[c.local.id] === "incoming") {
+        replacements.set(c.local.id, c.incoming);
+      }
+    });
+
+    let next = tasks;
+    replacements.forEach((incoming, id) => {
+      const local = next.find((t) => t.id === id);
+      const moved =
+        incoming.matrixId !== local.matrixId ||
+        quadrantOf(incoming) !== quadrantOf(local);
+      const order = moved
+        ? getNextOrder(next, incoming.matrixId, quadrantOf(incoming))
+        : local.order;
+      next = next.map((t) => (t.id === id ? { ...incoming, order } : t));
+    });
+    plan.added.forEach((t) => {
+      const order = getNextOrder(next, t.matrixId, quadrantOf(t));
+      next = [...next, { ...t, order }];
+    });
+
+    takeSnapshot("import");
+    checkpoint();
+    setMatrices(ensureDefaultMatrices(plan.matrices));
+    setTasks(next);
+    // Our own colours win for tags both sides know
+    if (mergeReview.tagColors) {
+      setTagColors((prev) => ({ ...mergeReview.tagColors, ...prev }));
+    }
+
+    setMergeReview(null);
+    setImportOk(
+      `Merged: ${plan.added.length} added, ${replacements.size} updated.`
+    );
+    setToast({ message: "Merged the import into your data" });
+  };
+
+  // ---------- UI helpers ----------
+  const quadrantLabel = (quadrant) =>
+    QUADRANTS.find((q) => q.id === quadrant)?.label ?? "";
+
+  const quadrantClass = (quadrant) => {
+    const classMap = {
+      do: "bg-green-100 border-green-300",
+      schedule: "bg-yellow-100 border-yellow-300",
+      delegate: "bg-blue-100 border-blue-300",
+      backburner: "bg-gray-100 border-gray-300",
+    };
+    return classMap[quadrant] || "";
+  };
+
+  // ---------- DnD behavior in combined view ----------
+  useEffect(() => {
+    const track = (e) => {
+      dragModifierRef.current = e.altKey;
+    };
+    window.addEventListener("keydown", track);
+    window.addEventListener("keyup", track);
+    window.addEventListener("pointermove", track);
+    return () => {
+      window.removeEventListener("keydown", track);
+      window.removeEventListener("keyup", track);
+      window.removeEventListener("pointermove", track);
+    };
+  }, []);
+
+  const handleDragEnd = ({ active, over }) => {
+    setDraggingTaskId(null);
+    if (!over) return;
+
+    const activeTask = getTaskById(active.id);
+    if (!activeTask || !selectedMatrixIds.includes(activeTask.matrixId)) {
+      return;
+    }
+
+    const next = previewDrop(active.id, over.id);
+    if (next === tasks) return;
+
+    checkpoint();
+    setTasks(next);
+  };
+
+  // Where a task sits on screen in `list`, e.g. "Do First, position 2 of 3"
+  const describeTaskPlace = (id, list = tasks) => {
+    const task = list.find((t) => t.id === id);
+    if (!task) return "";
+    const quadrant = quadrantOf(task);
+    const place = showMatrixBadges
+      ? `${matrixNameById.get(task.matrixId) ?? task.matrixId} · ${quadrantLabel(
+          quadrant
+        )}`
+      : quadrantLabel(quadrant);
+    const visible = getVisibleTasksForQuadrant(
+      selectedMatrixIds,
+      quadrant,
+      list
+    );
+    const idx = visible.findIndex((t) => t.id === id);
+    return idx === -1
+      ? place
+      : `${place}, position ${idx + 1} of ${visible.length}`;
+  };
+
+  // Screen reader announcements for drags (read out by dnd-kit's live region)
+  // “Task”, or “Task” and 2 other tasks when a checked group is dragged
+  const describeDragged = (id) => {
+    const text = `“${getTaskById(id)?.text ?? ""}”`;
+    const others = (dragGroupOf(id)?.length ?? 1) - 1;
+    return others > 0
+      ? `${text} and ${others} other task${others === 1 ? "" : "s"}`
+      : text;
+  };
+
+  const dragAnnouncements = {
+    onDragStart: ({ active }) =>
+      `Picked up ${describeDragged(active.id)} from ${describeTaskPlace(
+        active.id
+      )}.`,
+    onDragOver: ({ active, over }) => {
+      const what = describeDragged(active.id);
+      if (!over) return `${what} is no longer over a drop target.`;
+      const next = previewDrop(active.id, over.id);
+      return next === tasks
+        ? `${what} would stay in ${describeTaskPlace(active.id)}.`
+        : `${what} would move to ${describeTaskPlace(active.id, next)}.`;
+    },
+    onDragEnd: ({ active, over }) => {
+      const what = describeDragged(active.id);
+      const next = over ? previewDrop(active.id, over.id) : tasks;
+      return next === tasks
+        ? `${what} was dropped and stays in ${describeTaskPlace(active.id)}.`
+        : `Moved ${what} to ${describeTaskPlace(active.id, next)}.`;
+    },
+    onDragCancel: ({ active }) =>
+      `Cancelled. ${describeDragged(active.id)} stays in ${describeTaskPlace(
+        active.id
+      )}.`,
+  };
+
+  const focusMatrix =
+    focusMatrixId === "none"
+      ? null
+      : matrices.find((m) => m.id === focusMatrixId);
+
+  const isFocusActive = focusMatrixId !== "none";
+
+  // ---------- keyboard navigation ----------
+  const visibleByQuadrant = Object.fromEntries(
+    quadrantIds.map((q) => [
+      q,
+      getVisibleTasksForQuadrant(selectedMatrixIds, q),
+    ])
+  );
+
+  const detailTask = tasks.find((t) => t.id === detailTaskId) ?? null;
+
+  const selectedTask =
+    quadrantIds
+      .flatMap((q) => visibleByQuadrant[q])
+      .find((t) => t.id === selectedTaskId) ?? null;
+
+  // Checkbox selection for bulk actions, in grid order
+  const checkedTasks = useCheckedIds(
+    quadrantIds.flatMap((q) => visibleByQuadrant[q]).map((t) => t.id)
+  );
+
+  // The task to select once `task` leaves its quadrant
+  const neighborTaskId = (task) => {
+    const list = visibleByQuadrant[quadrantOf(task)];
+    const idx = list.findIndex((t) => t.id === task.id);
+    return (list[idx + 1] ?? list[idx - 1])?.id ?? null;
+  };
+
+  // Arrows walk the 2x2 grid: up/down within a quadrant (spilling into the
+  // quadrant above/below), left/right across to the neighbouring column.
+  const moveSelection = (key) => {
+    if (!selectedTask) {
+      const first = quadrantIds
+        .map((q) => visibleByQuadrant[q][0])
+        .find(Boolean);
+      if (first) setSelectedTaskId(first.id);
+      return;
+    }
+
+    const qIdx = quadrantIds.indexOf(quadrantOf(selectedTask));
+    const list = visibleByQuadrant[quadrantIds[qIdx]];
+    const idx = list.findIndex((t) => t.id === selectedTask.id);
+    const listAt = (i) => visibleByQuadrant[quadrantIds[i]] ?? [];
+
+    let target = null;
+    if (key === "ArrowDown") {
+      target = list[idx + 1] ?? (qIdx < 2 ? listAt(qIdx + 2)[0] : null);
+    } else if (key === "ArrowUp") {
+      target = list[idx - 1] ?? (qIdx >= 2 ? listAt(qIdx - 2).at(-1) : null);
+    } else {
+      const sideIdx = key === "ArrowLeft" ? qIdx - 1 : qIdx + 1;
+      const sameRow = Math.floor(sideIdx / 2) === Math.floor(qIdx / 2);
+      const side = sideIdx >= 0 && sameRow ? listAt(sideIdx) : [];
+      target = side[Math.min(idx, side.length - 1)] ?? null;
+    }
+
+    if (target) setSelectedTaskId(target.id);
+  };
+
+  // Single-key actions; returns true when the key was handled
+  const handleTaskKey = (key) => {
+    const task = selectedTask;
+    const action = taskKeyAction(key, !!task);
+    if (!action) return false;
+
+    switch (action.type) {
+      case "moveSelection":
+        moveSelection(key);
+        break;
+      case "focusNewTask":
+        newTaskInputRef.current?.focus();
+        break;
+      case "focusSearch":
+        searchInputRef.current?.focus();
+        break;
+      case "moveToQuadrant":
+        moveTaskToQuadrant(task.id, quadrantIds[action.index]);
+        break;
+      case "edit":
+        startEdit(task);
+        break;
+      case "details":
+        setDetailTaskId(task.id);
+        break;
+      case "toggle":
+        toggleComplete(task.id);
+        break;
+      case "archive":
+        setSelectedTaskId(neighborTaskId(task));
+        archiveTask(task.id);
+        break;
+      case "delete":
+        setSelectedTaskId(neighborTaskId(task));
+        deleteTask(task.id);
+        break;
+      case "clearSelection":
+        setSelectedTaskId(null);
+        checkedTasks.clear();
+        break;
+    }
+    return true;
+  };
+
+  // Make sure a task's matrix is on screen, then select (and scroll to) it
+  const jumpToTask = (task) => {
+    if (!selectedMatrixIds.includes(task.matrixId)) {
+      const matrix = matrices.find((m) => m.id === task.matrixId);
+      if (!matrix) return;
+      if (matrix.pinned) togglePinnedMatrix(matrix.id);
+      else changeFocusMatrix(matrix.id);
+    }
+    setSelectedTaskId(task.id);
+  };
+
+  const openImportPicker = (mode = importMode) => {
+    setImportMode(mode);
+    if (toolsRef.current) toolsRef.current.open = true;
+    importInputRef.current?.click();
+  };
+
+  const buildCommands = () => {
+    const commands = [];
+
+    if (selectedTask) {
+      const name = `"${selectedTask.text}"`;
+      QUADRANTS.forEach((q, idx) =>
+        commands.push({
+          id: `move-${q.id}`,
+          label: `Move ${name} to ${q.label}`,
+          hint: String(idx + 1),
+          run: () => moveTaskToQuadrant(selectedTask.id, q.id),
+        })
+      );
+      commands.push(
+        {
+          id: "complete",
+          label: `Toggle complete ${name}`,
+          hint: "x",
+          run: () => toggleComplete(selectedTask.id),
+        },
+        {
+          id: "edit",
+          label: `Edit ${name}`,
+          hint: "e",
+          run: () => startEdit(selectedTask),
+        },
+        {
+          id: "details",
+          label: `Open details and notes for ${name}`,
+          hint: "d",
+          run: () => setDetailTaskId(selectedTask.id),
+        },
+        {
+          id: "archive",
+          label: `Archive ${name}`,
+          hint: "a",
+          run: () => handleTaskKey("a"),
+        },
+        {
+          id: "delete",
+          label: `Delete ${name}`,
+          hint: "Del",
+          run: () => handleTaskKey("Delete"),
+        },
+        {
+          id: "focus-timer-task",
+          label: `Start focus timer on ${name}`,
+          run: () => startFocusTimer(selectedTask.id),
+        }
+      );
+    }
+
+    if (focusTimer) {
+      commands.push({
+        id: "focus-timer-stop",
+        label: focusTimer.phase === "work" ? "Stop focus timer" : "Skip break",
+        run: stopFocusTimer,
+      });
+    } else if (defaultTimerTaskId != null) {
+      commands.push({
+        id: "focus-timer",
+        label: "Start focus timer",
+        run: () => startFocusTimer(),
+      });
+    }
+
+    commands.push(
+      {
+        id: "new-task",
+        label: "New task",
+        hint: "n",
+        run: () => newTaskInputRef.current?.focus(),
+      },
+      {
+        id: "search",
+        label: "Search tasks",
+        hint: "/",
+        run: () => searchInputRef.current?.focus(),
+      }
+    );
+
+    matrices.forEach((m) => {
+      const isShown = selectedMatrixIds.includes(m.id);
+      commands.push(
+        {
+          id: `show-${m.id}`,
+          label: `Jump to ${m.name}`,
+          run: () => showOnlyMatrix(m.id),
+        },
+        {
+          id: `toggle-${m.id}`,
+          label: `${isShown ? "Hide" : "Show"} ${m.name}`,
+          run: () =>
+            m.pinned
+              ? togglePinnedMatrix(m.id)
+              : changeFocusMatrix(focusMatrixId === m.id ? "none" : m.id),
+        }
+      );
+
+      const completed = tasks.filter(
+        (t) => t.matrixId === m.id && t.status === "Completed"
+      );
+      if (completed.length > 0) {
+        commands.push({
+          id: `clear-completed-${m.id}`,
+          label: `Clear completed in ${m.name} (${completed.length})`,
+          run: () => clearCompleted(completed),
+        });
+      }
+    });
+
+    commands.push(
+      { id: "undo", label: "Undo", hint: "Ctrl+Z", run: undo },
+      { id: "redo", label: "Redo", hint: "Ctrl+Shift+Z", run: redo },
+      { id: "export", label: "Export data (JSON)", run: () => exportData() },
+      {
+        id: "export-csv",
+        label: "Export tasks (CSV)",
+        run: () => exportData("csv"),
+      },
+      {
+        id: "export-markdown",
+        label: "Export tasks (Markdown)",
+        run: () => exportData("markdown"),
+      },
+      {
+        id: "import",
+        label: "Import data (replace)…",
+        run: () => openImportPicker("replace"),
+      },
+      {
+        id: "import-merge",
+        label: "Import data (merge)…",
+        run: () => openImportPicker("merge"),
+      }
+    );
+
+    return commands;
+  };
+
+  useEffect(() => {
+    shortcutsRef.current = {
+      undo,
+      redo,
+      handleTaskKey,
+      togglePalette: () => setPaletteOpen((v) => !v),
+      // The palette, details panel and import reviews take the keys
+      dialogOpen:
+        paletteOpen ||
+        detailTaskId !== null ||
+        !!importPreview ||
+        !!mergeReview,
+    };
+  });
+
+  useEffect(() => {
+    const onKeyDown = (e) => {
+      const shortcuts = shortcutsRef.current;
+      // Already handled, e.g. by a keyboard drag picking up or moving a task
+      if (!shortcuts || e.defaultPrevented) return;
+      const key = e.key.toLowerCase();
+
+      if ((e.ctrlKey || e.metaKey) && !e.altKey && key === "k") {
+        e.preventDefault();
+        shortcuts.togglePalette();
+        return;
+      }
+
+      // Leave native text undo + typing alone while in a field, and leave
+      // the keys to an open dialog or panel
+      if (isTypingTarget(e.target)) return;
+      if (shortcuts.dialogOpen || isInDialog(e.target)) return;
+
+      if ((e.ctrlKey || e.metaKey) && !e.altKey) {
+        if (key === "z" && !e.shiftKey) {
+          e.preventDefault();
+          shortcuts.undo();
+        } else if ((key === "z" && e.shiftKey) || key === "y") {
+          e.preventDefault();
+          shortcuts.redo();
+        }
+        return;
+      }
+
+      if (e.altKey) return;
+      if (shortcuts.handleTaskKey(e.key)) e.preventDefault();
+    };
+
+    window.addEventListener("keydown", onKeyDown);
+    return () => window.removeEventListener("keydown", onKeyDown);
+  }, []);
+
+  // ---------- focus timer ----------
+  // Open tasks on screen, in grid order; the timer defaults to the top of
+  // "Do First"
+  const timerCandidates = quadrantIds
+    .flatMap((q) => visibleByQuadrant[q])
+    .filter((t) => t.status === "Not Done");
+  const defaultTimerTaskId =
+    visibleByQuadrant.do.find((t) => t.status === "Not Done")?.id ??
+    timerCandidates[0]?.id ??
+    null;
+
+  const startFocusTimer = (taskId = defaultTimerTaskId) => {
+    if (!getTaskById(taskId)) return;
+    const startedAt = Date.now();
+    setFocusTimer({
+      taskId,
+      phase: "work",
+      startedAt,
+      endsAt: startedAt + settings.focusWorkMinutes * 60 * 1000,
+    });
+    setShowFocusTimer(true);
+  };
+
+  // → whether a session was logged
+  const recordFocusSession = (timer, endedAt) => {
+    const next = logSession(tasks, timer.taskId, timer.startedAt, endedAt);
+    if (next === tasks) return false;
+    checkpoint();
+    setTasks(next);
+    return true;
+  };
+
+  // Stopping during work logs the time spent so far
+  const stopFocusTimer = () => {
+    if (focusTimer?.phase === "work") {
+      recordFocusSession(focusTimer, Math.min(Date.now(), focusTimer.endsAt));
+    }
+    setFocusTimer(null);
+  };
+
+  const finishFocusPhase = () => {
+    if (!focusTimer) return;
+
+    if (focusTimer.phase !== "work") {
+      setFocusTimer(null);
+      setToast({ message: "Break's over.", undoable: false });
+      return;
+    }
+
+    const logged = recordFocusSession(focusTimer, focusTimer.endsAt);
+    const next = nextFocusPhase(focusTimer, settings.focusBreakMinutes);
+    setFocusTimer(next);
+    const text = getTaskById(focusTimer.taskId)?.text;
+    setToast({
+      message: `${
+        logged && text
+          ? `Logged ${formatDuration(
+              focusTimer.endsAt - focusTimer.startedAt
+            )} on "${text}".`
+          : "Focus session done."
+      }${next ? " Time for a break." : ""}`,
+      undoable: logged,
+    });
+  };
+
+  const updateFocusLengths = (patch) =>
+    setSettings((s) => ({ ...s, ...patch }));
+
+  useEffect(() => {
+    focusPhaseEndRef.current = finishFocusPhase;
+  });
+
+  // Also catches up on phases that ran out while the app was closed
+  useEffect(() => {
+    if (!focusTimer) return;
+    const id = setTimeout(
+      () => focusPhaseEndRef.current?.(),
+      Math.max(0, focusTimer.endsAt - Date.now())
+    );
+    return () => clearTimeout(id);
+  }, [focusTimer]);
+
+  // ---------- bulk actions ----------
+  // Dragging a checked task takes every checked task along
+  const dragGroupOf = (id) =>
+    checkedTasks.checkedIds.length > 1 && checkedTasks.isChecked(id)
+      ? checkedTasks.checkedIds
+      : null;
+
+  // The task list a drop would produce
+  const previewDrop = (activeId, overId) => {
+    const group = dragGroupOf(activeId);
+    const options = { keepMatrix: dragModifierRef.current };
+    return group
+      ? dropTaskGroup(tasks, group, activeId, overId, options)
+      : dropTask(tasks, activeId, overId, options);
+  };
+
+  // Applies fn(tasks, ids) to the checked tasks as one undoable change
+  const runBulk = (fn, message) => {
+    const ids = checkedTasks.checkedIds;
+    if (ids.length === 0) return;
+    const count = `${ids.length} task${ids.length === 1 ? "" : "s"}`;
+
+    checkpoint();
+    setTasks(fn(tasks, ids));
+    checkedTasks.clear();
+    setToast({ message: message(count) });
+  };
+
+  const setStatusOf = (list, ids, status, stampField) => {
+    const at = new Date().toISOString();
+    return list.map((t) =>
+      ids.includes(t.id) ? { ...t, status, [stampField]: at } : t
+    );
+  };
+
+  const bulkComplete = () =>
+    runBulk(
+      (list, ids) =>
+        completeTasks(list, ids, {
+          completeSubtasks: settings.completeSubtasksWithParent,
+        }),
+      (count) => `Completed ${count}`
+    );
+
+  const bulkArchive = () =>
+    runBulk(
+      (list, ids) => setStatusOf(list, ids, "Archived", "archivedAt"),
+      (count) => `Archived ${count}`
+    );
+
+  const bulkDelete = () => {
+    if (checkedTasks.isChecked(editingTaskId)) cancelEdit();
+    if (checkedTasks.isChecked(selectedTaskId)) setSelectedTaskId(null);
+    runBulk(
+      (list, ids) => setStatusOf(list, ids, "Deleted", "deletedAt"),
+      (count) => `Deleted ${count}`
+    );
+  };
+
+  const bulkMoveToQuadrant = (quadrant) =>
+    runBulk(
+      (list, ids) => moveTasksToQuadrant(list, ids, quadrant),
+      (count) => `Moved ${count} to ${quadrantLabel(quadrant)}`
+    );
+
+  const bulkMoveToMatrix = (matrixId) =>
+    runBulk(
+      (list, ids) => moveTasksToMatrix(list, ids, matrixId),
+      (count) => `Moved ${count} to ${matrixNameById.get(matrixId) ?? matrixId}`
+    );
+
+  const bulkTag = (input) => {
+    const added = parseTagList(input);
+    if (added.length === 0) return;
+    runBulk(
+      (list, ids) =>
+        list.map((t) =>
+          ids.includes(t.id)
+            ? {
+                ...t,
+                tags: parseTagList([...(t.tags ?? []), ...added].join(",")),
+              }
+            : t
+        ),
+      (count) => `Tagged ${count} with ${added.map((x) => `+${x}`).join(" ")}`
+    );
+  };
+
+  // ---------- quick-add preview ----------
+  const quickAdd = resolveQuickAdd(newTask, quickAddTouched);
+  const effectiveNewTask = quickAdd.draft;
+
+  const quickAddChips = [];
+  if (quickAdd.parsed.matrixId) {
+    quickAddChips.push({
+      key: "matrix",
+      label: `#${matrixNameById.get(effectiveNewTask.matrixId)}`,
+      overridden: !!quickAddTouched.matrix,
+    });
+  }
+  if (quickAdd.parsed.quadrant) {
+    quickAddChips.push({
+      key: "quadrant",
+      label: quadrantLabel(quadrantOf(effectiveNewTask)),
+      overridden: !!quickAddTouched.quadrant,
+    });
+  }
+  quickAdd.parsed.tags.forEach((tag) =>
+    quickAddChips.push({
+      key: `tag-${tag}`,
+      label: `+${tag}`,
+      overridden: false,
+    })
+  );
+  if (quickAdd.parsed.dueDate) {
+    quickAddChips.push({
+      key: "due",
+      label: effectiveNewTask.dueDate
+        ? `Due ${formatDue(effectiveNewTask)}`
+        : "No due date",
+      overridden: !!quickAddTouched.due,
+    });
+  }
+
+  const renderCombinedMatrix = () => (
+    <div className="mb-10">
+      <h2 className="text-xl font-bold mb-4 text-gray-800 border-b pb-1 text-center">
+        {selectedMatrixIds.length === 0
+          ? "No matrices selected"
+          : `${selectedMatrixIds
+              .map((id) => matrixNameById.get(id) ?? id)
+              .join(" + ")} Tasks`}
+      </h2>
+
+      {allTags.length > 0 && (
+        <div className="flex flex-wrap justify-center items-center gap-1 mb-4">
+          <span className="text-xs text-slate-500 mr-1">Tags:</span>
+          {allTags.map(({ name }) => (
+            <TagChip
+              key={name}
+              tag={name}
+              tagColors={tagColors}
+              active={tagFilter.length === 0 || tagFilter.includes(name)}
+              onClick={() => toggleTagFilter(name)}
+            />
+          ))}
+          {tagFilter.length > 0 && (
+            <button
+              className="text-xs text-slate-600 underline ml-2"
+              onClick={() => setTagFilter([])}
+            >
+              Show all
+            </button>
+          )}
+        </div>
+      )}
+
+      {checkedTasks.checkedIds.length > 0 && (
+        <BulkActionBar
+          count={checkedTasks.checkedIds.length}
+          matrices={matrices}
+          onComplete={bulkComplete}
+          onArchive={bulkArchive}
+          onDelete={bulkDelete}
+          onMoveToQuadrant={bulkMoveToQuadrant}
+          onMoveToMatrix={bulkMoveToMatrix}
+          onTag={bulkTag}
+          onClear={checkedTasks.clear}
+        />
+      )}
+
+      <div className="flex justify-center">
+        <DndContext
+          sensors={sensors}
+          onDragStart={({ active }) => setDraggingTaskId(active.id)}
+          onDragCancel={() => setDraggingTaskId(null)}
+          onDragEnd={handleDragEnd}
+          accessibility={{
+            announcements: dragAnnouncements,
+            screenReaderInstructions: {
+              draggable:
+                "To move a task, press Space or Enter on its handle. Use the arrow keys to move it over another task or quadrant, then press Space or Enter to drop it, or Escape to cancel.",
+            },
+          }}
+        >
+          {/* Stacked on phones, the 2x2 grid from sm up */}
+          <div className="grid grid-cols-1 sm:grid-cols-2 gap-4 w-full max-w-3xl sm:px-4 sm:auto-rows-fr">
+            {quadrantIds.map((quadrant) => {
+              const visibleTasks = visibleByQuadrant[quadrant];
+
+              return (
+                <div key={quadrant} className="min-h-[140px]">
+                  <DroppableQuadrant
+                    id={quadrant}
+                    label={`${quadrantLabel(quadrant)}, ${
+                      visibleTasks.length
+                    } ${visibleTasks.length === 1 ? "task" : "tasks"}`}
+                    className="h-full w-full"
+                  >
+                    <div
+                      className={`rounded p-3 border shadow-sm ${quadrantClass(
+                        quadrant
+                      )} h-full w-full`}
+                    >
+                      <div className="flex items-center justify-between gap-2 mb-2">
+                        <h3 className="flex items-center gap-2 text-sm font-semibold text-gray-700 uppercase tracking-wide">
+                          {visibleTasks.length > 0 && (
+                            <SelectAllCheckbox
+                              ids={visibleTasks.map((t) => t.id)}
+                              selection={checkedTasks}
+                              label={`Select all in ${quadrantLabel(quadrant)}`}
+                            />
+                          )}
+                          {quadrantLabel(quadrant)}
+                        </h3>
+                        <div className="flex items-center gap-2">
+                          {visibleTasks.some(
+                            (t) => t.status === "Completed"
+                          ) && (
+                            <button
+                              className="text-[10px] text-slate-500 underline"
+                              onClick={() => clearCompleted(visibleTasks)}
+                              title="Archive the completed tasks shown here"
+                            >
+                              Clear completed
+                            </button>
+                          )}
+                          <DueSummary tasks={visibleTasks} now={now} />
+                        </div>
+                      </div>
+
+                      <div className="space-y-1" role="list">
+                        {visibleTasks.map((task) => (
+                          <DroppableTaskTarget key={task.id} id={task.id}>
+                            <DraggableTaskRow
+                              task={task}
+                              now={now}
+                              isSelected={selectedTaskId === task.id}
+                              onSelect={() => setSelectedTaskId(task.id)}
+                              tagColors={tagColors}
+                              onTagClick={toggleTagFilter}
+                              showMatrixBadge={showMatrixBadges}
+                              matrixName={
+                                matrixNameById.get(task.matrixId) ?? task.matrixId
+                              }
+                              matrixColor={matrixColorById.get(task.matrixId)}
+                              isTimerTask={focusTimer?.taskId === task.id}
+                              isChecked={checkedTasks.isChecked(task.id)}
+                              selectionActive={
+                                checkedTasks.checkedIds.length > 0
+                              }
+                              onCheck={(range) =>
+                                checkedTasks.toggle(task.id, range)
+                              }
+                              isCarried={
+                                draggingTaskId !== task.id &&
+                                checkedTasks.isChecked(task.id) &&
+                                !!dragGroupOf(draggingTaskId)
+                              }
+                              onToggleComplete={toggleComplete}
+                              onArchive={archiveTask}
+                              onDelete={deleteTask}
+                              onOpenDetails={() => setDetailTaskId(task.id)}
+                              isEditing={editingTaskId === task.id}
+                              draftText={
+                                editingTaskId === task.id ? editDraft : task.text
+                              }
+                              onStartEdit={() => startEdit(task)}
+                              draftDue={editDueDraft}
+                              draftRecurrence={editRecurrenceDraft}
+                              draftTags={editTagsDraft}
+                              onChangeDraft={setEditDraft}
+                              onChangeDraftDue={setEditDueDraft}
+                              onChangeDraftRecurrence={setEditRecurrenceDraft}
+                              onChangeDraftTags={setEditTagsDraft}
+                              onCommitEdit={commitEdit}
+                              onCancelEdit={cancelEdit}
+                              onAddSubtask={addSubtask}
+                              onToggleSubtask={toggleSubtask}
+                              onMoveSubtask={moveSubtask}
+                              onDeleteSubtask={deleteSubtask}
+                            />
+                          </DroppableTaskTarget>
+                        ))}
+                      </div>
+
+                      {/* Kept mounted so dnd-kit has measured them when a drag starts */}
+                      {showMatrixBadges && (
+                        <div
+                          className={`flex gap-1 mt-2 ${
+                            draggingTaskId === null ? "invisible" : ""
+                          }`}
+                        >
+                          {selectedMatrixIds.map((matrixId) => {
+                            const name =
+                              matrixNameById.get(matrixId) ?? matrixId;
+                            return (
+                              <DroppableMatrixSlot
+                                key={matrixId}
+                                id={matrixQuadrantDropId(matrixId, quadrant)}
+                                label={`${name} · ${quadrantLabel(quadrant)}`}
+                                color={matrixColorById.get(matrixId)}
+                              >
+                                {name}
+                              </DroppableMatrixSlot>
+                            );
+                          })}
+                        </div>
+                      )}
+                    </div>
+                  </DroppableQuadrant>
+                </div>
+              );
+            })}
+          </div>
+        </DndContext>
+      </div>
+
+      {showMatrixBadges && (
+        <div className="mt-2 text-center text-xs text-slate-500">
+          Drop a task onto another matrix’s task, or onto its name at the bottom
+          of a quadrant, to move it there. Hold Alt to keep it in its own
+          matrix.
+        </div>
+      )}
+    </div>
+  );
+
+  return (
+    <div className="min-h-screen bg-slate-100 py-4 px-2 sm:py-8 sm:px-4">
+      <div className="max-w-6xl mx-auto bg-white p-3 sm:p-6 rounded shadow">
+        <h1 className="text-2xl sm:text-4xl font-bold mb-4 sm:mb-6 text-slate-800 text-center">
+          Taskenhower Matrix
+        </h1>
+
+        {storageError && (
+          <div
+            className="max-w-3xl mx-auto mb-4 flex flex-wrap items-center justify-between gap-3 border border-red-300 bg-red-50 text-red-800 text-sm rounded px-3 py-2"
+            role="alert"
+          >
+            <span>{storageError}</span>
+            {hasInitialized && (
+              <button className="underline" onClick={() => exportData()}>
+                Export backup
+              </button>
+            )}
+          </div>
+        )}
+
+        <div className="flex justify-end gap-3 -mt-4 mb-4">
+          {syncStatus.status !== "off" && (
+            <button
+              className={`text-xs underline ${
+                syncStatus.status === "error" || syncStatus.status === "offline"
+                  ? "text-red-600"
+                  : "text-slate-600"
+              }`}
+              onClick={() => syncEngineRef.current?.syncNow()}
+              title={
+                syncStatus.message ??
+                (syncStatus.at
+                  ? `Last synced ${new Date(syncStatus.at).toLocaleString()}`
+                  : "Sync now")
+              }
+            >
+              ⇅ {SYNC_STATUS_LABELS[syncStatus.status]}
+              {syncStatus.pending > 0 && ` (${syncStatus.pending} pending)`}
+            </button>
+          )}
+          <button
+            className={`text-xs underline ${
+              focusTimer ? "text-indigo-700 font-medium" : "text-slate-600"
+            }`}
+            onClick={() => setShowFocusTimer((v) => !v)}
+            aria-expanded={showFocusTimer || !!focusTimer}
+          >
+            ⏱ {focusTimer ? "Focus timer running" : "Focus timer"}
+          </button>
+          <button
+            className="text-xs text-slate-600 underline"
+            onClick={() => setPaletteOpen(true)}
+            title="Command palette (Ctrl+K)"
+          >
+            ⌘ Commands
+          </button>
+          <button
+            className="text-xs text-slate-600 underline disabled:text-slate-300 disabled:no-underline"
+            onClick={undo}
+            disabled={history.past.length === 0}
+            title="Undo (Ctrl+Z)"
+          >
+            ↶ Undo
+          </button>
+          <button
+            className="text-xs text-slate-600 underline disabled:text-slate-300 disabled:no-underline"
+            onClick={redo}
+            disabled={history.future.length === 0}
+            title="Redo (Ctrl+Shift+Z)"
+          >
+            ↷ Redo
+          </button>
+        </div>
+
+        {(showFocusTimer || focusTimer) && (
+          <FocusTimer
+            timer={focusTimer}
+            task={focusTimer ? getTaskById(focusTimer.taskId) : null}
+            candidates={timerCandidates}
+            defaultTaskId={defaultTimerTaskId}
+            workMinutes={settings.focusWorkMinutes}
+            breakMinutes={settings.focusBreakMinutes}
+            onChangeLengths={updateFocusLengths}
+            onStart={startFocusTimer}
+            onStop={stopFocusTimer}
+            onClose={() => setShowFocusTimer(false)}
+          />
+        )}
+
+        {/* Pinned toggles + Focus chip */}
+        <div className="mb-6 flex flex-wrap justify-center gap-3 items-center">
+          {pinnedMatrices.map((m) => {
+            const isActive = activePinnedIds.includes(m.id);
+            return (
+              <button
+                key={m.id}
+                className={`px-4 py-1 rounded text-sm border transition-colors ${
+                  isActive
+                    ? "bg-indigo-600 text-white"
+                    : "bg-white text-indigo-600 hover:bg-indigo-50"
+                }`}
+                onClick={() => togglePinnedMatrix(m.id)}
+                title="Toggle matrix"
+              >
+                {MATRIX_COLORS[m.color] && (
+                  <span
+                    className={`inline-block w-2 h-2 rounded-full mr-1.5 ${
+                      MATRIX_COLORS[m.color].bar
+                    }`}
+                    aria-hidden="true"
+                  />
+                )}
+                {m.name}
+              </button>
+            );
+          })}
+
+          {/* Focus chip */}
+          <div
+            className={`px-3 py-1 rounded text-sm border transition-colors flex items-center gap-2 ${
+              isFocusActive
+                ? "bg-indigo-600 text-white"
+                : "bg-white text-indigo-600 hover:bg-indigo-50"
+            }`}
+            title="Select a focus matrix"
+          >
+            <span className="text-sm">Focus:</span>
+            <select
+              className={`text-sm outline-none bg-transparent ${
+                isFocusActive ? "text-white" : "text-indigo-600"
+              }`}
+              value={focusMatrixId}
+              onChange={(e) => changeFocusMatrix(e.target.value)}
+            >
+              <option value="none">None</option>
+              {focusCandidates.map((m) => (
+                <option key={m.id} value={m.id}>
+                  {m.name}
+                </option>
+              ))}
+            </select>
+          </div>
+        </div>
+
+        {/* Add task */}
+        <div className="mb-10 flex flex-wrap gap-3 items-end justify-center">
+          <input
+            className="border border-gray-300 p-2 rounded flex-1 min-w-[180px]"
+            ref={newTaskInputRef}
+            placeholder="New task (#matrix !1 fri 3pm)"
+            value={newTask.text}
+            onChange={(e) => setNewTask({ ...newTask, text: e.target.value })}
+            onKeyDown={(e) => {
+              if (e.key === "Enter") addTask();
+            }}
+          />
+
+          <select
+            className="border border-gray-300 p-2 rounded"
+            value={effectiveNewTask.matrixId}
+            onChange={(e) => {
+              const id = e.target.value;
+              setNewTask({ ...newTask, matrixId: id });
+              setQuickAddTouched((t) => ({ ...t, matrix: true }));
+              setLastSelectedMatrixId(id);
+            }}
+            title="Which matrix should this task live in?"
+          >
+            {matrices.map((m) => (
+              <option key={m.id} value={m.id}>
+                {m.name}
+              </option>
+            ))}
+          </select>
+
+          <label
+            className="flex items-center gap-1 text-sm text-slate-700 p-2"
+            title="Does this move you toward your goals?"
+          >
+            <input
+              type="checkbox"
+              checked={effectiveNewTask.important}
+              onChange={(e) => {
+                setNewTask({
+                  ...newTask,
+                  urgent: effectiveNewTask.urgent,
+                  important: e.target.checked,
+                });
+                setQuickAddTouched((t) => ({ ...t, quadrant: true }));
+              }}
+            />
+            Important
+          </label>
+
+          <label
+            className="flex items-center gap-1 text-sm text-slate-700 p-2"
+            title="Does this need attention soon?"
+          >
+            <input
+              type="checkbox"
+              checked={effectiveNewTask.urgent}
+              onChange={(e) => {
+                setNewTask({
+                  ...newTask,
+                  important: effectiveNewTask.important,
+                  urgent: e.target.checked,
+                });
+                setQuickAddTouched((t) => ({ ...t, quadrant: true }));
+              }}
+            />
+            Urgent
+          </label>
+
+          <span className="text-xs text-slate-500 p-2 self-center">
+            → {quadrantLabel(quadrantOf(effectiveNewTask))}
+          </span>
+
+          <input
+            type="date"
+            className="border border-gray-300 p-2 rounded"
+            value={effectiveNewTask.dueDate}
+            onChange={(e) => {
+              setNewTask({
+                ...newTask,
+                dueTime: effectiveNewTask.dueTime,
+                dueDate: e.target.value,
+              });
+              setQuickAddTouched((t) => ({ ...t, due: true }));
+            }}
+            title="Due date (optional)"
+          />
+
+          <input
+            type="time"
+            className="border border-gray-300 p-2 rounded"
+            value={effectiveNewTask.dueTime}
+            disabled={!effectiveNewTask.dueDate}
+            onChange={(e) => {
+              setNewTask({
+                ...newTask,
+                dueDate: effectiveNewTask.dueDate,
+                dueTime: e.target.value,
+              });
+              setQuickAddTouched((t) => ({ ...t, due: true }));
+            }}
+            title="Due time (optional)"
+          />
+
+          <RecurrencePicker
+            value={newTask.recurrence}
+            onChange={(recurrence) => setNewTask({ ...newTask, recurrence })}
+          />
+
+          <button
+            className="bg-indigo-600 hover:bg-indigo-700 text-white px-4 py-2 rounded"
+            onClick={() => addTask()}
+          >
+            Add
+          </button>
+
+          {quickAddChips.length > 0 && (
+            <div
+              className="basis-full flex flex-wrap gap-2 items-center text-xs"
+              title="Parsed from the task text — change a control to override"
+            >
+              <span className="text-slate-500">Will add</span>
+              <span className="px-2 py-0.5 rounded bg-slate-100 text-slate-800">
+                {effectiveNewTask.text || "…"}
+              </span>
+              {quickAddChips.map((chip) => (
+                <span
+                  key={chip.key}
+                  className={`px-2 py-0.5 rounded ${
+                    chip.overridden
+                      ? "bg-slate-100 text-slate-500"
+                      : "bg-indigo-100 text-indigo-700"
+                  }`}
+                >
+                  {chip.label}
+                  {chip.overridden ? " (set by hand)" : ""}
+                </span>
+              ))}
+            </div>
+          )}
+        </div>
+
+        <SearchPanel
+          inputRef={searchInputRef}
+          tasks={tasks}
+          search={search}
+          onChange={setSearch}
+          matrices={matrices}
+          matrixNameById={matrixNameById}
+          getIso={getHistoryIso}
+          formatAge={formatAge}
+          onJump={jumpToTask}
+          onUnarchive={unarchiveTask}
+          onRestore={restoreTask}
+        />
+
+        <div className="mt-6">
+          {selectedMatrixIds.length === 0 ? (
+            <p className="text-center text-gray-500">Select a matrix above.</p>
+          ) : (
+            renderCombinedMatrix()
+          )}
+        </div>
+
+        <div className="mt-10">
+          <details ref={toolsRef} className="max-w-3xl mx-auto">
+            <summary className="cursor-pointer text-sm text-slate-600 underline mb-4">
+              Tools
+            </summary>
+
+            <div className="space-y-6">
+              {/* Matrix management */}
+              <div className="space-y-4">
+                <div className="flex flex-wrap gap-3 items-end justify-center">
+                  <input
+                    className="border border-gray-300 p-2 rounded flex-1 min-w-[200px]"
+                    placeholder="New matrix name (e.g., Today 2/10/26, Project XYZ)"
+                    value={newMatrixName}
+                    onChange={(e) => setNewMatrixName(e.target.value)}
+                    onKeyDown={(e) => {
+                      if (e.key === "Enter") addMatrix();
+                    }}
+                  />
+                  <button
+                    className="bg-slate-800 text-white px-4 py-2 rounded"
+                    onClick={addMatrix}
+                  >
+                    Add Matrix
+                  </button>
+                </div>
+
+                {focusMatrix && !isDefaultMatrix(focusMatrix.id) && (
+                  <div className="flex flex-wrap gap-3 justify-center items-center">
+                    <div className="text-sm text-slate-600">
+                      Focus:{" "}
+                      <span className="font-semibold text-slate-800">
+                        {focusMatrix.name}
+                      </span>
+                    </div>
+
+                    {pinnedMatrices.length > 0 && (
+                      <MergeControl
+                        pinnedMatrices={pinnedMatrices}
+                        onMerge={(destId) =>
+                          mergeMatrixInto(focusMatrix.id, destId)
+                        }
+                      />
+                    )}
+
+                    <button
+                      className="text-sm text-red-600 underline"
+                      onClick={() => deleteMatrixArchiveTasks(focusMatrix.id)}
+                      title="Delete matrix (archives its tasks)"
                     >
                       Delete focus (archive tasks)
                     </button>
                   </div>
                 )}
+
+                <MatrixManager
+                  matrices={matrices}
+                  taskCounts={matrixTaskCounts}
+                  onRename={renameMatrix}
+                  onSetPinned={setMatrixPinned}
+                  onMove={moveMatrix}
+                  onRecolor={setMatrixColor}
+                />
+              </div>
+
+              <div className="flex justify-center">
+                <label className="flex items-center gap-2 text-sm text-slate-600">
+                  <input
+                    type="checkbox"
+                    checked={settings.completeSubtasksWithParent}
+                    onChange={(e) =>
+                      setSettings((s) => ({
+                        ...s,
+                        completeSubtasksWithParent: e.target.checked,
+                      }))
+                    }
+                  />
+                  Completing a task completes its checklist
+                </label>
+              </div>
+
+              <CompletedTaskSettings
+                matrices={matrices}
+                tasks={tasks}
+                onChangeAutoArchive={setAutoArchiveDays}
+                onClear={clearCompleted}
+              />
+
+              <SyncSettings
+                serverUrl={settings.syncServerUrl}
+                token={settings.syncToken}
+                onSave={(syncServerUrl, syncToken) =>
+                  setSettings((s) => ({ ...s, syncServerUrl, syncToken }))
+                }
+              />
+
+              {allTags.length > 0 && (
+                <TagManager
+                  tags={allTags}
+                  tagColors={tagColors}
+                  onRename={renameTag}
+                  onRecolor={recolorTag}
+                />
+              )}
+
+              {/* Export / Import + History toggles */}
+              <div className="flex flex-wrap justify-center gap-4 items-center">
+                <button
+                  className="text-sm text-gray-600 underline"
+                  onClick={() => setShowArchived((v) => !v)}
+                >
+                  {showArchived ? "Hide Archived" : "Show Archived"}
+                </button>
+
+                <button
+                  className="text-sm text-gray-600 underline"
+                  onClick={() => setShowDeleted((v) => !v)}
+                >
+                  {showDeleted ? "Hide Deleted" : "Show Deleted"}
+                </button>
+
+                <button
+                  className="text-sm text-gray-600 underline"
+                  onClick={() => setShowBackups((v) => !v)}
+                >
+                  {showBackups ? "Hide Backups" : "Show Backups"}
+                </button>
+
+                <button
+                  className="text-sm text-gray-600 underline"
+                  onClick={() => setShowStats((v) => !v)}
+                >
+                  {showStats ? "Hide Stats" : "Show Stats"}
+                </button>
+
+                <span className="text-sm text-gray-600">
+                  Export:{" "}
+                  <button
+                    className="underline"
+                    onClick={() => exportData()}
+                    title="Download a full backup of your tasks + matrices"
+                  >
+                    JSON
+                  </button>{" "}
+                  ·{" "}
+                  <button
+                    className="underline"
+                    onClick={() => exportData("csv")}
+                    title="One row per task, for spreadsheets"
+                  >
+                    CSV
+                  </button>{" "}
+                  ·{" "}
+                  <button
+                    className="underline"
+                    onClick={() => exportData("markdown")}
+                    title="Each matrix as quadrant checklists, for notes and wikis"
+                  >
+                    Markdown
+                  </button>
+                </span>
+
+                <span className="flex items-center gap-1 text-sm text-gray-600">
+                  <select
+                    className="border border-gray-300 p-1 rounded text-xs"
+                    value={importMode}
+                    onChange={(e) => setImportMode(e.target.value)}
+                    title="Replace everything, or add the file's tasks to yours"
+                  >
+                    <option value="replace">Replace</option>
+                    <option value="merge">Merge</option>
+                  </select>
+                  <label
+                    className="underline cursor-pointer"
+                    title="Import a JSON, CSV or Markdown export"
+                  >
+                    Import
+                    <input
+                      ref={importInputRef}
+                      type="file"
+                      accept="application/json,.json,text/csv,.csv,text/markdown,.md,.markdown"
+                      className="hidden"
+                      onChange={(e) => {
+                        const file = e.target.files?.[0];
+                        if (!file) return;
+                        importDataFromFile(file);
+                        e.target.value = "";
+                      }}
+                    />
+                  </label>
+                </span>
+              </div>
+
+              {(importError || importOk) && (
+                <div className="text-center">
+                  {importOk && (
+                    <div className="text-sm text-green-700">{importOk}</div>
+                  )}
+                  {importError && (
+                    <div className="text-sm text-red-700">{importError}</div>
+                  )}
+                </div>
+              )}
+
+              {importPreview && (
+                <ImportPreview
+                  preview={importPreview}
+                  mode={importMode}
+                  matrixNameById={matrixNameById}
+                  onChangeFixMode={(fixMode) =>
+                    setImportPreview((p) => ({ ...p, fixMode }))
+                  }
+                  onConfirm={confirmImport}
+                  onCancel={() => setImportPreview(null)}
+                />
+              )}
+
+              {mergeReview && (
+                <MergeImportReview
+                  review={mergeReview}
+                  matrixNameById={matrixNameById}
+                  onChoose={chooseMergeVersion}
+                  onChooseAll={chooseAllMergeVersions}
+                  onConfirm={applyMergeImport}
+                  onCancel={() => setMergeReview(null)}
+                />
+              )}
+
+              {(showArchived || showDeleted) && (
+                <div className="max-w-3xl mx-auto space-y-6">
+                  {showArchived && (
+                    <HistoryList
+                      title="Archived"
+                      kind="archived"
+                      tasks={tasks}
+                      matrixNameById={matrixNameById}
+                      sort={historySort}
+                      onChangeSort={setHistorySort}
+                      getIso={getHistoryIso}
+                      formatAge={formatAge}
+                      onPrimaryAction={(id) => unarchiveTask(id)}
+                      primaryActionLabel="Unarchive"
+                      onOpenTask={setDetailTaskId}
+                      onBulkAction={unarchiveTasks}
+                    />
+                  )}
+
+                  {showDeleted && (
+                    <HistoryList
+                      title="Deleted"
+                      kind="deleted"
+                      tasks={tasks}
+                      matrixNameById={matrixNameById}
+                      sort={historySort}
+                      onChangeSort={setHistorySort}
+                      getIso={getHistoryIso}
+                      formatAge={formatAge}
+                      onPrimaryAction={(id) => restoreTask(id)}
+                      primaryActionLabel="Restore"
+                      onOpenTask={setDetailTaskId}
+                      onBulkAction={restoreTasks}
+                      onClearDeleted={clearDeletedTasks}
+                    />
+                  )}
+                </div>
+              )}
+
+              {showStats && (
+                <StatsDashboard
+                  tasks={tasks}
+                  matrices={matrices}
+                  now={now}
+                  onOpenTask={jumpToTask}
+                />
+              )}
+
+              {showBackups && (
+                <SnapshotBrowser
+                  snapshots={snapshots}
+                  tasks={tasks}
+                  matrices={matrices}
+                  formatAge={formatAge}
+                  onBackUp={() => takeSnapshot("manual")}
+                  onRestore={restoreFromSnapshot}
+                />
+              )}
+            </div>
+          </details>
+        </div>
+      </div>
+
+      {detailTask && (
+        <TaskDetailPanel
+          key={detailTask.id}
+          task={detailTask}
+          matrixNameById={matrixNameById}
+          onSaveNotes={(notes) => saveNotes(detailTask.id, notes)}
+          onClose={() => setDetailTaskId(null)}
+        />
+      )}
+
+      {paletteOpen && (
+        <CommandPalette
+          commands={buildCommands()}
+          onAddTask={(text) => addTask({ ...newTask, text })}
+          onClose={() => setPaletteOpen(false)}
+        />
+      )}
+
+      {toast && (
+        <UndoToast
+          message={toast.message}
+          onUndo={toast.undoable === false ? null : undo}
+          onDismiss={() => setToast(null)}
+        />
+      )}
+    </div>
+  );
+}
+
+// Checked when every id is, mixed when some are
+function SelectAllCheckbox({ ids, selection, label }) {
+  const ref = useRef(null);
+  const count = ids.filter((id) => selection.isChecked(id)).length;
+  const all = count === ids.length;
+
+  useEffect(() => {
+    if (ref.current) ref.current.indeterminate = count > 0 && !all;
+  }, [count, all]);
+
+  return (
+    <input
+      ref={ref}
+      type="checkbox"
+      checked={all}
+      onChange={() => selection.setMany(ids, !all)}
+      aria-label={label}
+      title={label}
+    />
+  );
+}
+
+// Actions for every checked task at once
+function BulkActionBar({
+  count,
+  matrices,
+  onComplete,
+  onArchive,
+  onDelete,
+  onMoveToQuadrant,
+  onMoveToMatrix,
+  onTag,
+  onClear,
+}) {
+  const [tagDraft, setTagDraft] = useState("");
+
+  return (
+    <div
+      className="sticky top-0 z-10 max-w-3xl mx-auto mb-3 flex flex-wrap items-center gap-3 border border-indigo-200 bg-indigo-50 rounded px-3 py-2 text-xs text-slate-700 shadow-sm"
+      role="toolbar"
+      aria-label="Bulk actions"
+    >
+      <span className="font-semibold">{count} selected</span>
+      <button className="underline" onClick={onComplete}>
+        Complete
+      </button>
+      <button className="underline" onClick={onArchive}>
+        Archive
+      </button>
+      <button className="underline text-red-700" onClick={onDelete}>
+        Delete
+      </button>
+      <select
+        className="border border-gray-300 p-1 rounded bg-white"
+        value=""
+        onChange={(e) => onMoveToQuadrant(e.target.value)}
+        aria-label="Move to quadrant"
+      >
+        <option value="">Move to quadrant…</option>
+        {QUADRANTS.map((q) => (
+          <option key={q.id} value={q.id}>
+            {q.label}
+          </option>
+        ))}
+      </select>
+      <select
+        className="border border-gray-300 p-1 rounded bg-white"
+        value=""
+        onChange={(e) => onMoveToMatrix(e.target.value)}
+        aria-label="Move to matrix"
+      >
+        <option value="">Move to matrix…</option>
+        {matrices.map((m) => (
+          <option key={m.id} value={m.id}>
+            {m.name}
+          </option>
+        ))}
+      </select>
+      <form
+        className="flex items-center gap-1"
+        onSubmit={(e) => {
+          e.preventDefault();
+          onTag(tagDraft);
+          setTagDraft("");
+        }}
+      >
+        <input
+          className="w-24 border border-gray-300 rounded px-1 py-1 bg-white"
+          placeholder="tag"
+          value={tagDraft}
+          onChange={(e) => setTagDraft(e.target.value)}
+          aria-label="Tag to add"
+        />
+        <button
+          type="submit"
+          className="underline disabled:text-slate-300 disabled:no-underline"
+          disabled={!tagDraft.trim()}
+        >
+          Tag
+        </button>
+      </form>
+      <button
+        className="ml-auto text-slate-500 hover:text-slate-800"
+        onClick={onClear}
+        title="Clear selection (Esc)"
+      >
+        ✕
+      </button>
+    </div>
+  );
+}
+
+// Side panel with a task's notes (written as Markdown, shown rendered), its
+// timestamps and where it has been. Notes are saved on blur, Done and close.
+function TaskDetailPanel({ task, matrixNameById, onSaveNotes, onClose }) {
+  const [draft, setDraft] = useState(task.notes ?? "");
+  const [editing, setEditing] = useState(false);
+  // Only typed changes are saved, so closing can't write back notes that
+  // changed meanwhile (in another tab, or by Undo)
+  const [dirty, setDirty] = useState(false);
+  const closeRef = useRef(null);
+  const notes = task.notes ?? "";
+
+  useEffect(() => {
+    closeRef.current?.focus();
+  }, []);
+
+  const saveDraft = () => {
+    if (!dirty) return;
+    onSaveNotes(draft);
+    setDirty(false);
+  };
+
+  const close = () => {
+    saveDraft();
+    onClose();
+  };
+
+  const startEditing = () => {
+    setDraft(notes);
+    setEditing(true);
+  };
+
+  const finishEditing = () => {
+    saveDraft();
+    setEditing(false);
+  };
+
+  const formatTime = (iso) => new Date(iso).toLocaleString();
+  const placeLabel = (p) =>
+    `${matrixNameById.get(p.matrixId) ?? p.matrixId} · ${
+      QUADRANTS.find((q) => q.id === p.quadrant)?.label ?? p.quadrant
+    }`;
+
+  const times = [
+    ["Created", getCreatedIso(task)],
+    ["Completed", task.completedAt],
+    ["Archived", task.archivedAt],
+    ["Deleted", task.deletedAt],
+  ].filter(([, iso]) => iso);
+
+  // Tasks that never moved are still where they started
+  const places = task.placeHistory?.length
+    ? task.placeHistory
+    : [
+        {
+          at: getCreatedIso(task),
+          matrixId: task.matrixId,
+          quadrant: quadrantOf(task),
+        },
+      ];
+
+  return (
+    <div
+      className="fixed inset-y-0 right-0 z-40 w-full sm:w-96 bg-white shadow-xl border-l border-slate-200 flex flex-col"
+      role="dialog"
+      aria-label={`Details for “${task.text}”`}
+      onKeyDown={(e) => {
+        if (e.key !== "Escape") return;
+        e.preventDefault();
+        if (editing) finishEditing();
+        else close();
+      }}
+    >
+      <div className="flex items-start justify-between gap-2 px-4 py-3 border-b border-slate-200">
+        <div>
+          <h2 className="font-bold text-gray-800 break-words">{task.text}</h2>
+          <div className="text-xs text-slate-500">{task.status}</div>
+        </div>
+        <button
+          ref={closeRef}
+          className="text-slate-400 hover:text-slate-600"
+          onClick={close}
+          title="Close (Esc)"
+          aria-label="Close details"
+        >
+          ✕
+        </button>
+      </div>
+
+      <div className="flex-1 overflow-y-auto px-4 py-3 space-y-5">
+        <section>
+          <div className="flex items-center justify-between mb-2">
+            <h3 className="text-sm font-semibold text-gray-700">Notes</h3>
+            <button
+              className="text-xs text-indigo-600 underline"
+              onClick={() => (editing ? finishEditing() : startEditing())}
+            >
+              {editing ? "Done" : notes.trim() ? "Edit" : "Add notes"}
+            </button>
+          </div>
+
+          {editing ? (
+            <>
+              <textarea
+                className="w-full h-48 border border-slate-300 rounded p-2 text-sm font-mono"
+                value={draft}
+                autoFocus
+                onChange={(e) => {
+                  setDraft(e.target.value);
+                  setDirty(true);
+                }}
+                onBlur={saveDraft}
+                onKeyDown={(e) => {
+                  if (e.key === "Enter" && (e.ctrlKey || e.metaKey)) {
+                    finishEditing();
+                  }
+                }}
+                aria-label="Notes (Markdown)"
+              />
+              <div className="text-[11px] text-slate-400">
+                Markdown: **bold**, *italic*, `code`, - lists,
+                [links](https://…). Ctrl+Enter when done.
               </div>
+            </>
+          ) : notes.trim() ? (
+            <MarkdownNotes text={notes} />
+          ) : (
+            <div className="text-sm text-slate-400">No notes yet.</div>
+          )}
+        </section>
+
+        <section>
+          <h3 className="text-sm font-semibold text-gray-700 mb-2">Dates</h3>
+          <dl className="grid grid-cols-[auto_1fr] gap-x-3 gap-y-1 text-sm">
+            {times.map(([label, iso]) => (
+              <Fragment key={label}>
+                <dt className="text-slate-500">{label}</dt>
+                <dd className="text-slate-800">{formatTime(iso)}</dd>
+              </Fragment>
+            ))}
+          </dl>
+        </section>
+
+        <section>
+          <h3 className="text-sm font-semibold text-gray-700 mb-2">
+            Matrix and quadrant
+          </h3>
+          <ol className="space-y-1 text-sm">
+            {places.map((p, idx) => (
+              <li key={idx} className="flex justify-between gap-3">
+                <span className="text-slate-800">
+                  {idx === 0 ? "Started in " : "Moved to "}
+                  {placeLabel(p)}
+                </span>
+                <span className="text-[11px] text-slate-400 whitespace-nowrap">
+                  {p.at ? new Date(p.at).toLocaleDateString() : ""}
+                </span>
+              </li>
+            ))}
+          </ol>
+        </section>
+      </div>
+    </div>
+  );
+}
 
-              {/* Export / Import + History toggles */}
-              <div className="flex flex-wrap justify-center gap-4 items-center">
-                <button
-                  className="text-sm text-gray-600 underline"
-                  onClick={() => setShowArchived((v) => !v)}
-                >
-                  {showArchived ? "Hide Archived" : "Show Archived"}
-                </button>
+// Per matrix: how long completed tasks stay on the grid, and a button to
+// archive them right away
+function CompletedTaskSettings({
+  matrices,
+  tasks,
+  onChangeAutoArchive,
+  onClear,
+}) {
+  return (
+    <div className="flex flex-col items-center gap-1 text-sm text-gray-600">
+      <div>Completed tasks</div>
+      <div className="grid grid-cols-[auto_auto_auto] gap-x-3 gap-y-1 items-center">
+        {matrices.map((m) => {
+          const completed = tasks.filter(
+            (t) => t.matrixId === m.id && t.status === "Completed"
+          );
+          return (
+            <Fragment key={m.id}>
+              <span className="text-xs">{m.name}</span>
+              <select
+                className="border border-gray-300 p-1 rounded text-xs"
+                value={m.autoArchiveDays ?? 0}
+                onChange={(e) =>
+                  onChangeAutoArchive(m.id, Number(e.target.value))
+                }
+                aria-label={`Auto-archive completed tasks in ${m.name}`}
+              >
+                <option value={0}>Keep until archived</option>
+                {AUTO_ARCHIVE_DAY_OPTIONS.map((days) => (
+                  <option key={days} value={days}>
+                    Archive after {days} day{days === 1 ? "" : "s"}
+                  </option>
+                ))}
+              </select>
+              <button
+                className="text-xs underline text-left disabled:text-slate-300 disabled:no-underline"
+                onClick={() => onClear(completed)}
+                disabled={completed.length === 0}
+              >
+                Clear completed ({completed.length})
+              </button>
+            </Fragment>
+          );
+        })}
+      </div>
+    </div>
+  );
+}
+
+function SyncSettings({ serverUrl, token, onSave }) {
+  const [urlDraft, setUrlDraft] = useState(serverUrl);
+  const [tokenDraft, setTokenDraft] = useState(token);
+  const dirty = urlDraft.trim() !== serverUrl || tokenDraft !== token;
+
+  return (
+    <form
+      className="flex flex-wrap justify-center items-center gap-2 text-sm text-gray-600"
+      onSubmit={(e) => {
+        e.preventDefault();
+        onSave(urlDraft.trim(), tokenDraft);
+      }}
+    >
+      <span title="See server/README.md. Leave empty to keep data in this browser only.">
+        Sync server
+      </span>
+      <input
+        className="border border-gray-300 p-1 rounded text-xs w-56"
+        type="url"
+        placeholder="http://localhost:8787"
+        value={urlDraft}
+        onChange={(e) => setUrlDraft(e.target.value)}
+      />
+      <input
+        className="border border-gray-300 p-1 rounded text-xs w-32"
+        type="password"
+        placeholder="Token (optional)"
+        value={tokenDraft}
+        onChange={(e) => setTokenDraft(e.target.value)}
+      />
+      <button
+        type="submit"
+        className="text-xs underline disabled:text-slate-300 disabled:no-underline"
+        disabled={!dirty}
+      >
+        {urlDraft.trim() || !serverUrl ? "Save" : "Disconnect"}
+      </button>
+    </form>
+  );
+}
+
+// Work → break timer for one task. Picking a task and the phase lengths when
+// idle; a countdown while running.
+function FocusTimer({
+  timer,
+  task,
+  candidates,
+  defaultTaskId,
+  workMinutes,
+  breakMinutes,
+  onChangeLengths,
+  onStart,
+  onStop,
+  onClose,
+}) {
+  const [pickedId, setPickedId] = useState(null);
+  const [clock, setClock] = useState(() => Date.now());
+  const taskId = candidates.some((t) => t.id === pickedId)
+    ? pickedId
+    : defaultTaskId;
+
+  useEffect(() => {
+    if (!timer) return;
+    const id = setInterval(() => setClock(Date.now()), 1000);
+    return () => clearInterval(id);
+  }, [timer]);
+
+  const remaining = timer
+    ? Math.max(
+        0,
+        Math.min(timer.endsAt - clock, timer.endsAt - timer.startedAt)
+      )
+    : 0;
+  const countdown = `${Math.floor(remaining / 60000)}:${String(
+    Math.floor(remaining / 1000) % 60
+  ).padStart(2, "0")}`;
+  const phase = timer?.phase;
+
+  // Keep the countdown readable from other browser tabs
+  useEffect(() => {
+    if (!phase) return;
+    const original = document.title;
+    document.title = `${countdown} · ${phase === "work" ? "Focus" : "Break"}`;
+    return () => {
+      document.title = original;
+    };
+  }, [countdown, phase]);
+
+  const minutesInput = (label, value, key, min) => (
+    <label className="flex items-center gap-1 text-xs text-slate-600">
+      {label}
+      <input
+        type="number"
+        className="w-14 border border-gray-300 rounded px-1 py-0.5 bg-white"
+        min={min}
+        max={180}
+        value={value}
+        onChange={(e) => {
+          const n = Math.round(Number(e.target.value));
+          if (Number.isFinite(n)) {
+            onChangeLengths({ [key]: Math.min(180, Math.max(min, n)) });
+          }
+        }}
+      />
+      min
+    </label>
+  );
+
+  return (
+    <div className="max-w-3xl mx-auto mb-4 flex flex-wrap items-center gap-3 border border-indigo-200 bg-indigo-50 rounded px-3 py-2 text-sm">
+      {timer ? (
+        <>
+          <span className="font-semibold text-indigo-800">
+            {timer.phase === "work" ? "Focus" : "Break"}
+          </span>
+          <span className="font-mono text-lg tabular-nums" role="timer">
+            {countdown}
+          </span>
+          <span className="flex-1 min-w-0 truncate text-slate-700">
+            {task ? task.text : "(task no longer exists)"}
+          </span>
+          <button className="text-xs underline text-slate-600" onClick={onStop}>
+            {timer.phase === "work" ? "Stop and log" : "Skip break"}
+          </button>
+        </>
+      ) : (
+        <>
+          <select
+            className="flex-1 min-w-[160px] border border-gray-300 rounded p-1 bg-white"
+            value={taskId ?? ""}
+            onChange={(e) =>
+              setPickedId(
+                candidates.find((t) => String(t.id) === e.target.value)?.id ??
+                  null
+              )
+            }
+            aria-label="Task to focus on"
+          >
+            {candidates.length === 0 && <option value="">No open tasks</option>}
+            {candidates.map((t) => (
+              <option key={t.id} value={t.id}>
+                {t.text}
+              </option>
+            ))}
+          </select>
+          {minutesInput("Work", workMinutes, "focusWorkMinutes", 1)}
+          {minutesInput("Break", breakMinutes, "focusBreakMinutes", 0)}
+          <button
+            className="px-3 py-1 rounded bg-indigo-600 text-white text-xs disabled:bg-slate-300"
+            onClick={() => onStart(taskId)}
+            disabled={taskId == null}
+          >
+            Start
+          </button>
+          <button
+            className="text-slate-400 hover:text-slate-700"
+            onClick={onClose}
+            title="Close"
+          >
+            ✕
+          </button>
+        </>
+      )}
+    </div>
+  );
+}
+
+function SnapshotBrowser({
+  snapshots,
+  tasks,
+  matrices,
+  formatAge,
+  onBackUp,
+  onRestore,
+}) {
+  const [comparingId, setComparingId] = useState(null);
+  const comparing = snapshots.find((s) => s.id === comparingId);
+  const diff = useMemo(
+    () => (comparing ? diffSnapshot(comparing, { tasks, matrices }) : null),
+    [comparing, tasks, matrices]
+  );
+
+  const newestFirst = [...snapshots].reverse();
+
+  return (
+    <div className="max-w-3xl mx-auto">
+      <div className="flex items-center justify-between mb-2">
+        <h2 className="font-bold text-gray-800">Backups</h2>
+        <div className="flex items-center gap-3">
+          <button
+            className="text-xs text-slate-600 underline"
+            onClick={onBackUp}
+          >
+            Back up now
+          </button>
+          <div className="text-xs text-slate-500">
+            {snapshots.length} snapshot{snapshots.length === 1 ? "" : "s"}
+          </div>
+        </div>
+      </div>
 
+      {newestFirst.length === 0 ? (
+        <div className="text-sm text-slate-500">No backups yet.</div>
+      ) : (
+        <div className="divide-y border rounded bg-white">
+          {newestFirst.map((s) => (
+            <div key={s.id} className="px-3 py-2 text-sm">
+              <div className="flex items-center gap-3">
+                <div className="flex-1 truncate text-slate-800">
+                  {new Date(s.createdAt).toLocaleString()}
+                </div>
+                <div className="text-[11px] text-slate-500 whitespace-nowrap">
+                  {SNAPSHOT_REASONS[s.reason] ?? s.reason}
+                </div>
+                <div className="text-[11px] text-slate-500 whitespace-nowrap">
+                  {s.tasks.length} task{s.tasks.length === 1 ? "" : "s"}
+                </div>
+                <div className="text-[11px] text-slate-400 whitespace-nowrap">
+                  {formatAge(s.createdAt)}
+                </div>
                 <button
-                  className="text-sm text-gray-600 underline"
-                  onClick={() => setShowDeleted((v) => !v)}
+                  className="text-[11px] text-indigo-600 underline whitespace-nowrap"
+                  onClick={() =>
+                    setComparingId((id) => (id === s.id ? null : s.id))
+                  }
                 >
-                  {showDeleted ? "Hide Deleted" : "Show Deleted"}
+                  {comparingId === s.id ? "Hide changes" : "Compare"}
                 </button>
-
                 <button
-                  className="text-sm text-gray-600 underline"
-                  onClick={exportData}
-                  title="Download your tasks + matrices as a JSON file"
+                  className="text-[11px] text-indigo-600 underline whitespace-nowrap"
+                  onClick={() => onRestore(s)}
                 >
-                  Export
+                  Restore
                 </button>
-
-                <label
-                  className="text-sm text-gray-600 underline cursor-pointer"
-                  title="Import tasks + matrices from a JSON export"
-                >
-                  Import
-                  <input
-                    type="file"
-                    accept="application/json"
-                    className="hidden"
-                    onChange={(e) => {
-                      const file = e.target.files?.[0];
-                      if (!file) return;
-                      importDataFromFile(file);
-                      e.target.value = "";
-                    }}
-                  />
-                </label>
               </div>
 
-              {(importError || importOk) && (
-                <div className="text-center">
-                  {importOk && (
-                    <div className="text-sm text-green-700">{importOk}</div>
-                  )}
-                  {importError && (
-                    <div className="text-sm text-red-700">{importError}</div>
-                  )}
-                </div>
-              )}
+              {comparingId === s.id && diff && <SnapshotDiff diff={diff} />}
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
+
+// Lists what restoring a snapshot would change, a few items per group
+function SnapshotDiff({ diff }) {
+  const groups = [
+    ["Would be removed (added since)", diff.added, (t) => t.text],
+    ["Would come back", diff.removed, (t) => t.text],
+    [
+      "Would revert",
+      diff.changed,
+      (c) => `${c.before.text} (${c.fields.join(", ")})`,
+    ],
+    ["Matrices removed", diff.matricesAdded, (m) => m.name],
+    ["Matrices back", diff.matricesRemoved, (m) => m.name],
+  ].filter(([, items]) => items.length > 0);
+
+  if (groups.length === 0) {
+    return (
+      <div className="mt-2 text-xs text-slate-500">
+        Same as your current data.
+      </div>
+    );
+  }
+
+  return (
+    <div className="mt-2 space-y-1 text-xs">
+      {groups.map(([label, items, describe]) => (
+        <div key={label}>
+          <span className="text-slate-700">
+            {label} ({items.length}):
+          </span>{" "}
+          <span className="text-slate-500">
+            {items.slice(0, 8).map(describe).join(" · ")}
+            {items.length > 8 && ` · +${items.length - 8} more`}
+          </span>
+        </div>
+      ))}
+    </div>
+  );
+}
+
+function UndoToast({ message, onUndo, onDismiss }) {
+  return (
+    <div
+      className="fixed bottom-6 left-1/2 -translate-x-1/2 flex items-center gap-4 bg-slate-800 text-white text-sm px-4 py-2 rounded shadow-lg"
+      role="status"
+    >
+      <span>{message}</span>
+      {onUndo && (
+        <button className="text-indigo-300 underline" onClick={onUndo}>
+          Undo
+        </button>
+      )}
+      <button
+        className="text-slate-400 hover:text-white"
+        onClick={onDismiss}
+        title="Dismiss"
+      >
+        ✕
+      </button>
+    </div>
+  );
+}
+
+function HighlightedText({ text, indices }) {
+  if (!indices?.length) return text;
+  const marked = new Set(indices);
+
+  // Group consecutive characters so each highlight is a single <mark>
+  const parts = [];
+  for (let i = 0; i < text.length; i += 1) {
+    const hit = marked.has(i);
+    const last = parts[parts.length - 1];
+    if (last && last.hit === hit) last.text += text[i];
+    else parts.push({ hit, text: text[i] });
+  }
+
+  return parts.map((p, idx) =>
+    p.hit ? (
+      <mark key={idx} className="bg-yellow-200 rounded-sm">
+        {p.text}
+      </mark>
+    ) : (
+      <span key={idx}>{p.text}</span>
+    )
+  );
+}
+
+function SearchPanel({
+  inputRef,
+  tasks,
+  search,
+  onChange,
+  matrices,
+  matrixNameById,
+  getIso,
+  formatAge,
+  onJump,
+  onUnarchive,
+  onRestore,
+}) {
+  const [showFilters, setShowFilters] = useState(false);
+  const set = (patch) => onChange({ ...search, ...patch });
+
+  const isActive =
+    search.query.trim() !== "" ||
+    Object.keys(DEFAULT_SEARCH).some(
+      (k) =>
+        k !== "query" && k !== "dateField" && search[k] !== DEFAULT_SEARCH[k]
+    );
+
+  const results = isActive ? searchTasks(tasks, search) : [];
+  const shown = results.slice(0, 50);
+  const selectClass = "border border-gray-300 p-1 rounded text-xs";
+
+  return (
+    <div className="max-w-3xl mx-auto mb-6">
+      <div className="flex gap-2 items-center">
+        <input
+          ref={inputRef}
+          className="border border-gray-300 p-2 rounded flex-1 text-sm"
+          placeholder="Search all tasks (/)"
+          value={search.query}
+          onChange={(e) => set({ query: e.target.value })}
+          onKeyDown={(e) => {
+            if (e.key === "Escape") {
+              onChange(DEFAULT_SEARCH);
+              e.currentTarget.blur();
+            }
+          }}
+        />
+        <button
+          className="text-xs text-slate-600 underline"
+          onClick={() => setShowFilters((v) => !v)}
+        >
+          {showFilters ? "Hide filters" : "Filters"}
+        </button>
+        {isActive && (
+          <button
+            className="text-xs text-slate-600 underline"
+            onClick={() => onChange(DEFAULT_SEARCH)}
+          >
+            Clear
+          </button>
+        )}
+      </div>
+
+      {showFilters && (
+        <div className="flex flex-wrap gap-2 items-center mt-2 text-xs text-slate-600">
+          <select
+            className={selectClass}
+            value={search.matrixId}
+            onChange={(e) => set({ matrixId: e.target.value })}
+          >
+            <option value="all">All matrices</option>
+            {matrices.map((m) => (
+              <option key={m.id} value={m.id}>
+                {m.name}
+              </option>
+            ))}
+          </select>
+
+          <select
+            className={selectClass}
+            value={search.quadrant}
+            onChange={(e) => set({ quadrant: e.target.value })}
+          >
+            <option value="all">All quadrants</option>
+            {QUADRANTS.map((q) => (
+              <option key={q.id} value={q.id}>
+                {q.label}
+              </option>
+            ))}
+          </select>
+
+          <select
+            className={selectClass}
+            value={search.status}
+            onChange={(e) => set({ status: e.target.value })}
+          >
+            <option value="all">Any status</option>
+            <option value="Not Done">Open</option>
+            <option value="Completed">Completed</option>
+            <option value="Archived">Archived</option>
+            <option value="Deleted">Deleted</option>
+          </select>
+
+          <select
+            className={selectClass}
+            value={search.dateField}
+            onChange={(e) => set({ dateField: e.target.value })}
+          >
+            <option value="created">Created</option>
+            <option value="archived">Archived</option>
+            <option value="deleted">Deleted</option>
+          </select>
+          <input
+            type="date"
+            className={selectClass}
+            value={search.from}
+            onChange={(e) => set({ from: e.target.value })}
+            title="From"
+          />
+          <span>–</span>
+          <input
+            type="date"
+            className={selectClass}
+            value={search.to}
+            onChange={(e) => set({ to: e.target.value })}
+            title="To"
+          />
+        </div>
+      )}
+
+      {isActive && (
+        <div className="mt-2">
+          <div className="text-xs text-slate-500 mb-1">
+            {results.length} match{results.length === 1 ? "" : "es"}
+            {results.length > shown.length ? ` (showing ${shown.length})` : ""}
+          </div>
 
-              {(showArchived || showDeleted) && (
-                <div className="max-w-3xl mx-auto space-y-6">
-                  {showArchived && (
-                    <HistoryList
-                      title="Archived"
-                      kind="archived"
-                      tasks={tasks}
-                      matrixNameById={matrixNameById}
-                      sort={historySort}
-                      onChangeSort={setHistorySort}
-                      getIso={getHistoryIso}
-                      formatAge={formatAge}
-                      onPrimaryAction={(id) => unarchiveTask(id)}
-                      primaryActionLabel="Unarchive"
-                    />
-                  )}
+          {shown.length > 0 && (
+            <div className="divide-y border rounded bg-white max-h-80 overflow-y-auto">
+              {shown.map(({ task, indices }) => {
+                const kind = task.status.toLowerCase();
+                return (
+                  <div
+                    key={task.id}
+                    className="flex items-center gap-3 px-3 py-2 text-sm"
+                  >
+                    <div
+                      className={`flex-1 truncate ${
+                        task.status === "Not Done"
+                          ? "text-slate-800"
+                          : "text-slate-500"
+                      }`}
+                    >
+                      <HighlightedText text={task.text} indices={indices} />
+                    </div>
+                    <div className="text-[11px] text-slate-500 whitespace-nowrap">
+                      {matrixNameById.get(task.matrixId) ?? "Unknown"} ·{" "}
+                      {QUADRANTS.find((q) => q.id === quadrantOf(task))?.label}
+                    </div>
+                    <div className="text-[11px] text-slate-400 whitespace-nowrap">
+                      {task.status === "Not Done" ? "Open" : task.status} ·{" "}
+                      {formatAge(getIso(task, kind))}
+                    </div>
+                    {task.status === "Archived" ? (
+                      <button
+                        className="text-[11px] text-indigo-600 underline whitespace-nowrap"
+                        onClick={() => onUnarchive(task.id)}
+                      >
+                        Unarchive
+                      </button>
+                    ) : task.status === "Deleted" ? (
+                      <button
+                        className="text-[11px] text-indigo-600 underline whitespace-nowrap"
+                        onClick={() => onRestore(task.id)}
+                      >
+                        Restore
+                      </button>
+                    ) : (
+                      <button
+                        className="text-[11px] text-indigo-600 underline whitespace-nowrap"
+                        onClick={() => onJump(task)}
+                      >
+                        Show
+                      </button>
+                    )}
+                  </div>
+                );
+              })}
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
 
-                  {showDeleted && (
-                    <HistoryList
-                      title="Deleted"
-                      kind="deleted"
-                      tasks={tasks}
-                      matrixNameById={matrixNameById}
-                      sort={historySort}
-                      onChangeSort={setHistorySort}
-                      getIso={getHistoryIso}
-                      formatAge={formatAge}
-                      onPrimaryAction={null}
-                      primaryActionLabel=""
-                      onClearDeleted={() =>
-                        setTasks(tasks.filter((t) => t.status !== "Deleted"))
-                      }
+// Throughput, quadrant balance, time to complete and the oldest open tasks.
+// Charts are plain bars; nothing leaves the browser.
+function StatsDashboard({ tasks, matrices, now, onOpenTask }) {
+  const stats = useMemo(() => computeStats(tasks, now), [tasks, now]);
+
+  const colorOf = new Map(
+    matrices.map((m, idx) => [m.id, MATRIX_COLORS[matrixColorKey(m, idx)].bar])
+  );
+  const charted = matrices.filter((m) =>
+    stats.weeks.some((w) => w.byMatrix[m.id])
+  );
+  const maxWeek = Math.max(1, ...stats.weeks.map((w) => w.total));
+  const totalOpen = stats.quadrants.reduce((sum, q) => sum + q.open, 0);
+  const totalDone = stats.quadrants.reduce((sum, q) => sum + q.completed, 0);
+  const share = (n, total) => (total ? Math.round((n / total) * 100) : 0);
+  const formatDays = (days) =>
+    days == null ? "–" : days < 1 ? "< 1 day" : `${Math.round(days)} d`;
+
+  return (
+    <div className="max-w-3xl mx-auto space-y-6">
+      <h2 className="font-bold text-gray-800">Stats</h2>
+
+      <section>
+        <h3 className="text-sm font-semibold text-gray-700 mb-2">
+          Completed per week
+        </h3>
+        <div
+          className="flex items-end gap-2 h-32 border-b border-slate-300"
+          role="img"
+          aria-label={stats.weeks
+            .map(
+              (w) =>
+                `Week of ${new Date(w.start).toLocaleDateString()}: ${w.total}`
+            )
+            .join(", ")}
+        >
+          {stats.weeks.map((w) => (
+            <div
+              key={w.start}
+              className="flex-1 flex flex-col-reverse"
+              style={{ height: `${(w.total / maxWeek) * 100}%` }}
+              title={`${w.total} completed`}
+            >
+              {charted.map(
+                (m) =>
+                  w.byMatrix[m.id] > 0 && (
+                    <div
+                      key={m.id}
+                      className={colorOf.get(m.id)}
+                      style={{
+                        height: `${(w.byMatrix[m.id] / w.total) * 100}%`,
+                      }}
+                      title={`${m.name}: ${w.byMatrix[m.id]}`}
                     />
-                  )}
-                </div>
+                  )
               )}
             </div>
-          </details>
+          ))}
         </div>
-      </div>
+        <div className="flex gap-2 mt-1 text-[10px] text-slate-500">
+          {stats.weeks.map((w) => (
+            <div key={w.start} className="flex-1 text-center">
+              {new Date(w.start).toLocaleDateString(undefined, {
+                month: "short",
+                day: "numeric",
+              })}
+            </div>
+          ))}
+        </div>
+        {charted.length > 0 ? (
+          <div className="flex flex-wrap gap-3 mt-2 text-xs text-slate-600">
+            {charted.map((m) => (
+              <span key={m.id} className="flex items-center gap-1">
+                <span
+                  className={`inline-block w-3 h-3 rounded ${colorOf.get(m.id)}`}
+                />
+                {m.name}
+              </span>
+            ))}
+          </div>
+        ) : (
+          <div className="text-xs text-slate-500 mt-2">
+            Nothing completed in the last {stats.weeks.length} weeks. Only tasks
+            completed since completion times were recorded count.
+          </div>
+        )}
+      </section>
+
+      <section>
+        <h3 className="text-sm font-semibold text-gray-700 mb-2">
+          Quadrant balance
+        </h3>
+        <div className="grid grid-cols-[auto_1fr_auto_1fr_auto] gap-x-2 gap-y-1 items-center text-xs text-slate-600">
+          <span />
+          <span className="font-medium">Open now</span>
+          <span />
+          <span className="font-medium">
+            Completed ({stats.weeks.length} weeks)
+          </span>
+          <span className="font-medium text-right">Median time to done</span>
+          {stats.quadrants.map((q) => (
+            <Fragment key={q.id}>
+              <span className="whitespace-nowrap">{q.label}</span>
+              <div className="h-3 bg-slate-100 rounded">
+                <div
+                  className="h-3 rounded bg-slate-500"
+                  style={{ width: `${share(q.open, totalOpen)}%` }}
+                />
+              </div>
+              <span className="tabular-nums text-right">
+                {q.open} · {share(q.open, totalOpen)}%
+              </span>
+              <div className="h-3 bg-slate-100 rounded">
+                <div
+                  className="h-3 rounded bg-green-500"
+                  style={{ width: `${share(q.completed, totalDone)}%` }}
+                />
+              </div>
+              <span
+                className="tabular-nums text-right"
+                title={`${q.completed} completed; median over ${q.measured} task${
+                  q.measured === 1 ? "" : "s"
+                }`}
+              >
+                {formatDays(q.medianDays)}
+              </span>
+            </Fragment>
+          ))}
+        </div>
+      </section>
+
+      <section>
+        <h3 className="text-sm font-semibold text-gray-700 mb-2">
+          Oldest open tasks
+        </h3>
+        {stats.oldestOpen.length === 0 ? (
+          <div className="text-xs text-slate-500">No open tasks.</div>
+        ) : (
+          <ul className="text-sm space-y-1">
+            {stats.oldestOpen.map(({ task, ageDays }) => (
+              <li key={task.id} className="flex items-center gap-2">
+                <span className="text-xs text-slate-500 w-14 tabular-nums">
+                  {formatDays(ageDays)}
+                </span>
+                <button
+                  className="flex-1 text-left hover:underline truncate"
+                  onClick={() => onOpenTask(task)}
+                  title="Show in the grid"
+                >
+                  {task.text}
+                </button>
+                <span className="text-xs text-slate-500">
+                  {quadrantLabelOf(task)}
+                </span>
+              </li>
+            ))}
+          </ul>
+        )}
+      </section>
     </div>
   );
 }
@@ -1209,6 +7367,8 @@ function HistoryList({
   formatAge,
   onPrimaryAction,
   primaryActionLabel,
+  onBulkAction,
+  onOpenTask,
   onClearDeleted,
 }) {
   const items = tasks
@@ -1224,6 +7384,8 @@ function HistoryList({
       const bt = b._iso ? new Date(b._iso).getTime() : 0;
       return sort === "new" ? bt - at : at - bt;
     });
+  const selection = useCheckedIds(items.map((t) => t.id));
+  const checkedIds = selection.checkedIds;
 
   return (
     <div>
@@ -1231,6 +7393,18 @@ function HistoryList({
         <h2 className="font-bold text-gray-800">{title}</h2>
 
         <div className="flex items-center gap-3">
+          {onBulkAction && checkedIds.length > 0 && (
+            <button
+              className="text-xs text-indigo-600 underline"
+              onClick={() => {
+                onBulkAction(checkedIds);
+                selection.clear();
+              }}
+            >
+              {primaryActionLabel} {checkedIds.length}
+            </button>
+          )}
+
           <div className="flex items-center gap-2">
             <span className="text-xs text-slate-500">Sort</span>
             <select
@@ -1253,46 +7427,607 @@ function HistoryList({
             </button>
           )}
 
-          <div className="text-xs text-slate-500">
-            {items.length} item{items.length === 1 ? "" : "s"}
-          </div>
-        </div>
-      </div>
+          <div className="text-xs text-slate-500">
+            {items.length} item{items.length === 1 ? "" : "s"}
+          </div>
+        </div>
+      </div>
+
+      {items.length === 0 ? (
+        <div className="text-sm text-slate-500">
+          No {title.toLowerCase()} tasks.
+        </div>
+      ) : (
+        <div className="divide-y border rounded bg-white">
+          {onBulkAction && (
+            <label className="flex items-center gap-3 px-3 py-1 text-[11px] text-slate-500">
+              <SelectAllCheckbox
+                ids={items.map((t) => t.id)}
+                selection={selection}
+                label={`Select all ${title.toLowerCase()} tasks`}
+              />
+              Select all
+            </label>
+          )}
+          {items.map((task) => {
+            const matrixName = matrixNameById.get(task.matrixId) ?? "Unknown";
+            const age = formatAge(task._iso);
+            return (
+              <div
+                key={task.id}
+                className="flex items-center gap-3 px-3 py-2 text-sm"
+              >
+                {onBulkAction && (
+                  <input
+                    type="checkbox"
+                    checked={selection.isChecked(task.id)}
+                    onChange={(e) =>
+                      selection.toggle(task.id, e.nativeEvent.shiftKey)
+                    }
+                    aria-label={`Select “${task.text}”`}
+                  />
+                )}
+                {onOpenTask ? (
+                  <button
+                    className="flex-1 truncate text-left text-slate-800 hover:underline"
+                    onClick={() => onOpenTask(task.id)}
+                    title="Details and notes"
+                  >
+                    {task.notes && "📝 "}
+                    {task.text}
+                  </button>
+                ) : (
+                  <div className="flex-1 truncate text-slate-800">
+                    {task.text}
+                  </div>
+                )}
+                {kind === "archived" && task.completedAt && (
+                  <div
+                    className="text-[11px] text-green-700 whitespace-nowrap"
+                    title={`Completed ${new Date(
+                      task.completedAt
+                    ).toLocaleString()}${
+                      task.autoArchived ? ", then archived automatically" : ""
+                    }`}
+                  >
+                    ✓ {new Date(task.completedAt).toLocaleDateString()}
+                    {task.autoArchived && " · auto"}
+                  </div>
+                )}
+                <div className="text-[11px] text-slate-500 whitespace-nowrap">
+                  {matrixName}
+                </div>
+                <div className="text-[11px] text-slate-400 whitespace-nowrap">
+                  {age}
+                </div>
+                {onPrimaryAction && (
+                  <button
+                    className="text-[11px] text-indigo-600 underline whitespace-nowrap"
+                    onClick={() => onPrimaryAction(task.id)}
+                  >
+                    {primaryActionLabel}
+                  </button>
+                )}
+              </div>
+            );
+          })}
+        </div>
+      )}
+    </div>
+  );
+}
+
+function ImportPreview({
+  preview,
+  mode,
+  matrixNameById,
+  onChangeFixMode,
+  onConfirm,
+  onCancel,
+}) {
+  const { data, records } = useMemo(
+    () => checkImport(preview.raw, preview.fixMode),
+    [preview.raw, preview.fixMode]
+  );
+  const skipped = records.filter((r) => !r.kept).length;
+
+  // Tasks per matrix and status, in the file's matrix order (the defaults are
+  // always re-added, so they count too)
+  const rows = [
+    ...data.matrices,
+    ...DEFAULT_MATRICES.filter(
+      (d) => !data.matrices.some((m) => m.id === d.id)
+    ),
+  ]
+    .map((m) => {
+      const own = data.tasks.filter((t) => t.matrixId === m.id);
+      const count = (status) => own.filter((t) => t.status === status).length;
+      return {
+        id: m.id,
+        name: m.name,
+        open: count("Not Done"),
+        completed: count("Completed"),
+        archived: count("Archived"),
+        deleted: count("Deleted"),
+      };
+    })
+    .filter((row) => row.open + row.completed + row.archived + row.deleted);
+  const unassigned = data.tasks.filter((t) => !t.matrixId).length;
+
+  return (
+    <div className="max-w-3xl mx-auto space-y-3">
+      <div className="flex items-center justify-between">
+        <h2 className="font-bold text-gray-800">Import “{preview.fileName}”</h2>
+        <div className="text-xs text-slate-500">
+          {data.matrices.length} matrices · {data.tasks.length} tasks
+          {skipped > 0 && ` · ${skipped} skipped`}
+        </div>
+      </div>
+
+      {rows.length > 0 && (
+        <div className="divide-y border rounded bg-white text-sm">
+          {rows.map((row) => (
+            <div key={row.id} className="flex items-center gap-3 px-3 py-1.5">
+              <div className="flex-1 truncate text-slate-800">
+                {row.name}
+                {!matrixNameById.has(row.id) && (
+                  <span className="ml-2 text-[11px] text-indigo-600">new</span>
+                )}
+              </div>
+              <div className="text-[11px] text-slate-500 whitespace-nowrap">
+                {row.open} open · {row.completed} done · {row.archived} archived
+                · {row.deleted} deleted
+              </div>
+            </div>
+          ))}
+        </div>
+      )}
+      {unassigned > 0 && (
+        <div className="text-xs text-slate-500">
+          {unassigned} task{unassigned === 1 ? "" : "s"} from an older format
+          will be sorted into matrices on import.
+        </div>
+      )}
+
+      {records.length === 0 ? (
+        <div className="text-sm text-green-700">No problems found.</div>
+      ) : (
+        <div>
+          <div className="flex flex-wrap items-center justify-between gap-2 mb-2">
+            <div className="text-sm text-red-700">
+              {records.length} record{records.length === 1 ? " has" : "s have"}{" "}
+              problems
+            </div>
+            <div className="flex gap-3 text-xs text-slate-600">
+              <label className="flex items-center gap-1">
+                <input
+                  type="radio"
+                  checked={preview.fixMode === "fix"}
+                  onChange={() => onChangeFixMode("fix")}
+                />
+                Fix up where possible
+              </label>
+              <label className="flex items-center gap-1">
+                <input
+                  type="radio"
+                  checked={preview.fixMode === "skip"}
+                  onChange={() => onChangeFixMode("skip")}
+                />
+                Skip bad records
+              </label>
+            </div>
+          </div>
+
+          <div className="divide-y border rounded bg-white max-h-64 overflow-y-auto">
+            {records.map((r, idx) => (
+              <div key={idx} className="flex items-start gap-3 px-3 py-1.5">
+                <div className="flex-1 min-w-0 text-sm">
+                  <div className="truncate text-slate-800">{r.label}</div>
+                  <div className="text-[11px] text-slate-500">
+                    {r.issues.join("; ")}
+                  </div>
+                </div>
+                <div
+                  className={`text-[11px] whitespace-nowrap ${
+                    r.kept ? "text-amber-700" : "text-red-700"
+                  }`}
+                >
+                  {r.kept ? "fixed" : "skipped"}
+                </div>
+              </div>
+            ))}
+          </div>
+        </div>
+      )}
+
+      <div className="flex justify-end gap-3 text-sm">
+        <button className="text-slate-600 underline" onClick={onCancel}>
+          Cancel
+        </button>
+        <button
+          className="bg-indigo-600 text-white px-3 py-1 rounded disabled:opacity-50"
+          onClick={onConfirm}
+          disabled={data.tasks.length === 0 && data.matrices.length === 0}
+        >
+          {mode === "merge" ? "Review merge" : "Replace my data"}
+        </button>
+      </div>
+    </div>
+  );
+}
+
+function MergeImportReview({
+  review,
+  matrixNameById,
+  onChoose,
+  onChooseAll,
+  onConfirm,
+  onCancel,
+}) {
+  const { plan, choices } = review;
+  const nothingToDo =
+    plan.addedMatrices.length === 0 &&
+    plan.added.length === 0 &&
+    plan.updated.length === 0 &&
+    plan.conflicts.length === 0;
+
+  // Plan matrices include the ones the merge would add
+  const matrixName = (id) =>
+    matrixNameById.get(id) ??
+    plan.addedMatrices.find((m) => m.id === id)?.name ??
+    "Unknown";
+
+  const describe = (t) =>
+    [
+      matrixName(t.matrixId),
+      quadrantLabelOf(t),
+      t.status,
+      t.dueDate && `due ${formatDue(t)}`,
+    ]
+      .filter(Boolean)
+      .join(" · ");
+
+  const counts = [
+    [plan.addedMatrices.length, "new matrix", "new matrices"],
+    [plan.added.length, "task added", "tasks added"],
+    [plan.updated.length, "task updated", "tasks updated"],
+    [plan.conflicts.length, "conflict", "conflicts"],
+    [plan.unchanged, "unchanged", "unchanged"],
+  ];
+
+  return (
+    <div className="max-w-3xl mx-auto space-y-3">
+      <div className="flex items-center justify-between">
+        <h2 className="font-bold text-gray-800">Merge “{review.fileName}”</h2>
+        <div className="text-xs text-slate-500">
+          {counts
+            .map(([n, one, many]) => `${n} ${n === 1 ? one : many}`)
+            .join(" · ")}
+        </div>
+      </div>
+
+      {plan.addedMatrices.length > 0 && (
+        <div className="text-sm text-slate-600">
+          New matrices: {plan.addedMatrices.map((m) => m.name).join(", ")}
+        </div>
+      )}
+
+      {plan.conflicts.length > 0 && (
+        <div>
+          <div className="flex items-center justify-between mb-2">
+            <div className="text-sm text-slate-700">
+              Changed on both sides. Pick the version to keep:
+            </div>
+            <div className="flex gap-3 text-xs">
+              <button
+                className="text-slate-600 underline"
+                onClick={() => onChooseAll("local")}
+              >
+                Keep all mine
+              </button>
+              <button
+                className="text-slate-600 underline"
+                onClick={() => onChooseAll("incoming")}
+              >
+                Use all imported
+              </button>
+            </div>
+          </div>
+
+          <div className="divide-y border rounded bg-white">
+            {plan.conflicts.map(({ local, incoming }) => {
+              const choice = choices[local.id] ?? "local";
+              return (
+                <div
+                  key={local.id}
+                  className="grid grid-cols-2 gap-3 px-3 py-2 text-sm"
+                >
+                  {[
+                    ["local", "Mine", local],
+                    ["incoming", "Imported", incoming],
+                  ].map(([value, label, t]) => (
+                    <label
+                      key={value}
+                      className={`flex items-start gap-2 rounded p-1 cursor-pointer ${
+                        choice === value ? "bg-indigo-50" : ""
+                      }`}
+                    >
+                      <input
+                        type="radio"
+                        className="mt-1"
+                        name={`merge-${local.id}`}
+                        checked={choice === value}
+                        onChange={() => onChoose(local.id, value)}
+                      />
+                      <span className="min-w-0">
+                        <span className="block text-[11px] text-slate-500">
+                          {label}
+                        </span>
+                        <span className="block truncate text-slate-800">
+                          {t.text}
+                        </span>
+                        <span className="block text-[11px] text-slate-500">
+                          {describe(t)}
+                        </span>
+                      </span>
+                    </label>
+                  ))}
+                </div>
+              );
+            })}
+          </div>
+        </div>
+      )}
+
+      <div className="flex justify-end gap-3 text-sm">
+        <button className="text-slate-600 underline" onClick={onCancel}>
+          Cancel
+        </button>
+        <button
+          className="bg-indigo-600 text-white px-3 py-1 rounded disabled:opacity-50"
+          onClick={onConfirm}
+          disabled={nothingToDo}
+        >
+          {nothingToDo ? "Nothing new to merge" : "Merge"}
+        </button>
+      </div>
+    </div>
+  );
+}
+
+function TagManager({ tags, tagColors, onRename, onRecolor }) {
+  return (
+    <div>
+      <h2 className="font-bold text-gray-800 mb-2">Tags</h2>
+      <div className="divide-y border rounded bg-white">
+        {tags.map(({ name, count }) => (
+          <TagManagerRow
+            key={name}
+            name={name}
+            count={count}
+            otherTags={tags.filter((t) => t.name !== name)}
+            tagColors={tagColors}
+            onRename={onRename}
+            onRecolor={onRecolor}
+          />
+        ))}
+      </div>
+    </div>
+  );
+}
+
+function TagManagerRow({
+  name,
+  count,
+  otherTags,
+  tagColors,
+  onRename,
+  onRecolor,
+}) {
+  const [draft, setDraft] = useState(name);
+  const color = tagColorKey(name, tagColors);
+
+  const commitRename = () => {
+    const next = slugify(draft);
+    if (next && next !== name) onRename(name, next);
+    else setDraft(name);
+  };
+
+  return (
+    <div className="flex flex-wrap items-center gap-3 px-3 py-2 text-sm">
+      <TagChip tag={name} tagColors={tagColors} />
+      <span className="text-[11px] text-slate-400">
+        {count} task{count === 1 ? "" : "s"}
+      </span>
+
+      <input
+        className="border border-gray-300 p-1 rounded text-xs w-32"
+        value={draft}
+        onChange={(e) => setDraft(e.target.value)}
+        onBlur={commitRename}
+        onKeyDown={(e) => {
+          if (e.key === "Enter") commitRename();
+          if (e.key === "Escape") setDraft(name);
+        }}
+        title="Rename (renaming onto an existing tag merges them)"
+      />
+
+      <div className="flex gap-0.5">
+        {Object.entries(TAG_COLORS).map(([key, className]) => (
+          <button
+            key={key}
+            className={`w-4 h-4 rounded ${className} ${
+              key === color ? "ring-2 ring-slate-500" : ""
+            }`}
+            onClick={() => onRecolor(name, key)}
+            title={key}
+          />
+        ))}
+      </div>
+
+      {otherTags.length > 0 && (
+        <select
+          className="border border-gray-300 p-1 rounded text-xs"
+          value=""
+          onChange={(e) => e.target.value && onRename(name, e.target.value)}
+          title="Merge this tag into another"
+        >
+          <option value="">Merge into…</option>
+          {otherTags.map((t) => (
+            <option key={t.name} value={t.name}>
+              {t.name}
+            </option>
+          ))}
+        </select>
+      )}
+
+      <button
+        className="text-xs text-red-600 underline ml-auto"
+        onClick={() => onRename(name, "")}
+        title="Remove this tag from every task"
+      >
+        Delete
+      </button>
+    </div>
+  );
+}
+
+// Every matrix, pinned ones first in toggle-bar order. The default matrices
+// can be renamed and unpinned but not deleted.
+function MatrixManager({
+  matrices,
+  taskCounts,
+  onRename,
+  onSetPinned,
+  onMove,
+  onRecolor,
+}) {
+  const groups = [
+    ["Pinned (toggle bar)", matrices.filter((m) => m.pinned)],
+    ["Others (Focus)", matrices.filter((m) => !m.pinned)],
+  ];
 
-      {items.length === 0 ? (
-        <div className="text-sm text-slate-500">
-          No {title.toLowerCase()} tasks.
-        </div>
-      ) : (
-        <div className="divide-y border rounded bg-white">
-          {items.map((task) => {
-            const matrixName = matrixNameById.get(task.matrixId) ?? "Unknown";
-            const age = formatAge(task._iso);
-            return (
-              <div
-                key={task.id}
-                className="flex items-center gap-3 px-3 py-2 text-sm"
-              >
-                <div className="flex-1 truncate text-slate-800">{task.text}</div>
-                <div className="text-[11px] text-slate-500 whitespace-nowrap">
-                  {matrixName}
-                </div>
-                <div className="text-[11px] text-slate-400 whitespace-nowrap">
-                  {age}
+  return (
+    <div>
+      <h2 className="font-bold text-gray-800 mb-2">Matrices</h2>
+      <div className="space-y-3">
+        {groups.map(
+          ([label, list]) =>
+            list.length > 0 && (
+              <div key={label}>
+                <h3 className="text-xs text-slate-500 mb-1">{label}</h3>
+                <div className="divide-y border rounded bg-white">
+                  {list.map((m, idx) => (
+                    <MatrixManagerRow
+                      key={m.id}
+                      matrix={m}
+                      count={taskCounts.get(m.id) ?? 0}
+                      isFirst={idx === 0}
+                      isLast={idx === list.length - 1}
+                      onRename={onRename}
+                      onSetPinned={onSetPinned}
+                      onMove={onMove}
+                      onRecolor={onRecolor}
+                    />
+                  ))}
                 </div>
-                {onPrimaryAction && (
-                  <button
-                    className="text-[11px] text-indigo-600 underline whitespace-nowrap"
-                    onClick={() => onPrimaryAction(task.id)}
-                  >
-                    {primaryActionLabel}
-                  </button>
-                )}
               </div>
-            );
-          })}
-        </div>
-      )}
+            )
+        )}
+      </div>
+    </div>
+  );
+}
+
+function MatrixManagerRow({
+  matrix,
+  count,
+  isFirst,
+  isLast,
+  onRename,
+  onSetPinned,
+  onMove,
+  onRecolor,
+}) {
+  const [draft, setDraft] = useState(matrix.name);
+
+  // Follow renames made elsewhere (undo, another tab)
+  useEffect(() => {
+    setDraft(matrix.name);
+  }, [matrix.name]);
+
+  const commitRename = () => {
+    if (draft.trim()) onRename(matrix.id, draft);
+    else setDraft(matrix.name);
+  };
+
+  return (
+    <div className="flex flex-wrap items-center gap-3 px-3 py-2 text-sm">
+      <div className="flex flex-col leading-none">
+        <button
+          className="text-xs text-slate-400 hover:text-slate-700 disabled:opacity-30"
+          onClick={() => onMove(matrix.id, -1)}
+          disabled={isFirst}
+          aria-label={`Move ${matrix.name} up`}
+        >
+          ▲
+        </button>
+        <button
+          className="text-xs text-slate-400 hover:text-slate-700 disabled:opacity-30"
+          onClick={() => onMove(matrix.id, 1)}
+          disabled={isLast}
+          aria-label={`Move ${matrix.name} down`}
+        >
+          ▼
+        </button>
+      </div>
+
+      <input
+        className="border border-gray-300 p-1 rounded text-xs w-40"
+        value={draft}
+        onChange={(e) => setDraft(e.target.value)}
+        onBlur={commitRename}
+        onKeyDown={(e) => {
+          if (e.key === "Enter") commitRename();
+          if (e.key === "Escape") setDraft(matrix.name);
+        }}
+        title="Rename"
+        aria-label={`Name of ${matrix.name}`}
+      />
+      <span className="text-[11px] text-slate-400">
+        {count} task{count === 1 ? "" : "s"}
+      </span>
+
+      <div className="flex gap-0.5">
+        {Object.entries(MATRIX_COLORS).map(([key, { bar }]) => (
+          <button
+            key={key}
+            className={`w-4 h-4 rounded ${bar} ${
+              key === matrix.color ? "ring-2 ring-slate-500" : ""
+            }`}
+            onClick={() => onRecolor(matrix.id, key)}
+            title={key}
+            aria-label={`Colour ${matrix.name} ${key}`}
+            aria-pressed={key === matrix.color}
+          />
+        ))}
+        {matrix.color && (
+          <button
+            className="text-[11px] text-slate-500 underline ml-1"
+            onClick={() => onRecolor(matrix.id, null)}
+            title="No colour (plain badge)"
+          >
+            None
+          </button>
+        )}
+      </div>
+
+      <button
+        className="text-xs text-indigo-600 underline ml-auto"
+        onClick={() => onSetPinned(matrix.id, !matrix.pinned)}
+      >
+        {matrix.pinned ? "Unpin" : "Pin"}
+      </button>
     </div>
   );
 }
@@ -1346,12 +8081,1018 @@ function runDevTests() {
 
   const moved = arrayMove(["a", "b", "c"], 0, 2);
   assert("arrayMove moves element", moved.join(",") === "b,c,a");
+
+  assert(
+    "quadrantOf reads both axes",
+    quadrantOf({ important: false, urgent: true }) === "delegate"
+  );
+  assert(
+    "quadrantAxes round-trips",
+    quadrantOf(quadrantAxes("schedule")) === "schedule"
+  );
+
+  const dueTask = {
+    status: "Not Done",
+    important: true,
+    urgent: false,
+    dueDate: "2030-01-02",
+    dueTime: "09:30",
+  };
+  const dueMs = new Date(2030, 0, 2, 9, 30).getTime();
+  assert("getDueMs reads date + time", getDueMs(dueTask) === dueMs);
+  assert(
+    "getDueState flags overdue",
+    getDueState(dueTask, dueMs + 1) === "overdue"
+  );
+  assert(
+    "escalation fires near the deadline",
+    findEscalationRule(dueTask, dueMs - 60 * 60 * 1000)?.to === "do"
+  );
+  assert(
+    "escalation only fires once per deadline",
+    findEscalationRule(
+      { ...dueTask, escalatedFor: dueKey(dueTask) },
+      dueMs - 60 * 60 * 1000
+    ) === null
+  );
+
+  const subs = normalizeSubtasks(["a", { id: 5, text: "b", done: 1 }, null]);
+  assert(
+    "normalizeSubtasks keeps order + ids",
+    subs.map((s) => `${s.id}:${s.text}:${s.done}`).join(",") ===
+      "6:a:false,5:b:true"
+  );
+
+  const quick = parseQuickAdd(
+    'Call Sam #"Project XYZ" !1 on fri at 3pm',
+    [...DEFAULT_MATRICES, { id: "project-xyz", name: "Project XYZ" }],
+    new Date(2030, 0, 2, 9)
+  );
+  assert(
+    "parseQuickAdd strips tokens",
+    quick.text === "Call Sam" &&
+      quick.matrixId === "project-xyz" &&
+      quick.quadrant === "do" &&
+      quick.dueDate === "2030-01-04" &&
+      quick.dueTime === "15:00"
+  );
+  assert(
+    "parseQuickAdd leaves unknown tokens",
+    parseQuickAdd("Fix #42 !soon", DEFAULT_MATRICES).text === "Fix #42 !soon"
+  );
+  const quickAt = (text) =>
+    parseQuickAdd(text, DEFAULT_MATRICES, new Date(2030, 0, 2, 9));
+  assert(
+    "parseQuickAdd keeps words that only look like dates",
+    ["Buy sun cream", "Pick up wed dress", "Buy 1/2 kg flour", "Run 10:30 km"]
+      .map(quickAt)
+      .every((q, idx, all) => q.text === all[idx].textWithDue && !q.dueDate)
+  );
+  assert(
+    "parseQuickAdd reads short dates after due / on and full weekday names",
+    quickAt("Pay due sun").dueDate === "2030-01-06" &&
+      quickAt("Pay due sun").text === "Pay" &&
+      quickAt("Meet on 3/14").dueDate === "2030-03-14" &&
+      quickAt("Call sunday").dueDate === "2030-01-06" &&
+      quickAt("Call at 10:30").dueTime === "10:30"
+  );
+  assert(
+    "parseQuickAdd rejects dates that don't exist",
+    !quickAt("Pay on 13/45").dueDate &&
+      quickAt("Pay on 13/45").text === "Pay on 13/45" &&
+      !quickAt("Pay 2030-02-30").dueDate
+  );
+  const callSam = quickAt("Call Sam fri 3pm");
+  assert(
+    "parseQuickAdd reads a weekday followed by a time as one date",
+    callSam.text === "Call Sam" &&
+      callSam.dueDate === "2030-01-04" &&
+      callSam.dueTime === "15:00" &&
+      quickAt("Call Sam tomorrow at 9:00 about rent").text ===
+        "Call Sam about rent"
+  );
+  assert(
+    "parseQuickAdd leaves bare date and time words mid-sentence alone",
+    ["Buy 3pm snacks", "Watch today show", "Plan the monday meeting"]
+      .map(quickAt)
+      .every((q, idx, all) => q.text === all[idx].textWithDue && !q.dueDate)
+  );
+  assert(
+    "parseQuickAdd reads bare date and time words at the end",
+    quickAt("Plan the meeting monday").dueDate === "2030-01-07" &&
+      quickAt("Plan the meeting monday").text === "Plan the meeting" &&
+      quickAt("Buy snacks 3pm").dueTime === "15:00" &&
+      quickAt("Watch the show today").dueDate === "2030-01-02"
+  );
+  assert(
+    "parseQuickAdd keeps the date words for a date set by hand",
+    quickAt("Renew due fri at 3pm").textWithDue === "Renew due fri at 3pm"
+  );
+
+  assert(
+    "fuzzyMatch finds subsequences",
+    fuzzyMatch("eml sm", "Email Sam")?.indices.join(",") === "0,1,4,6,8"
+  );
+  assert("fuzzyMatch rejects misses", fuzzyMatch("xyz", "Email Sam") === null);
+  const s1 = { tasks: [{ id: 1 }], matrices: [] };
+  const s2 = { tasks: [{ id: 2 }], matrices: [] };
+  const s3 = { tasks: [{ id: 3 }], matrices: [] };
+  const pushed = pushHistory(pushHistory({ past: [], future: [] }, s1), s2);
+  const undone = undoHistory(pushed, s3);
+  const redone = redoHistory(undone.history, s2);
+  assert(
+    "Undo returns the last checkpoint and keeps the current state for redo",
+    undone.snapshot === s2 &&
+      undone.history.past.length === 1 &&
+      undone.history.future[0] === s3
+  );
+  assert(
+    "Redo returns the undone state and a new checkpoint clears it",
+    redone.snapshot === s3 &&
+      redone.history.past.at(-1) === s2 &&
+      pushHistory(undone.history, s1).future.length === 0
+  );
+  assert(
+    "Undo and redo with nothing to step to do nothing",
+    undoHistory({ past: [], future: [] }, s1) === null &&
+      redoHistory(pushed, s3) === null
+  );
+  assert(
+    "Undo history keeps at most HISTORY_LIMIT checkpoints",
+    Array.from({ length: HISTORY_LIMIT + 5 }).reduce(
+      (h) => pushHistory(h, s1),
+      { past: [], future: [] }
+    ).past.length === HISTORY_LIMIT
+  );
+  assert(
+    "swipeActionOf: right completes, left archives, far left deletes",
+    swipeActionOf(SWIPE_ACTION_PX) === "complete" &&
+      swipeActionOf(-SWIPE_ACTION_PX) === "archive" &&
+      swipeActionOf(-SWIPE_DELETE_PX + 1) === "archive" &&
+      swipeActionOf(-SWIPE_DELETE_PX) === "delete"
+  );
+  assert(
+    "swipeActionOf ignores short swipes",
+    swipeActionOf(SWIPE_ACTION_PX - 1) === null &&
+      swipeActionOf(-SWIPE_ACTION_PX + 1) === null &&
+      swipeActionOf(0) === null
+  );
+  const paletteCommands = [
+    { id: "export", label: "Export data (JSON)" },
+    { id: "import", label: "Import data (merge)…" },
+  ];
+  assert(
+    "filterCommands matches every query word, in any order",
+    filterCommands(paletteCommands, "data EXP")
+      .map((c) => c.id)
+      .join() === "export" &&
+      filterCommands(paletteCommands, "  ").length === 2 &&
+      filterCommands(paletteCommands, "data zip").length === 0
+  );
+  assert(
+    "taskKeyAction maps keys to task actions",
+    taskKeyAction("x", true)?.type === "toggle" &&
+      taskKeyAction("Backspace", true)?.type === "delete" &&
+      taskKeyAction("3", true)?.index === 2 &&
+      taskKeyAction("ArrowUp", false)?.type === "moveSelection" &&
+      taskKeyAction("/", false)?.type === "focusSearch"
+  );
+  assert(
+    "taskKeyAction ignores task keys without a selection, and unknown keys",
+    taskKeyAction("x", false) === null &&
+      taskKeyAction("1", false) === null &&
+      taskKeyAction("q", true) === null
+  );
+  const fakeTarget = (inDialog) => ({
+    tagName: "BUTTON",
+    closest: (selector) =>
+      inDialog && selector === '[role="dialog"]' ? {} : null,
+  });
+  assert(
+    "Shortcuts leave keys to an open dialog",
+    isInDialog(fakeTarget(true)) &&
+      !isInDialog(fakeTarget(false)) &&
+      !isInDialog(null) &&
+      !isTypingTarget(fakeTarget(true)) &&
+      isTypingTarget({ tagName: "TEXTAREA" })
+  );
+  assert(
+    "searchTasks filters by status",
+    searchTasks(
+      [
+        { id: 1, text: "a", status: "Archived", matrixId: "work" },
+        { id: 2, text: "a", status: "Not Done", matrixId: "work" },
+      ],
+      { ...DEFAULT_SEARCH, query: "a", status: "Archived" }
+    )
+      .map((r) => r.task.id)
+      .join(",") === "1"
+  );
+
+  assert(
+    "parseTagList slugs + dedupes",
+    parseTagList("+Client A, errand,errand").join(",") === "client-a,errand"
+  );
+  assert(
+    "renameTagInTasks merges onto an existing tag",
+    renameTagInTasks([{ tags: ["a", "b"] }], "a", "b")[0].tags.join(",") === "b"
+  );
+
+  const legacy = migrateData({
+    matrices: DEFAULT_MATRICES,
+    tasks: [{ id: 1, text: "a", tag: "Personal", urgency: "Low" }],
+  });
+  assert(
+    "migrateData upgrades unversioned data",
+    legacy.version === SCHEMA_VERSION &&
+      legacy.tasks[0].matrixId === "personal" &&
+      quadrantOf(legacy.tasks[0]) === "delegate" &&
+      legacy.tasks[0].order === 0 &&
+      legacy.tasks[0].urgency === undefined
+  );
+
+  const wed = new Date(2030, 0, 2);
+  assert(
+    "weekdays skips the weekend",
+    toDateInput(nextOccurrence({ type: "weekdays" }, new Date(2030, 0, 4))) ===
+      "2030-01-07"
+  );
+  assert(
+    "weekly picks the next chosen day",
+    toDateInput(nextOccurrence({ type: "weekly", days: [1] }, wed)) ===
+      "2030-01-07"
+  );
+  assert(
+    "monthly clamps to short months",
+    toDateInput(
+      nextOccurrence({ type: "monthly", dayOfMonth: 31 }, new Date(2030, 1, 1))
+    ) === "2030-02-28"
+  );
+  assert(
+    "after counts from completion",
+    toDateInput(nextOccurrence({ type: "after", interval: 3 }, wed, wed)) ===
+      "2030-01-05"
+  );
+
+  const base = { id: 1, text: "Report", updatedAt: "t1", updatedBy: "tab-a" };
+  const [stamped] = stampChanges([base], [{ ...base, text: "Report v2" }], {
+    by: "tab-b",
+    at: "t2",
+  });
+  assert(
+    "stampChanges links to the previous version",
+    stamped.updatedFrom === "t1" && stamped.updatedBy === "tab-b"
+  );
+  assert(
+    "mergeTasks takes a descendant without conflict",
+    mergeTasks([base], [stamped]).tasks[0] === stamped &&
+      mergeTasks([base], [stamped]).conflicts.length === 0
+  );
+  const shared = {
+    ...base,
+    matrixId: "work",
+    status: "Not Done",
+    order: 0,
+    ...quadrantAxes("schedule"),
+  };
+  const editAt = {
+    by: "tab-a",
+    at: "t2",
+    atMs: new Date(2030, 0, 2, 9).getTime(),
+  };
+  const sent = prepareLocalTasks(
+    [shared],
+    [{ ...shared, dueDate: "2030-01-02", dueTime: "15:00" }],
+    editAt
+  );
+  assert(
+    "An edit that escalates is stamped once and other tabs take it cleanly",
+    quadrantOf(sent[0]) === "do" &&
+      sent[0].updatedFrom === "t1" &&
+      sent[0].placeHistory.length === 2 &&
+      prepareLocalTasks(sent, sent, { ...editAt, at: "t3" }) === sent &&
+      relateVersions(shared, sent[0]) === "remote" &&
+      mergeTasks([shared], sent).conflicts.length === 0
+  );
+
+  const rival = {
+    ...base,
+    text: "Report v3",
+    updatedAt: "t2",
+    updatedBy: "tab-c",
+  };
+  const oneWay = mergeTasks([stamped], [rival]);
+  const otherWay = mergeTasks([rival], [stamped]);
+  assert(
+    "mergeTasks resolves concurrent edits the same way in both tabs",
+    oneWay.tasks[0] === rival &&
+      otherWay.tasks[0] === rival &&
+      oneWay.conflicts.length === 1
+  );
+  const csvTask = {
+    id: 7,
+    text: 'Call "Sam", then email',
+    matrixId: "work",
+    important: false,
+    urgent: true,
+    status: "Completed",
+    createdAt: "2030-01-01T00:00:00.000Z",
+    tags: ["client-a", "errand"],
+  };
+  const formulaCsv = tasksToCsv(
+    [{ ...csvTask, text: "=HYPERLINK(1)", notes: "- first\n- second" }],
+    DEFAULT_MATRICES
+  );
+  const fromFormulaCsv = csvToData(formulaCsv, DEFAULT_MATRICES).tasks[0];
+  assert(
+    "CSV export escapes cells that would run as formulas, and import undoes it",
+    formulaCsv.includes(",'=HYPERLINK(1),") &&
+      formulaCsv.includes(`"'- first`) &&
+      fromFormulaCsv.text === "=HYPERLINK(1)" &&
+      fromFormulaCsv.notes === "- first\n- second"
+  );
+  const multiLineMd = markdownToData(
+    tasksToMarkdown(
+      [{ ...csvTask, status: "Not Done", text: "Line one\nline two" }],
+      DEFAULT_MATRICES
+    ),
+    DEFAULT_MATRICES
+  );
+  assert(
+    "Markdown export keeps a multi-line task on one line",
+    multiLineMd.tasks.length === 1 &&
+      multiLineMd.tasks[0].text === "Line one line two"
+  );
+  const fromCsv = csvToData(
+    tasksToCsv([csvTask], DEFAULT_MATRICES),
+    DEFAULT_MATRICES
+  ).tasks[0];
+  assert(
+    "CSV round-trips quotes, quadrant, status and tags",
+    fromCsv.text === csvTask.text &&
+      quadrantOf(fromCsv) === "delegate" &&
+      fromCsv.status === "Completed" &&
+      fromCsv.tags.join(",") === "client-a,errand"
+  );
+  const fromMd = markdownToData(
+    "## Side Project\n### Do First\n- [x] Ship it (due 2030-01-02 09:00) +launch\n  - [ ] Write notes\n",
+    DEFAULT_MATRICES
+  );
+  assert(
+    "Markdown import maps headings, checkboxes and subtasks",
+    fromMd.matrices.some((m) => m.id === "side-project") &&
+      fromMd.tasks[0].matrixId === "side-project" &&
+      quadrantOf(fromMd.tasks[0]) === "do" &&
+      fromMd.tasks[0].status === "Completed" &&
+      fromMd.tasks[0].dueTime === "09:00" &&
+      fromMd.tasks[0].tags[0] === "launch" &&
+      fromMd.tasks[0].subtasks[0].text === "Write notes"
+  );
+
+  const mine = { ...csvTask, text: "Mine", updatedAt: "t5", updatedFrom: null };
+  const plan = planMergeImport(
+    { matrices: DEFAULT_MATRICES, tasks: [mine, { ...csvTask, id: 8 }] },
+    {
+      matrices: [{ id: "job", name: "Work" }],
+      tasks: [
+        { ...csvTask, matrixId: "job", text: "Theirs", updatedAt: "t4" },
+        { ...csvTask, id: 8, matrixId: "job" },
+        { ...csvTask, id: 9, matrixId: "job" },
+      ],
+    }
+  );
+  assert(
+    "planMergeImport matches matrices by name and finds conflicts",
+    plan.addedMatrices.length === 0 &&
+      plan.added[0]?.matrixId === "work" &&
+      plan.conflicts.length === 1 &&
+      plan.unchanged === 1
+  );
+
+  const stampedTask = { ...csvTask, updatedAt: "t5", updatedFrom: null };
+  const spreadsheetPlan = planMergeImport(
+    { matrices: DEFAULT_MATRICES, tasks: [stampedTask] },
+    csvToData(
+      tasksToCsv(
+        [{ ...csvTask, text: "Edited in a spreadsheet" }],
+        DEFAULT_MATRICES
+      ),
+      DEFAULT_MATRICES
+    )
+  );
+  assert(
+    "planMergeImport compares unstamped CSV rows by content",
+    spreadsheetPlan.conflicts.length === 1 &&
+      spreadsheetPlan.conflicts[0].incoming.text ===
+        "Edited in a spreadsheet" &&
+      spreadsheetPlan.conflicts[0].incoming.updatedAt === "t5" &&
+      planMergeImport(
+        { matrices: DEFAULT_MATRICES, tasks: [{ ...csvTask, text: "Old" }] },
+        csvToData(tasksToCsv([csvTask], DEFAULT_MATRICES), DEFAULT_MATRICES)
+      ).updated[0]?.text === csvTask.text
+  );
+  const mdTask = {
+    ...csvTask,
+    status: "Not Done",
+    subtasks: [{ id: 1, text: "Step", done: false }],
+    updatedAt: "t5",
+    updatedFrom: null,
+  };
+  const mdPlan = planMergeImport(
+    { matrices: DEFAULT_MATRICES, tasks: [mdTask] },
+    markdownToData(
+      tasksToMarkdown([mdTask], DEFAULT_MATRICES),
+      DEFAULT_MATRICES
+    )
+  );
+  assert(
+    "planMergeImport matches our own Markdown export by matrix and text",
+    mdPlan.added.length === 0 &&
+      mdPlan.unchanged === 1 &&
+      mdPlan.conflicts.length === 0
+  );
+
+  const badImport = {
+    version: 3,
+    matrices: [{ id: "work", name: "Work" }],
+    tasks: [
+      { id: 1, text: "Fine", matrixId: "work", status: "Not Done" },
+      { id: 1, text: "Dup", matrixId: "nowhere", status: "Urgent" },
+      { id: 3, urgency: "Urgent" },
+      { id: 4, text: "Old", urgency: "Urgent", status: "Completed" },
+    ],
+  };
+  const fixedImport = checkImport(badImport, "fix");
+  assert(
+    "checkImport reports each bad record",
+    fixedImport.records.length === 3 &&
+      fixedImport.records[0].issues.length === 3 &&
+      fixedImport.records[2].issues[0] === "urgency 'Urgent' not recognised"
+  );
+  assert(
+    "checkImport fixes or skips",
+    fixedImport.data.tasks.length === 3 &&
+      fixedImport.data.tasks[1].id !== 1 &&
+      fixedImport.data.tasks[1].status === "Not Done" &&
+      checkImport(badImport, "skip").data.tasks.length === 1
+  );
+
+  // Current-version files skip the migrations that clean up these fields
+  const shapeImport = checkImport(
+    {
+      version: 3,
+      matrices: [],
+      tasks: [
+        { id: 1, text: "Tags", matrixId: "work", tags: [3, "Home"] },
+        { id: 2, text: "List", matrixId: "work", subtasks: [null, "Milk"] },
+        {
+          id: 3,
+          text: "Repeat",
+          matrixId: "work",
+          recurrence: { type: "weekly" },
+        },
+        {
+          id: 4,
+          text: "Odd repeat",
+          matrixId: "work",
+          recurrence: { type: "yearly" },
+        },
+      ],
+    },
+    "fix"
+  );
+  const [tagTask, listTask, weeklyTask, oddTask] = shapeImport.data.tasks;
+  const noMatrixTask = { id: 1, text: "Loose", status: "Not Done" };
+  const currentNoMatrix = checkImport(
+    { version: 3, matrices: [], tasks: [noMatrixTask] },
+    "fix"
+  );
+  assert(
+    "checkImport puts a current task with no matrix in the first matrix",
+    currentNoMatrix.records[0]?.issues.join() === "matrix missing" &&
+      currentNoMatrix.data.tasks[0].matrixId === "work" &&
+      checkImport({ version: 3, matrices: [], tasks: [noMatrixTask] }, "skip")
+        .data.tasks.length === 0
+  );
+  assert(
+    "checkImport leaves matrices out of older files to the migrations",
+    checkImport({ version: 0, matrices: [], tasks: [noMatrixTask] }, "fix")
+      .records.length === 0
+  );
+  assert(
+    "checkImport cleans up tags, checklists and repeat rules",
+    shapeImport.records.length === 4 &&
+      tagTask.tags.join() === "home" &&
+      listTask.subtasks.length === 1 &&
+      listTask.subtasks[0].text === "Milk" &&
+      weeklyTask.recurrence.days.length === 1 &&
+      oddTask.recurrence === null
+  );
+  assert(
+    "normalizeRecurrence keeps good rules and fills in missing fields",
+    JSON.stringify(normalizeRecurrence({ type: "weekly", days: [1, 3] })) ===
+      JSON.stringify({ type: "weekly", days: [1, 3] }) &&
+      normalizeRecurrence({ type: "after", interval: 0 }).interval === 1 &&
+      normalizeRecurrence({ type: "monthly" }, new Date(2030, 0, 9))
+        .dayOfMonth === 9 &&
+      normalizeRecurrence("daily") === null
+  );
+
+  const day = 24 * 60 * 60 * 1000;
+  const start = new Date(2030, 0, 1, 12).getTime();
+  const hourly = Array.from({ length: 40 }, (_, i) =>
+    makeSnapshot(
+      { tasks: [], matrices: [] },
+      "scheduled",
+      start + i * 6 * 60 * 60 * 1000
+    )
+  );
+  const pruned = pruneSnapshots(hourly, start + 10 * day);
+  assert(
+    "pruneSnapshots keeps the newest, then one per day",
+    pruned.length === SNAPSHOT_KEEP_RECENT + 8 &&
+      pruned[pruned.length - 1] === hourly[39]
+  );
+  const diff = diffSnapshot(
+    { tasks: [base, { id: 2, text: "Gone" }], matrices: DEFAULT_MATRICES },
+    {
+      tasks: [
+        { ...base, text: "Renamed" },
+        { id: 3, text: "New" },
+      ],
+      matrices: DEFAULT_MATRICES,
+    }
+  );
+  assert(
+    "diffSnapshot finds added, removed and changed tasks",
+    diff.added[0].id === 3 &&
+      diff.removed[0].id === 2 &&
+      diff.changed[0].fields.join() === "text"
+  );
+
+  const acrossMatrices = moveTaskBeforeTask(
+    [
+      { id: 1, matrixId: "work", important: true, urgent: true, order: 0 },
+      { id: 2, matrixId: "work", important: true, urgent: true, order: 1 },
+      {
+        id: 3,
+        matrixId: "personal",
+        important: false,
+        urgent: false,
+        order: 0,
+      },
+    ],
+    1,
+    3
+  );
+  assert(
+    "moveTaskBeforeTask joins the target matrix and renumbers both sides",
+    acrossMatrices[0].matrixId === "personal" &&
+      quadrantOf(acrossMatrices[0]) === "backburner" &&
+      acrossMatrices[0].order === 0 &&
+      acrossMatrices[2].order === 1 &&
+      acrossMatrices[1].order === 0
+  );
+
+  const dropList = [
+    { id: 1, matrixId: "work", important: true, urgent: true, order: 0 },
+    { id: 2, matrixId: "work", important: true, urgent: true, order: 1 },
+    { id: 3, matrixId: "personal", important: true, urgent: true, order: 0 },
+  ];
+  const reordered = dropTask(dropList, 2, 1);
+  assert(
+    "dropTask reorders within a quadrant and moves to a quadrant's end",
+    reordered[1].order === 0 &&
+      reordered[0].order === 1 &&
+      quadrantOf(dropTask(dropList, 1, "schedule")[0]) === "schedule" &&
+      dropTask(dropList, 1, "do") === dropList
+  );
+  const toPersonalSchedule = matrixQuadrantDropId("personal", "schedule");
+  const slotDrop = dropTask(dropList, 1, toPersonalSchedule);
+  assert(
+    "dropTask onto a matrix's empty quadrant moves the task there",
+    slotDrop[0].matrixId === "personal" &&
+      quadrantOf(slotDrop[0]) === "schedule" &&
+      slotDrop[0].order === 0 &&
+      slotDrop[1].order === 0 &&
+      dropTask(dropList, 1, toPersonalSchedule, { keepMatrix: true })[0]
+        .matrixId === "work" &&
+      dropTask(dropList, 1, matrixQuadrantDropId("work", "do")) === dropList
+  );
+  assert(
+    "dropTask keeps the matrix when asked",
+    dropTask(dropList, 1, 3)[0].matrixId === "personal" &&
+      dropTask(dropList, 1, 3, { keepMatrix: true }) === dropList
+  );
+
+  const groupList = [
+    { id: 1, matrixId: "work", important: true, urgent: true, order: 0 },
+    { id: 2, matrixId: "work", important: true, urgent: true, order: 1 },
+    { id: 3, matrixId: "work", important: true, urgent: true, order: 2 },
+    { id: 4, matrixId: "personal", important: false, urgent: false, order: 0 },
+    { id: 5, matrixId: "personal", important: false, urgent: false, order: 1 },
+  ];
+  const groupDrop = dropTaskGroup(groupList, [1, 3], 1, 5);
+  const orderIn = (list, matrixId, quadrant) =>
+    list
+      .filter(
+        (t) =>
+          t.matrixId === matrixId && (!quadrant || quadrantOf(t) === quadrant)
+      )
+      .sort((a, b) => a.order - b.order)
+      .map((t) => `${t.id}:${t.order}`)
+      .join(",");
+  assert(
+    "dropTaskGroup lands the group as one block in its original order",
+    orderIn(groupDrop, "personal") === "4:0,1:1,3:2,5:3" &&
+      orderIn(groupDrop, "work") === "2:0"
+  );
+  assert(
+    "moveTasksToMatrix keeps quadrants and appends in order",
+    orderIn(
+      moveTasksToMatrix(groupList, [3, 1], "personal"),
+      "personal",
+      "do"
+    ) === "3:0,1:1"
+  );
+
+  const sessionStart = Date.parse("2024-05-01T09:00:00Z");
+  const timed = logSession(
+    [{ id: 1, text: "Focus" }],
+    1,
+    sessionStart,
+    sessionStart + 25 * 60 * 1000
+  );
+  assert(
+    "logSession logs once and ignores sessions under a minute",
+    trackedMs(timed[0]) === 25 * 60 * 1000 &&
+      logSession(timed, 1, sessionStart, sessionStart + 25 * 60 * 1000) ===
+        timed &&
+      logSession(timed, 1, sessionStart + 1, sessionStart + 30 * 1000) ===
+        timed &&
+      formatDuration(100 * 60 * 1000) === "1h 40m"
+  );
+  const breakTimer = nextFocusPhase(
+    { taskId: 1, phase: "work", startedAt: 0, endsAt: 1000 },
+    5
+  );
+  assert(
+    "nextFocusPhase goes from work to break to off",
+    breakTimer.phase === "break" &&
+      breakTimer.startedAt === 1000 &&
+      breakTimer.endsAt === 1000 + 5 * 60 * 1000 &&
+      nextFocusPhase(breakTimer, 5) === null &&
+      nextFocusPhase({ phase: "work", endsAt: 0 }, 0) === null
+  );
+  const timedCsv = tasksToCsv(
+    [{ ...timed[0], matrixId: "work", status: "Not Done" }],
+    DEFAULT_MATRICES
+  );
+  const statsNow = new Date(2024, 4, 15, 12).getTime(); // a Wednesday
+  const stats = computeStats(
+    [
+      {
+        id: 1,
+        matrixId: "work",
+        important: true,
+        urgent: true,
+        status: "Completed",
+        createdAt: new Date(2024, 4, 10).toISOString(),
+        completedAt: new Date(2024, 4, 14).toISOString(),
+      },
+      {
+        id: 2,
+        matrixId: "work",
+        important: false,
+        urgent: false,
+        status: "Not Done",
+        createdAt: new Date(2024, 3, 1).toISOString(),
+      },
+      {
+        id: 3,
+        matrixId: "work",
+        important: true,
+        urgent: true,
+        status: "Deleted",
+        completedAt: new Date(2024, 4, 14).toISOString(),
+      },
+    ],
+    statsNow
+  );
+  assert(
+    "computeStats counts weekly completions, time to done and ageing",
+    stats.weeks[STATS_WEEKS - 1].byMatrix.work === 1 &&
+      stats.weeks[STATS_WEEKS - 1].total === 1 &&
+      stats.quadrants[0].medianDays === 4 &&
+      stats.quadrants[3].open === 1 &&
+      stats.oldestOpen[0].task.id === 2
+  );
+  const doneAt = new Date(2024, 4, 10, 9).toISOString();
+  const autoList = [
+    { id: 1, matrixId: "work", status: "Completed", completedAt: doneAt },
+    { id: 2, matrixId: "personal", status: "Completed", completedAt: doneAt },
+    { id: 3, matrixId: "work", status: "Not Done" },
+  ];
+  const autoMatrices = [
+    { id: "work", name: "Work", autoArchiveDays: 3 },
+    { id: "personal", name: "Personal" },
+  ];
+  const autoArchived = autoArchiveCompleted(
+    autoList,
+    autoMatrices,
+    Date.parse(doneAt) + 3 * DAY_MS
+  );
+  assert(
+    "autoArchiveCompleted archives only when the matrix's delay is up",
+    autoArchiveCompleted(
+      autoList,
+      autoMatrices,
+      Date.parse(doneAt) + DAY_MS
+    ) === autoList &&
+      autoArchived[0].status === "Archived" &&
+      autoArchived[0].archivedAt ===
+        new Date(Date.parse(doneAt) + 3 * DAY_MS).toISOString() &&
+      autoArchived[1].status === "Completed" &&
+      autoArchived[2].status === "Not Done"
+  );
+  const noteBlocks = parseNoteBlocks(
+    "# Plan\nFirst line\nsecond line\n\n- one\n- two\n1. step\n```\n- not a list\n```"
+  );
+  assert(
+    "parseNoteBlocks splits headings, paragraphs, lists and code",
+    noteBlocks.map((b) => b.type).join(",") ===
+      "heading,paragraph,list,list,code" &&
+      noteBlocks[1].lines.length === 2 &&
+      noteBlocks[2].items.join(",") === "one,two" &&
+      noteBlocks[3].ordered &&
+      noteBlocks[4].text === "- not a list"
+  );
+  assert(
+    "renderInlineMarkdown only links web and mail URLs",
+    renderInlineMarkdown("[x](javascript:alert(1))")[0] === "x" &&
+      renderInlineMarkdown("see https://example.com.")[1].props.href ===
+        "https://example.com"
+  );
+
+  const placed = { ...csvTask, matrixId: "work", createdAt: "2024-01-01" };
+  const movedTask = recordPlaceChanges(
+    [placed],
+    [{ ...placed, matrixId: "personal", ...quadrantAxes("do") }],
+    "2024-02-01"
+  )[0];
+  assert(
+    "recordPlaceChanges logs the starting place and each move",
+    recordPlaceChanges([placed], [{ ...placed, text: "Edited" }], "x")[0]
+      .placeHistory === undefined &&
+      movedTask.placeHistory
+        .map((p) => `${p.at}:${p.matrixId}/${p.quadrant}`)
+        .join(",") === "2024-01-01:work/delegate,2024-02-01:personal/do"
+  );
+
+  const noted = {
+    ...csvTask,
+    status: "Not Done",
+    notes: "Call **Ann**\n\n- a",
+  };
+  assert(
+    "Notes round-trip through CSV and Markdown",
+    csvToData(tasksToCsv([noted], DEFAULT_MATRICES), DEFAULT_MATRICES).tasks[0]
+      .notes === noted.notes &&
+      markdownToData(
+        tasksToMarkdown([noted], DEFAULT_MATRICES),
+        DEFAULT_MATRICES
+      ).tasks[0].notes === noted.notes
+  );
+
+  const renamedWork = { id: "work", name: "Job", pinned: false };
+  const withDefaults = ensureDefaultMatrices([renamedWork]);
+  assert(
+    "ensureDefaultMatrices adds missing defaults but keeps names and pins",
+    withDefaults[0] === renamedWork &&
+      withDefaults.map((m) => m.id).join(",") === "work,personal,goals" &&
+      ensureDefaultMatrices(withDefaults) === withDefaults
+  );
+  const barOrder = [
+    { id: "a", pinned: true },
+    { id: "x", pinned: false },
+    { id: "b", pinned: true },
+    { id: "c", pinned: true },
+  ];
+  assert(
+    "moveMatrixInGroup steps past the next matrix with the same pin state",
+    moveMatrixInGroup(barOrder, "a", 1)
+      .map((m) => m.id)
+      .join(",") === "x,b,a,c" &&
+      moveMatrixInGroup(barOrder, "c", -1)
+        .map((m) => m.id)
+        .join(",") === "a,x,c,b" &&
+      moveMatrixInGroup(barOrder, "x", 1) === barOrder
+  );
+  assert(
+    "matrixColorKey prefers the matrix's own colour",
+    matrixColorKey({ color: "pink" }, 0) === "pink" &&
+      matrixColorKey({ color: "nope" }, 1) === Object.keys(MATRIX_COLORS)[1]
+  );
+
+  assert(
+    "CSV keeps tracked sessions",
+    csvToData(timedCsv, DEFAULT_MATRICES).tasks[0].sessions[0].endedAt ===
+      timed[0].sessions[0].endedAt
+  );
+
+  assert(
+    "mergeTasks drops purged tasks unless kept",
+    mergeTasks([base], [], { remotePurged: new Set([1]) }).tasks.length === 0 &&
+      mergeTasks([base], [], {
+        remotePurged: new Set([1]),
+        keepIds: new Set([1]),
+      }).tasks.length === 1
+  );
+}
+
+// The sync engine against the server's store, in memory. `net.offline` makes
+// requests fail the way they do when the server can't be reached.
+function memorySyncServer() {
+  const store = createStore();
+  const net = { offline: false };
+  const fetch = async (url, options = {}) => {
+    if (net.offline) throw new TypeError("Failed to fetch");
+    const since = Number(new URL(url).searchParams.get("since")) || 0;
+    const body =
+      options.method === "POST"
+        ? applyChanges(store, JSON.parse(options.body).changes)
+        : listChanges(store, since);
+    const json = JSON.stringify(body);
+    return { ok: true, status: 200, json: async () => JSON.parse(json) };
+  };
+  return { store, net, fetch };
+}
+
+function memorySyncDevice(server) {
+  const device = { tasks: [], matrices: [], state: null, status: null };
+  device.pulls = 0;
+  device.engine = createSyncEngine({
+    serverUrl: "http://sync.test",
+    token: "",
+    state: null,
+    fetch: server.fetch,
+    readLocal: () => device,
+    applyRemote: (changes) => {
+      device.pulls += 1;
+      // Deletions come back with the id as a string, as in the app
+      changes.forEach((c) => {
+        const field = c.kind === "task" ? "tasks" : "matrices";
+        const others = device[field].filter(
+          (r) => String(r.id) !== String(c.id)
+        );
+        device[field] = c.deleted ? others : [...others, c.data];
+      });
+    },
+    onState: (state) => {
+      device.state = state;
+    },
+    onStatus: (status) => {
+      device.status = status;
+    },
+  });
+  device.change = (tasks) => {
+    device.engine.markDirty(changedRecordKeys("task", device.tasks, tasks));
+    device.tasks = tasks;
+  };
+  // Matrices are stamped as the app's matrices effect does
+  device.changeMatrices = (matrices, stamp) => {
+    const stamped = stampChanges(device.matrices, matrices, stamp);
+    device.engine.markDirty(
+      changedRecordKeys("matrix", device.matrices, stamped)
+    );
+    device.matrices = stamped;
+  };
+  return device;
+}
+
+async function runSyncDevTests() {
+  const server = memorySyncServer();
+  const a = memorySyncDevice(server);
+  const b = memorySyncDevice(server);
+  const edit = (task, text, at, by) => ({
+    ...task,
+    text,
+    updatedAt: at,
+    updatedBy: by,
+    updatedFrom: task.updatedAt,
+  });
+
+  a.change([{ id: 1, text: "Report", updatedAt: "t1", updatedBy: "tab-a" }]);
+  await a.engine.syncNow();
+  await b.engine.syncNow();
+  assert(
+    "Sync: a new task reaches the other device",
+    b.tasks[0]?.text === "Report" && b.state.lastRev === server.store.rev
+  );
+
+  // B pushes first; A's newer edit is refused, wins locally and is re-pushed
+  b.change([edit(b.tasks[0], "B's", "t2", "tab-b")]);
+  a.change([edit(a.tasks[0], "A's", "t3", "tab-a")]);
+  await b.engine.syncNow();
+  await a.engine.syncNow();
+  await b.engine.syncNow();
+  assert(
+    "Sync: the newer local edit wins a baseRev conflict",
+    a.tasks[0].text === "A's" &&
+      b.tasks[0].text === "A's" &&
+      server.store.records["task:1"].data.text === "A's" &&
+      a.status.pending === 0
+  );
+
+  // B's edit is older than the server's copy, so B takes the server's
+  a.change([edit(a.tasks[0], "A again", "t5", "tab-a")]);
+  b.change([edit(b.tasks[0], "B late", "t4", "tab-b")]);
+  await a.engine.syncNow();
+  await b.engine.syncNow();
+  assert(
+    "Sync: the server's newer copy replaces an older local edit",
+    b.tasks[0].text === "A again" && b.status.pending === 0
+  );
+
+  a.change([]);
+  b.change([edit(b.tasks[0], "B edits", "t9", "tab-b")]);
+  await a.engine.syncNow();
+  await b.engine.syncNow();
+  assert(
+    "Sync: a deletion on the server wins over a local edit",
+    b.tasks.length === 0 && server.store.records["task:1"].deleted
+  );
+
+  server.net.offline = true;
+  a.change([{ id: 2, text: "Offline", updatedAt: "t10", updatedBy: "tab-a" }]);
+  await a.engine.syncNow();
+  const queued =
+    a.status.status === "offline" && a.state.dirty.includes("task:2");
+  server.net.offline = false;
+  await a.engine.syncNow();
+  assert(
+    "Sync: a failed push stays queued and is resent",
+    queued &&
+      server.store.records["task:2"]?.data.text === "Offline" &&
+      a.state.dirty.length === 0
+  );
+
+  const pulls = b.pulls;
+  await b.engine.syncNow();
+  await b.engine.syncNow();
+  assert(
+    "Sync: the revision cursor only pulls records once",
+    b.pulls === pulls + 1 &&
+      b.tasks[0]?.id === 2 &&
+      b.state.lastRev === server.store.rev
+  );
+
+  // Both devices start with the same default matrices
+  [a, b].forEach((device) => {
+    device.matrices = DEFAULT_MATRICES;
+    device.engine.markDirty(
+      DEFAULT_MATRICES.map((m) => recordKey("matrix", m.id))
+    );
+  });
+  await a.engine.syncNow();
+  const revAfterDefaults = server.store.rev;
+  await b.engine.syncNow();
+  assert(
+    "Sync: identical default matrices settle without a re-push",
+    server.store.rev === revAfterDefaults && b.status.pending === 0
+  );
+
+  // B renames first but syncs first; A's later rename wins on both devices
+  // (unstamped, "Office" would beat "Job" on content alone)
+  const rename = (device, name, at, by) =>
+    device.changeMatrices(
+      device.matrices.map((m) => (m.id === "work" ? { ...m, name } : m)),
+      { at, by }
+    );
+  rename(b, "Office", "t20", "tab-b");
+  rename(a, "Job", "t21", "tab-a");
+  await b.engine.syncNow();
+  await a.engine.syncNow();
+  await b.engine.syncNow();
+  const workOf = (device) => device.matrices.find((m) => m.id === "work");
+  assert(
+    "Sync: the later matrix rename wins a conflict",
+    workOf(a).name === "Job" &&
+      workOf(b).name === "Job" &&
+      server.store.records["matrix:work"].data.name === "Job"
+  );
+
+  a.engine.stop();
+  b.engine.stop();
 }
 
 try {
   // Vite exposes import.meta.env.DEV
   if (typeof import.meta !== "undefined" && import.meta.env?.DEV) {
     runDevTests();
+    runSyncDevTests().catch((err) =>
+      assert(`Sync dev tests finish (${err.message})`, false)
+    );
   }
 } catch {
   // no-op
@@ -0,0 +1,171 @@
+/**
+ * Storage adapters
+ *
+ * Both adapters expose the same async key/value API:
+ * - load(keys)        → { [key]: value } (missing keys are left out)
+ * - save(key, value)
+ *
+ * A localStorage adapter opened because IndexedDB failed (to open, or later to
+ * load; see fallbackStorage) also carries a `warning` for the app to show.
+ *
+ * IndexedDB is preferred. localStorage is the fallback when IndexedDB is
+ * unavailable (or fails to open). The first time IndexedDB is used, whatever
+ * the app previously kept in localStorage is copied across once.
+ */
+
+const DB_NAME = "taskenhower";
+const DB_VERSION = 1;
+const STORE = "kv";
+
+// Keys the app kept as JSON strings in localStorage before IndexedDB
+const LEGACY_LOCAL_STORAGE_KEYS = [
+  "tasks",
+  "matrices",
+  "settings",
+  "tagColors",
+];
+
+// Marks that the one-time localStorage → IndexedDB copy has happened
+const LEGACY_MIGRATED_KEY = "migratedFromLocalStorageAt";
+
+export function isQuotaError(err) {
+  if (!err) return false;
+  return (
+    err.name === "QuotaExceededError" ||
+    err.name === "NS_ERROR_DOM_QUOTA_REACHED" ||
+    err.code === 22 ||
+    err.code === 1014
+  );
+}
+
+function requestToPromise(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+function transactionDone(tx) {
+  return new Promise((resolve, reject) => {
+    tx.oncomplete = () => resolve();
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error ?? new Error("Transaction aborted."));
+  });
+}
+
+function openDatabase() {
+  return new Promise((resolve, reject) => {
+    const request = indexedDB.open(DB_NAME, DB_VERSION);
+    request.onupgradeneeded = () => {
+      const db = request.result;
+      if (!db.objectStoreNames.contains(STORE)) db.createObjectStore(STORE);
+    };
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+    request.onblocked = () =>
+      reject(new Error("Storage is blocked by another open tab."));
+  });
+}
+
+function createIndexedDbAdapter(db) {
+  const saveEntries = async (entries) => {
+    const tx = db.transaction(STORE, "readwrite");
+    const store = tx.objectStore(STORE);
+    entries.forEach(([key, value]) => store.put(value, key));
+    await transactionDone(tx);
+  };
+
+  return {
+    name: "indexeddb",
+
+    async load(keys) {
+      const tx = db.transaction(STORE, "readonly");
+      const store = tx.objectStore(STORE);
+      const values = await Promise.all(
+        keys.map((key) => requestToPromise(store.get(key)))
+      );
+
+      const out = {};
+      keys.forEach((key, idx) => {
+        if (values[idx] !== undefined) out[key] = values[idx];
+      });
+      return out;
+    },
+
+    save(key, value) {
+      return saveEntries([[key, value]]);
+    },
+
+    saveMany: saveEntries,
+  };
+}
+
+function createLocalStorageAdapter() {
+  return {
+    name: "localStorage",
+
+    async load(keys) {
+      const out = {};
+      keys.forEach((key) => {
+        const raw = localStorage.getItem(key);
+        if (raw == null) return;
+        try {
+          out[key] = JSON.parse(raw);
+        } catch {
+          // Unreadable value: treat as missing
+        }
+      });
+      return out;
+    },
+
+    async save(key, value) {
+      localStorage.setItem(key, JSON.stringify(value));
+    },
+
+    async saveMany(entries) {
+      entries.forEach(([key, value]) =>
+        localStorage.setItem(key, JSON.stringify(value))
+      );
+    },
+  };
+}
+
+// One-time copy of the old localStorage blobs into IndexedDB. The old keys are
+// only removed once the copy has been committed.
+async function migrateFromLocalStorage(adapter) {
+  const marker = await adapter.load([LEGACY_MIGRATED_KEY]);
+  if (marker[LEGACY_MIGRATED_KEY]) return;
+
+  const legacy = await createLocalStorageAdapter().load(
+    LEGACY_LOCAL_STORAGE_KEYS
+  );
+  await adapter.saveMany([
+    ...Object.entries(legacy),
+    [LEGACY_MIGRATED_KEY, new Date().toISOString()],
+  ]);
+
+  LEGACY_LOCAL_STORAGE_KEYS.forEach((key) => localStorage.removeItem(key));
+}
+
+// The localStorage adapter to use once IndexedDB has failed with `err`
+export function fallbackStorage(err) {
+  return {
+    ...createLocalStorageAdapter(),
+    warning: `Browser database unavailable (${
+      err?.message || "unknown error"
+    }). Saving to localStorage instead, which holds less; export a backup.`,
+  };
+}
+
+export async function openStorage() {
+  if (typeof indexedDB === "undefined") return createLocalStorageAdapter();
+
+  try {
+    const db = await openDatabase();
+    const adapter = createIndexedDbAdapter(db);
+    await migrateFromLocalStorage(adapter);
+    return adapter;
+  } catch (err) {
+    return fallbackStorage(err);
+  }
+}
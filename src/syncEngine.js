@@ -0,0 +1,251 @@
+/**
+ * REST sync
+ *
+ * Optional sync against the small HTTP API in server/ (see server/README.md).
+ * Records are tasks and matrices. The server numbers every write with a
+ * global revision, and each record remembers the revision of its last write.
+ *
+ * - Local changes mark records dirty. The dirty set is persisted, so changes
+ *   made while offline are pushed once the server is reachable again.
+ * - A push sends each dirty record with the revision it was based on. The
+ *   server refuses writes based on an older revision and returns its own copy.
+ * - A pull fetches every record written since the last revision seen.
+ *
+ * When both sides changed a record, the later stamp wins (see tabSync.js).
+ * A deletion on the server wins over a local edit.
+ */
+
+import { pickVersion, relateVersions } from "./tabSync.js";
+
+const SYNC_INTERVAL_MS = 30 * 1000;
+// Short pause after a local change so a burst of edits goes out as one push
+const PUSH_DELAY_MS = 2000;
+// Push/pull rounds per sync (a lost conflict is re-pushed in the next round)
+const MAX_ROUNDS = 3;
+
+// lastRev: newest server revision pulled; revs: { [recordKey]: rev };
+// dirty: recordKeys waiting to be pushed
+export const EMPTY_SYNC_STATE = {
+  serverUrl: "",
+  lastRev: 0,
+  revs: {},
+  dirty: [],
+};
+
+export function recordKey(kind, id) {
+  return `${kind}:${id}`;
+}
+
+function parseRecordKey(key) {
+  const idx = key.indexOf(":");
+  return [key.slice(0, idx), key.slice(idx + 1)];
+}
+
+// Keys of records added, changed (by reference) or removed between two lists
+export function changedRecordKeys(kind, prev, next) {
+  const prevById = new Map(prev.map((r) => [r.id, r]));
+  const keys = [];
+  next.forEach((r) => {
+    if (prevById.get(r.id) !== r) keys.push(recordKey(kind, r.id));
+    prevById.delete(r.id);
+  });
+  prevById.forEach((_, id) => keys.push(recordKey(kind, id)));
+  return keys;
+}
+
+// - readLocal()        → { tasks, matrices } as they are now
+// - applyRemote(list)  applies [{ kind, id, rev, deleted, data }] from the server
+// - onState(state)     persists the sync state
+// - onStatus(status)   { status: syncing | pending | synced | offline | error, pending, at?, message? }
+// - fetch              stands in for window.fetch (the dev tests pass one that
+//                      talks to an in-memory store)
+export function createSyncEngine({
+  serverUrl,
+  token,
+  state,
+  readLocal,
+  applyRemote,
+  onState,
+  onStatus,
+  fetch: fetchImpl = (...args) => fetch(...args),
+}) {
+  const base = serverUrl.replace(/\/+$/, "");
+  const headers = {
+    "Content-Type": "application/json",
+    ...(token && { Authorization: `Bearer ${token}` }),
+  };
+  const abort = new AbortController();
+
+  let current = { ...EMPTY_SYNC_STATE, ...state, serverUrl };
+  const dirty = new Set(current.dirty);
+  let running = false;
+  let again = false;
+  let timer = null;
+  let pushTimer = null;
+
+  const persist = () => {
+    current = { ...current, dirty: [...dirty] };
+    onState(current);
+  };
+
+  const report = (status, extra) =>
+    onStatus({ status, pending: dirty.size, ...extra });
+
+  async function request(path, options = {}) {
+    const res = await fetchImpl(`${base}${path}`, {
+      ...options,
+      headers,
+      signal: abort.signal,
+    });
+    if (!res.ok) {
+      const err = new Error(`Sync server responded ${res.status}.`);
+      err.status = res.status;
+      throw err;
+    }
+    return res.json();
+  }
+
+  function findLocal(key) {
+    const [kind, id] = parseRecordKey(key);
+    const { tasks, matrices } = readLocal();
+    const list = kind === "task" ? tasks : matrices;
+    return list.find((r) => String(r.id) === id) ?? null;
+  }
+
+  // For a record changed on both sides: does the server's copy win? An
+  // identical copy (e.g. a default matrix every device starts with) counts
+  // as the server's, so it isn't pushed again.
+  function serverWins(key, remote) {
+    const local = findLocal(key);
+    if (remote.deleted || !local) return true;
+    if (relateVersions(local, remote.data) === "same") return true;
+    return pickVersion(local, remote.data).winner === remote.data;
+  }
+
+  async function push(incoming) {
+    if (dirty.size === 0) return;
+
+    // Anything marked dirty while the request is in flight stays queued
+    const keys = [...dirty];
+    dirty.clear();
+    const changes = keys.map((key) => {
+      const data = findLocal(key);
+      return {
+        kind: parseRecordKey(key)[0],
+        id: data?.id ?? parseRecordKey(key)[1],
+        deleted: !data,
+        data,
+        baseRev: current.revs[key] ?? 0,
+      };
+    });
+
+    let result;
+    try {
+      result = await request("/api/changes", {
+        method: "POST",
+        body: JSON.stringify({ changes }),
+      });
+    } catch (err) {
+      keys.forEach((key) => dirty.add(key));
+      throw err;
+    }
+
+    const revs = { ...current.revs };
+    result.applied.forEach((a) => {
+      revs[recordKey(a.kind, a.id)] = a.rev;
+    });
+    result.conflicts.forEach((remote) => {
+      const key = recordKey(remote.kind, remote.id);
+      revs[key] = remote.rev;
+      if (serverWins(key, remote)) {
+        incoming.push(remote);
+      } else {
+        dirty.add(key);
+        again = true;
+      }
+    });
+    current = { ...current, revs };
+  }
+
+  async function pull(incoming) {
+    const result = await request(`/api/changes?since=${current.lastRev}`);
+
+    const revs = { ...current.revs };
+    result.changes.forEach((remote) => {
+      const key = recordKey(remote.kind, remote.id);
+      // Already seen (typically our own push)
+      if ((revs[key] ?? 0) >= remote.rev) return;
+      revs[key] = remote.rev;
+
+      if (dirty.has(key)) {
+        // Ours wins: it goes out on the next push, based on this revision
+        if (!serverWins(key, remote)) return;
+        dirty.delete(key);
+      }
+      incoming.push(remote);
+    });
+
+    current = {
+      ...current,
+      revs,
+      lastRev: Math.max(current.lastRev, result.rev),
+    };
+  }
+
+  async function syncNow() {
+    if (abort.signal.aborted) return;
+    if (running) {
+      again = true;
+      return;
+    }
+
+    running = true;
+    report("syncing");
+    try {
+      let rounds = 0;
+      do {
+        again = false;
+        rounds += 1;
+        const incoming = [];
+        await push(incoming);
+        await pull(incoming);
+        if (incoming.length > 0) applyRemote(incoming);
+        persist();
+      } while (again && rounds < MAX_ROUNDS);
+      report(dirty.size > 0 ? "pending" : "synced", {
+        at: new Date().toISOString(),
+      });
+    } catch (err) {
+      if (abort.signal.aborted) return;
+      persist();
+      // fetch() rejects without a status when the server can't be reached
+      report(err.status ? "error" : "offline", { message: err.message });
+    } finally {
+      running = false;
+    }
+  }
+
+  function markDirty(keys) {
+    if (keys.length === 0) return;
+    keys.forEach((key) => dirty.add(key));
+    persist();
+    if (!running) report("pending");
+    clearTimeout(pushTimer);
+    pushTimer = setTimeout(syncNow, PUSH_DELAY_MS);
+  }
+
+  function start() {
+    timer = setInterval(syncNow, SYNC_INTERVAL_MS);
+    window.addEventListener("online", syncNow);
+    syncNow();
+  }
+
+  function stop() {
+    abort.abort();
+    clearInterval(timer);
+    clearTimeout(pushTimer);
+    window.removeEventListener("online", syncNow);
+  }
+
+  return { markDirty, syncNow, start, stop };
+}
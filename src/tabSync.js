@@ -0,0 +1,195 @@
+/**
+ * Cross-tab synchronisation
+ *
+ * Every tab broadcasts its state after each local change. Receiving tabs merge
+ * incoming tasks record by record instead of overwriting their own copy.
+ *
+ * Each locally changed task or matrix is stamped with:
+ * - updatedAt   ISO time of the change
+ * - updatedBy   the tab that made it
+ * - updatedFrom the updatedAt of the version it was derived from
+ *
+ * Merging two versions of one record:
+ * - If one was derived from the other, the newer one wins.
+ * - Otherwise both tabs edited it concurrently. The later (updatedAt,
+ *   updatedBy) pair wins, so every tab picks the same version.
+ *
+ * Tasks removed outright (e.g. "Clear" of deleted tasks) are sent as purged
+ * ids, so a union merge doesn't bring them back.
+ */
+
+const CHANNEL_NAME = "taskenhower-sync";
+
+export const TAB_ID = `tab-${Math.random().toString(36).slice(2, 10)}`;
+
+const STAMP_FIELDS = ["updatedAt", "updatedBy", "updatedFrom"];
+
+// Opens a channel to the app's other tabs. BroadcastChannel where available,
+// otherwise `storage` events on a scratch localStorage key.
+export function openTabChannel(onMessage) {
+  if (typeof BroadcastChannel !== "undefined") {
+    const channel = new BroadcastChannel(CHANNEL_NAME);
+    channel.onmessage = (e) => {
+      if (e.data && e.data.from !== TAB_ID) onMessage(e.data);
+    };
+    return {
+      post: (msg) => channel.postMessage({ ...msg, from: TAB_ID }),
+      close: () => channel.close(),
+    };
+  }
+
+  const onStorage = (e) => {
+    if (e.key !== CHANNEL_NAME || !e.newValue) return;
+    try {
+      const msg = JSON.parse(e.newValue);
+      if (msg.from !== TAB_ID) onMessage(msg);
+    } catch {
+      // Ignore malformed messages
+    }
+  };
+  window.addEventListener("storage", onStorage);
+
+  return {
+    post: (msg) => {
+      try {
+        localStorage.setItem(
+          CHANNEL_NAME,
+          JSON.stringify({ ...msg, from: TAB_ID, sentAt: Date.now() })
+        );
+      } catch {
+        // Best effort: a full localStorage just means no live sync
+      }
+    },
+    close: () => window.removeEventListener("storage", onStorage),
+  };
+}
+
+// Stamps every record (task or matrix) in `next` that changed since `prev`.
+// Returns `next` itself when nothing needed a stamp.
+export function stampChanges(prev, next, { by, at }) {
+  const prevById = new Map(prev.map((t) => [t.id, t]));
+  let changed = false;
+
+  const out = next.map((t) => {
+    const before = prevById.get(t.id);
+    if (before === t) return t;
+
+    changed = true;
+    return {
+      ...t,
+      updatedAt: at,
+      updatedBy: by,
+      updatedFrom: before?.updatedAt ?? t.updatedAt ?? null,
+    };
+  });
+
+  return changed ? out : next;
+}
+
+function compareStamps(a, b) {
+  const at = a.updatedAt ?? "";
+  const bt = b.updatedAt ?? "";
+  if (at !== bt) return at < bt ? -1 : 1;
+  const aBy = a.updatedBy ?? "";
+  const bBy = b.updatedBy ?? "";
+  if (aBy === bBy) return 0;
+  return aBy < bBy ? -1 : 1;
+}
+
+function sameContent(a, b) {
+  const strip = (t) => {
+    const copy = { ...t };
+    STAMP_FIELDS.forEach((f) => delete copy[f]);
+    return JSON.stringify(copy);
+  };
+  return strip(a) === strip(b);
+}
+
+// How two versions of one task relate:
+// same | local (local is newer) | remote (remote is newer) | concurrent
+export function relateVersions(local, remote) {
+  if (local === remote) return "same";
+  if (compareStamps(local, remote) === 0) {
+    return sameContent(local, remote) ? "same" : "concurrent";
+  }
+  if ((remote.updatedFrom ?? null) === (local.updatedAt ?? null)) {
+    return "remote";
+  }
+  if ((local.updatedFrom ?? null) === (remote.updatedAt ?? null)) {
+    return "local";
+  }
+  return sameContent(local, remote) ? "same" : "concurrent";
+}
+
+// → { winner, conflict }
+export function pickVersion(local, remote) {
+  const relation = relateVersions(local, remote);
+  if (relation === "remote") return { winner: remote };
+  if (relation === "local") return { winner: local };
+
+  if (relation === "same") return { winner: local };
+
+  // Concurrent edits: the later stamp wins in every tab (unstamped versions
+  // fall back to comparing their content)
+  const order =
+    compareStamps(local, remote) ||
+    (JSON.stringify(local) > JSON.stringify(remote) ? 1 : -1);
+  return { winner: order > 0 ? local : remote, conflict: true };
+}
+
+// Merges another tab's task list into ours.
+// - remotePurged: ids the other tab removed outright
+// - localPurged:  ids we removed outright (not re-added from remote)
+// - keepIds:      ids never dropped (e.g. the task being edited)
+// → { tasks, changed, conflicts: [{ local, remote, winner }] }
+export function mergeTasks(
+  local,
+  remote,
+  {
+    remotePurged = new Set(),
+    localPurged = new Set(),
+    keepIds = new Set(),
+  } = {}
+) {
+  const localIds = new Set(local.map((t) => t.id));
+  const remoteById = new Map(remote.map((t) => [t.id, t]));
+  const conflicts = [];
+  let changed = false;
+
+  const tasks = [];
+  local.forEach((t) => {
+    if (remotePurged.has(t.id) && !keepIds.has(t.id)) {
+      changed = true;
+      return;
+    }
+
+    const r = remoteById.get(t.id);
+    if (!r || r === t) {
+      tasks.push(t);
+      return;
+    }
+
+    const { winner, conflict } = pickVersion(t, r);
+    if (conflict) conflicts.push({ local: t, remote: r, winner });
+    if (winner === r) changed = true;
+    tasks.push(winner);
+  });
+
+  remote.forEach((r) => {
+    if (localIds.has(r.id) || localPurged.has(r.id)) return;
+    tasks.push(r);
+    changed = true;
+  });
+
+  return { tasks: changed ? tasks : local, changed, conflicts };
+}
+
+// Keeps the set of outright-removed ids current: ids that vanished from the
+// list are added, ids that are back (e.g. after undo) are removed.
+export function trackPurgedIds(prev, next, purged) {
+  const nextIds = new Set(next.map((t) => t.id));
+  prev.forEach((t) => {
+    if (!nextIds.has(t.id)) purged.add(t.id);
+  });
+  nextIds.forEach((id) => purged.delete(id));
+}
@@ -1,9 +1,13 @@
+import plugin from "tailwindcss/plugin";
+
 /** @type {import('tailwindcss').Config} */
 export default {
     content: ["./index.html", "./src/**/*.{js,jsx}"],
     theme: {
       extend: {},
     },
-    plugins: [],
+    plugins: [
+      // touch: devices without hover (phones, tablets)
+      plugin(({ addVariant }) => addVariant("touch", "@media (hover: none)")),
+    ],
   }
-